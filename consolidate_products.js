@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { NdjsonWriter, writeJsonEnvelope, writeCsv } = require('./lib/output');
 
 const RESPONSES_DIR = path.join(__dirname, 'responses');
 const RESULT_DIR = path.join(__dirname, 'result');
@@ -27,7 +28,9 @@ if (files.length === 0) {
 
 console.log(`Found ${files.length} files to consolidate...`);
 
-const allItems = [];
+// Items are streamed through an NDJSON spool, one response file in memory at a time
+const spoolPath = path.join(RESULT_DIR, 'products_03-03-2026_consolidated.ndjson.tmp');
+const spool = new NdjsonWriter(spoolPath);
 let errors = 0;
 
 files.forEach((file, index) => {
@@ -35,57 +38,38 @@ files.forEach((file, index) => {
   try {
     const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
     if (data.items && Array.isArray(data.items)) {
-      allItems.push(...data.items);
+      spool.writeAll(data.items);
     } else {
       console.warn(`  Warning: ${file} has no items array`);
     }
     if ((index + 1) % 50 === 0) {
-      console.log(`  Processed ${index + 1}/${files.length} files (${allItems.length} items so far)...`);
+      console.log(`  Processed ${index + 1}/${files.length} files (${spool.count} items so far)...`);
     }
   } catch (err) {
     console.error(`  Error reading ${file}: ${err.message}`);
     errors++;
   }
 });
+spool.close();
 
-console.log(`\nTotal items collected: ${allItems.length}`);
+console.log(`\nTotal items collected: ${spool.count}`);
 if (errors > 0) console.warn(`Errors: ${errors} files could not be read`);
 
-// Build consolidated JSON
-const consolidated = {
-  total: allItems.length,
-  generatedAt: new Date().toISOString(),
-  sourceFiles: files.length,
-  items: allItems
-};
-
 // Save JSON
 const jsonFilename = 'products_03-03-2026_consolidated.json';
-const jsonPath = path.join(RESULT_DIR, jsonFilename);
-fs.writeFileSync(jsonPath, JSON.stringify(consolidated, null, 2), 'utf8');
+writeJsonEnvelope(spoolPath, path.join(RESULT_DIR, jsonFilename), {
+  total: spool.count,
+  generatedAt: new Date().toISOString(),
+  sourceFiles: files.length
+});
 console.log(`\nJSON saved: result/${jsonFilename}`);
 
 // Build CSV
 const fields = ['id', 'displayName', 'creationDate'];
 
-let csvContent = fields.join(',') + '\n';
-
-allItems.forEach(item => {
-  const row = fields.map(field => {
-    let value = item[field];
-    if (value === null || value === undefined) return '';
-    value = String(value);
-    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-      value = '"' + value.replace(/"/g, '""') + '"';
-    }
-    return value;
-  });
-  csvContent += row.join(',') + '\n';
-});
-
 const csvFilename = 'products_03-03-2026_consolidated.csv';
-const csvPath = path.join(RESULT_DIR, csvFilename);
-fs.writeFileSync(csvPath, csvContent, 'utf8');
+writeCsv(spoolPath, path.join(RESULT_DIR, csvFilename), fields);
+fs.unlinkSync(spoolPath);
 console.log(`CSV saved:  result/${csvFilename}`);
 console.log(`\nColumns: ${fields.join(', ')}`);
-console.log(`Total rows: ${allItems.length}`);
+console.log(`Total rows: ${spool.count}`);
@@ -10,66 +10,297 @@ const chalk = require('chalk');
 const ora = require('ora');
 const _ = require('lodash');
 
+const { loadEnvironments, checkReachability, normalizeName } = require('./lib/environments');
+const { TokenCache } = require('./lib/tokenCache');
+const { HttpClient } = require('./lib/httpClient');
+const { TokenBucket } = require('./lib/rateLimiter');
+const { AdaptivePool } = require('./lib/workerPool');
+const { pageOffsets, uniqueById, PageProgress } = require('./lib/pagination');
+const { NdjsonWriter, readNdjson, writeJsonEnvelope, writeCsv, csvLine } = require('./lib/output');
+const { andQuery, windowQuery, undatedQuery, planWindows, toIso } = require('./lib/dateWindows');
+const { validateScim, evaluateScim, scimAttributes, compare, and, or, toScim, parseCriterion, combineCriteria, CRITERION_OPERATORS } = require('./lib/scim');
+const { RESOURCES, findResource, readTotal } = require('./lib/resources');
+const { confirmByTypingName, sampleIds } = require('./lib/confirm');
+const { IdPolicy } = require('./lib/idPolicy');
+const { readPatches, coerceValue, diffProperties } = require('./lib/patches');
+const { parseExpression, resolvePath, expressionPaths, compileExpression, PATH_PATTERN } = require('./lib/filterExpression');
+const { DEFAULT_FIELD_MAP, validateFieldMap, loadFieldMap, anonymizedValues } = require('./lib/anonymize');
+const { parseGroupBy, parseAggregations, aggregate, formatTable } = require('./lib/aggregate');
+const { profileFields } = require('./lib/fieldProfile');
+const { diffExports } = require('./lib/recordDiff');
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Base folder for inputs/, responses/, outputs/ and processed/
+const workDir = process.env.WORK_DIR ? path.resolve(process.env.WORK_DIR) : __dirname;
+
+// Environments come from every <NAME>_BASE_URL/<NAME>_BEARER_TOKEN pair in .env
+// plus the optional environments.json/.yml profile file. A broken profile file
+// is only reported by the commands that need an environment (validateEnvironment
+// and envs), as a normal error instead of a stack trace at startup
+let registry = { environments: {}, profileFile: null };
+let environmentsError = null;
+try {
+  registry = loadEnvironments({ directories: [...new Set([workDir, process.cwd(), __dirname])] });
+} catch (error) {
+  environmentsError = error;
+}
+
 // Configuration using environment variables
 const config = {
-  environments: {
-    dev: {
-      baseUrl: process.env.DEV_BASE_URL,
-      bearerToken: process.env.DEV_BEARER_TOKEN
-    },
-    tst: {
-      baseUrl: process.env.TST_BASE_URL,
-      bearerToken: process.env.TST_BEARER_TOKEN
-    },
-    prod: {
-      baseUrl: process.env.PROD_BASE_URL,
-      bearerToken: process.env.PROD_BEARER_TOKEN
-    }
-  },
+  environments: registry.environments,
+  environmentsFile: registry.profileFile,
+  environmentsError,
   endpoints: {
     login: '/ccadmin/v1/login',
-    profiles: '/ccadmin/v1/profiles',
-    products: '/ccadmin/v1/products',
-    orders: '/ccadmin/v1/orders',
-    skus: '/ccagent/v1/skus'
+    profiles: RESOURCES.profiles.endpoint,
+    products: RESOURCES.products.endpoint,
+    orders: RESOURCES.orders.endpoint,
+    skus: RESOURCES.skus.endpoint,
+    // Admin endpoint for single SKUs (the agent one above is for listings)
+    adminSkus: '/ccadmin/v1/skus',
+    collections: RESOURCES.collections.endpoint
   },
   limits: {
-    profilesPerRequest: parseInt(process.env.PROFILES_LIMIT) || 250
+    profilesPerRequest: parseInt(process.env.PROFILES_LIMIT) || 250,
+    // Requests per second per environment (0 = unlimited)
+    rps: numberFromEnv('RATE_LIMIT_RPS', 10),
+    burst: numberFromEnv('RATE_LIMIT_BURST', 1),
+    // Pages fetched in parallel once the first page has returned the total
+    pageConcurrency: numberFromEnv('PAGE_CONCURRENCY', 4),
+    // Largest date window (in items) that --window pagination pages through with offsets
+    maxWindowResults: numberFromEnv('WINDOW_MAX_RESULTS', 2500)
+  },
+  // Retry/backoff settings for the shared request layer (lib/httpClient.js)
+  http: {
+    maxRetries: numberFromEnv('HTTP_MAX_RETRIES', 3),
+    baseDelay: numberFromEnv('HTTP_RETRY_BASE_DELAY', 1000),
+    maxDelay: numberFromEnv('HTTP_RETRY_MAX_DELAY', 30000),
+    timeout: numberFromEnv('HTTP_TIMEOUT', 30000)
+  },
+  workDir
+};
+
+// json: one { total, env, items } document; ndjson: one item per line plus <name>.meta.json
+const OUTPUT_FORMATS = ['json', 'ndjson'];
+
+// Extra data deleteProducts can add to each backup record (--backup-include)
+const BACKUP_PARTS = ['skus', 'categories'];
+
+// What the bulk delete commands act on. `files` prefixes their backup,
+// checkpoint, report and retry files in outputs/
+const DELETE_TARGETS = {
+  products: {
+    noun: 'product',
+    plural: 'products',
+    idField: 'productId',
+    files: 'delete',
+    command: 'deleteProducts',
+    checkpointType: 'delete-products-checkpoint',
+    endpoint: config.endpoints.products
+  },
+  skus: {
+    noun: 'SKU',
+    plural: 'SKUs',
+    idField: 'skuId',
+    files: 'delete_skus',
+    command: 'deleteSkus',
+    checkpointType: 'delete-skus-checkpoint',
+    endpoint: config.endpoints.adminSkus
+  }
+};
+
+// Same idea for the bulk update commands
+const UPDATE_TARGETS = {
+  products: {
+    noun: 'product',
+    plural: 'products',
+    idField: 'productId',
+    files: 'update_products',
+    endpoint: config.endpoints.products
+  },
+  skus: {
+    noun: 'SKU',
+    plural: 'SKUs',
+    idField: 'skuId',
+    files: 'update_skus',
+    endpoint: config.endpoints.adminSkus
+  }
+};
+
+// The bulk profile commands. `past` names the outcome (and report counter)
+// of a profile the action went through for. The reports of the commands that
+// erase PII leave out the emails given as input once the profile ID is known
+const PROFILE_ACTIONS = {
+  update: {
+    verb: 'update',
+    past: 'updated',
+    files: 'update_profiles',
+    command: 'updateProfiles',
+    checkpointType: 'update-profiles-checkpoint'
+  },
+  anonymize: {
+    verb: 'anonymize',
+    past: 'anonymized',
+    files: 'anonymize_profiles',
+    command: 'anonymizeProfiles',
+    checkpointType: 'anonymize-profiles-checkpoint',
+    erasesPii: true
+  },
+  delete: {
+    verb: 'delete',
+    past: 'deleted',
+    files: 'delete_profiles',
+    command: 'deleteProfiles',
+    checkpointType: 'delete-profiles-checkpoint',
+    erasesPii: true
   }
 };
 
 class ProfileFetcher {
   constructor(environment) {
+    this.responsesDir = path.join(config.workDir, 'responses');
+    this.resultDir = path.join(config.workDir, 'outputs');
+    this.outputFormat = 'json';
+
+    // Commands that only read files in outputs/ (mineResult, inspect, diff)
+    // pass null: no environment is validated and no HTTP client is set up
+    if (environment === null) {
+      this.environment = null;
+      this.config = { defaultFields: {} };
+      this.ensureResultDirectory();
+      return;
+    }
+
+    environment = normalizeName(environment);
     this.validateEnvironment(environment);
 
     this.environment = environment;
     this.config = config.environments[environment];
+    this.limits = { ...config.limits, ...this.config.limits };
     this.accessToken = null;
     this.tokenExpiresAt = null;
-    this.responsesDir = path.join(__dirname, 'responses');
-    this.resultDir = path.join(__dirname, 'outputs');
+    this.tokenLifetime = null;
+    this.tokenCache = new TokenCache();
+    this.refreshPromise = null;
+    this.rateLimiter = new TokenBucket(this.limits.rps, this.limits.burst);
+    this.activePool = null;
+    // Set from --yes / --i-know-this-is-prod; see confirmDestructive()
+    this.confirmation = { yes: false, iKnowThisIsProd: false };
+    // Which IDs bulk commands may act on; see setIdPolicy()
+    this.idPolicy = IdPolicy.resolve(this.config.idPolicy);
+    this.http = new HttpClient({
+      baseUrl: this.config.baseUrl,
+      getToken: async () => {
+        await this.ensureValidToken();
+        return this.accessToken;
+      },
+      refreshToken: (rejectedToken) => this.refreshToken(rejectedToken),
+      options: { ...config.http, ...this.config.http },
+      hooks: {
+        beforeRequest: () => this.rateLimiter.take(),
+        onThrottle: (status) => this.activePool?.onThrottle(status),
+        onSuccess: () => this.activePool?.onSuccess()
+      }
+    });
 
     this.ensureResponsesDirectory();
     this.ensureResultDirectory();
   }
 
   validateEnvironment(environment) {
+    if (config.environmentsError) {
+      throw config.environmentsError;
+    }
     if (!config.environments[environment]) {
       throw new Error(
         chalk.red(`❌ Environment '${environment}' not found.\n`) +
-        chalk.yellow(`Available environments: ${Object.keys(config.environments).join(', ')}`)
+        this.describeDiscoveredEnvironments() +
+        chalk.yellow(`\nAdd ${environment.toUpperCase()}_BASE_URL and ${environment.toUpperCase()}_BEARER_TOKEN to your .env, or an entry to environments.json.`)
       );
     }
 
     const envConfig = config.environments[environment];
     if (!envConfig.baseUrl || !envConfig.bearerToken) {
+      const variables = envConfig.variables || {};
       throw new Error(
-        chalk.red(`❌ Missing configuration for environment '${environment}'.\n`) +
-        chalk.yellow(`Please check your .env file and ensure ${environment.toUpperCase()}_BASE_URL and ${environment.toUpperCase()}_BEARER_TOKEN are set.`)
+        chalk.red(`❌ Missing configuration for environment '${environment}' (from ${envConfig.source}).\n`) +
+        chalk.yellow(`Please check that ${envConfig.baseUrl ? '' : 'baseUrl and '}${variables.bearerToken || `${environment.toUpperCase()}_BEARER_TOKEN`} are set.`)
       );
     }
   }
 
+  describeDiscoveredEnvironments() {
+    const names = Object.keys(config.environments).sort();
+    if (names.length === 0) {
+      return chalk.yellow('No environments discovered. Define <NAME>_BASE_URL and <NAME>_BEARER_TOKEN in .env or create environments.json.');
+    }
+
+    const lines = names.map(name => {
+      const envConfig = config.environments[name];
+      const flags = envConfig.readOnly ? ' [read-only]' : envConfig.protected ? ' [protected]' : '';
+      return `  • ${name}${flags} - ${envConfig.baseUrl || '(no base URL)'} (${envConfig.source})`;
+    });
+    return chalk.yellow(`Available environments:\n${lines.join('\n')}`);
+  }
+
+  getDefaultFields(resource, fallback = '') {
+    return this.config.defaultFields[resource] || fallback;
+  }
+
+  assertWritable(action) {
+    if (this.config.readOnly) {
+      throw new Error(`Environment '${this.environment}' is read-only; refusing to ${action}.`);
+    }
+  }
+
+  setConfirmation({ yes = false, iKnowThisIsProd = false } = {}) {
+    this.confirmation = { yes: Boolean(yes), iKnowThisIsProd: Boolean(iKnowThisIsProd) };
+  }
+
+  // The environment's idPolicy, with the command's own entry and --id-pattern on top
+  setIdPolicy({ command = null, idPattern = null, defaultAllow = null } = {}) {
+    this.idPolicy = IdPolicy.resolve(this.config.idPolicy, { command, idPattern, defaultAllow });
+  }
+
+  // Last gate before a destructive batch. In protected environments it shows
+  // what is about to happen and waits for the environment name to be typed,
+  // unless both --yes and --i-know-this-is-prod were given (CI). Throws when
+  // the operator does not confirm
+  async confirmDestructive(action, ids) {
+    this.assertWritable(action);
+    if (!this.config.protected) return;
+
+    const { sample, more } = sampleIds(ids);
+    console.log(chalk.red.bold('\n' + '='.repeat(60)));
+    console.log(chalk.red.bold(`⚠️  PROTECTED ENVIRONMENT: ${this.environment}`));
+    console.log(chalk.red.bold('='.repeat(60)));
+    console.log(chalk.yellow(`Action   : ${action}`));
+    console.log(chalk.yellow(`Target   : ${this.config.baseUrl}`));
+    console.log(chalk.yellow(`Items    : ${chalk.bold(ids.length)}`));
+    console.log(chalk.yellow(`Sample   : ${sample.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`));
+    console.log(chalk.red.bold('='.repeat(60) + '\n'));
+
+    const { yes, iKnowThisIsProd } = this.confirmation;
+    if (yes && iKnowThisIsProd) {
+      console.log(chalk.yellow('Confirmation skipped (--yes --i-know-this-is-prod)\n'));
+      return;
+    }
+    if (yes || iKnowThisIsProd) {
+      throw new Error(`Environment '${this.environment}' is protected; skipping the confirmation needs both --yes and --i-know-this-is-prod`);
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error(`Environment '${this.environment}' is protected and there is no terminal to confirm in; run it interactively or pass --yes --i-know-this-is-prod`);
+    }
+    if (!(await confirmByTypingName(this.environment))) {
+      throw new Error('Confirmation did not match the environment name; nothing was changed');
+    }
+    console.log('');
+  }
+
   ensureResponsesDirectory() {
     if (!fs.existsSync(this.responsesDir)) {
       fs.mkdirSync(this.responsesDir, { recursive: true });
@@ -92,19 +323,54 @@ class ProfileFetcher {
     return itemsFields.join(',');
   }
 
-  buildQueryParam(queryField, queryValue) {
-    return `${queryField} co "${queryValue}"`;
+  // Field plus value searches with "co"; without a value, queryField is a full SCIM expression.
+  // --where criteria (joined as --match says) are added to it with "and"
+  buildQueryParam(queryField, queryValue, where = [], match = 'all') {
+    const hasValue = queryValue !== undefined && queryValue !== null && queryValue !== '';
+    const criteria = combineCriteria(where.map(parseCriterion), match);
+    if (!criteria) {
+      if (!hasValue) {
+        validateScim(queryField);
+        return queryField;
+      }
+      return toScim(compare(queryField, 'co', String(queryValue)));
+    }
+
+    if (!queryField) return toScim(criteria);
+    const base = hasValue ? compare(queryField, 'co', String(queryValue)) : validateScim(queryField);
+    return toScim(and(base, criteria));
+  }
+
+  // Client-side check of a parsed query against fetched items, for conditions
+  // OCC does not always honour (dates in particular). Needs every attribute the
+  // query uses to be among the fetched fields, otherwise items would be dropped
+  // for lacking a value OCC never sent: then filter is null and missing lists them
+  buildPostFilter(queryAst, fields) {
+    const fetched = fields
+      ? fields.split(',').map(field => field.trim().replace(/^items\./, '')).filter(Boolean)
+      : [];
+    const missing = fetched.length === 0 ? [] : scimAttributes(queryAst).filter(attribute => !fetched.some(field =>
+      field === attribute || field.startsWith(`${attribute}.`) || attribute.startsWith(`${field}.`)));
+
+    return {
+      filter: missing.length === 0 ? item => evaluateScim(queryAst, item) : null,
+      missing
+    };
   }
 
-  async consolidateResults(baseName, totalProfiles, consolidate = false, paOnly = false) {
+  // metadata goes into the header of the consolidated file, next to total and env
+  async consolidateResults(baseName, totalProfiles, consolidate = false, validOnly = false, idList = false, metadata = {}) {
     if (!consolidate) return;
 
     const spinner = ora(chalk.blue('🔄 Consolidating results...')).start();
 
     try {
       // Find all files from this execution
+      // Only the pages (<baseName>_<n>.json): not another run whose name
+      // starts the same, nor the .meta.json of a run without --c
+      const pageRegex = new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_\\d+\\.json$`);
       const executionFiles = fs.readdirSync(this.responsesDir)
-        .filter(file => file.startsWith(baseName) && file.endsWith('.json'))
+        .filter(file => pageRegex.test(file))
         .sort((a, b) => {
           const aNum = parseInt(a.match(/_(\d+)\.json$/)[1]);
           const bNum = parseInt(b.match(/_(\d+)\.json$/)[1]);
@@ -116,43 +382,52 @@ class ProfileFetcher {
         return;
       }
 
-      // Consolidate all items
-      let allItems = [];
+      // Stream every page into a spool so only one response file is in memory at a time
+      const dataExtension = this.outputFormat === 'ndjson' ? 'ndjson' : 'json';
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `${baseName}_consolidated`, dataExtension);
+      const outputBase = outputFilename.slice(0, -(dataExtension.length + 1));
+      const spool = this.createSpool(outputBase);
+      const isFirstSeen = uniqueById();
       const filesToDelete = [];
+      let rejectedCount = 0;
 
       for (const filename of executionFiles) {
         const filepath = path.join(this.responsesDir, filename);
         const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
 
-        allItems.push(...data.items);
-        filesToDelete.push(filepath);
-      }
+        let items = data.items.filter(isFirstSeen);
 
-      // Filter PA-only products if requested
-      if (paOnly) {
-        const originalCount = allItems.length;
-        allItems = allItems.filter(item => {
-          const id = item.id || item.repositoryId || item.productId || item.Id;
-          return id && id.startsWith('PA');
-        });
-        const filteredCount = originalCount - allItems.length;
-        if (filteredCount > 0) {
-          console.log(chalk.gray(`  Filtered out ${filteredCount} non-PA products from consolidated results`));
+        // Keep only products whose ID passes the ID policy, if requested
+        if (validOnly) {
+          const pageCount = items.length;
+          items = items.filter(item => {
+            const id = item.id || item.repositoryId || item.productId || item.Id;
+            return id && !this.idPolicy.matchPatterns(id);
+          });
+          rejectedCount += pageCount - items.length;
         }
+
+        spool.writeAll(items);
+        filesToDelete.push(filepath);
       }
 
-      // Create consolidated result
-      const consolidatedResult = {
-        total: allItems.length,
-        env: this.environment,
-        items: allItems
-      };
+      if (rejectedCount > 0) {
+        console.log(chalk.gray(`  Filtered out ${rejectedCount} products rejected by the ID policy (${this.idPolicy.describe()}) from consolidated results`));
+      }
 
-      // Save consolidated file with unique name
-      const outputFilename = this.generateUniqueFilename(this.resultDir, `${baseName}_consolidated`, 'json');
-      const outputFilepath = path.join(this.resultDir, outputFilename);
+      let idListFilename = null;
+      if (idList) {
+        spool.close();
+        idListFilename = await this.generateProductIdList(readNdjson(spool.filepath), outputBase, validOnly);
+      }
 
-      fs.writeFileSync(outputFilepath, JSON.stringify(consolidatedResult, null, 2));
+      // Save consolidated file (and CSV) from the spool
+      const total = spool.count;
+      const { csvFilename } = await this.writeOutput(spool, outputBase, {
+        total,
+        env: this.environment,
+        ...metadata
+      });
 
       // Delete original files
       filesToDelete.forEach(filepath => {
@@ -161,15 +436,11 @@ class ProfileFetcher {
 
       spinner.succeed(chalk.green('Results consolidated successfully!'));
       console.log(chalk.cyan(`📄 Consolidated file: ${outputFilename}`));
-      console.log(chalk.cyan(`🗂️  Total items: ${chalk.bold(allItems.length)}`));
+      console.log(chalk.cyan(`🗂️  Total items: ${chalk.bold(total)}`));
       console.log(chalk.cyan(`🗑️  Deleted ${chalk.bold(filesToDelete.length)} original files\n`));
 
-      // Generate CSV file
-      await this.generateCSV(consolidatedResult, outputFilename);
-
       // Return info about created files
-      const csvFilename = outputFilename.replace('.json', '.csv');
-      return [outputFilename, csvFilename];
+      return [outputFilename, csvFilename, idListFilename].filter(Boolean);
 
     } catch (error) {
       spinner.fail(chalk.red('❌ Error consolidating results:'));
@@ -197,35 +468,8 @@ class ProfileFetcher {
       
       const fields = Array.from(allFields).sort();
       
-      // Create CSV header
-      let csvContent = fields.join(',') + '\n';
-      
-      // Add data rows
-      items.forEach(item => {
-        const row = fields.map(field => {
-          let value = item[field];
-          
-          // Handle different data types
-          if (value === null || value === undefined) {
-            return '';
-          }
-          
-          // Convert objects/arrays to JSON string
-          if (typeof value === 'object') {
-            value = JSON.stringify(value);
-          }
-          
-          // Escape quotes and wrap in quotes if contains comma or quotes
-          value = String(value);
-          if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-            value = '"' + value.replace(/"/g, '""') + '"';
-          }
-          
-          return value;
-        });
-        
-        csvContent += row.join(',') + '\n';
-      });
+      // Create CSV header and data rows
+      const csvContent = [fields.join(','), ...items.map(item => csvLine(item, fields))].join('\n') + '\n';
       
       // Create CSV filename based on JSON filename
       const csvFilename = jsonFilename.replace('.json', '.csv');
@@ -244,7 +488,92 @@ class ProfileFetcher {
     }
   }
 
+  setOutputFormat(format) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format '${format}' (use ${OUTPUT_FORMATS.join(' or ')})`);
+    }
+    this.outputFormat = format;
+  }
+
+  // Pages are appended to this NDJSON spool in responses/ until writeOutput()
+  createSpool(baseFilename) {
+    return new NdjsonWriter(path.join(this.responsesDir, `${baseFilename}.ndjson.tmp`));
+  }
+
+  // Turns a spool into the final files in outputs/: the { ...header, items } JSON
+  // envelope, or with --format ndjson the items as NDJSON plus the header in
+  // <base>.meta.json; a CSV is written either way
+  async writeOutput(spool, baseFilename, header) {
+    spool.close();
+
+    let dataFilename;
+    let ndjsonPath = spool.filepath;
+    if (this.outputFormat === 'ndjson') {
+      dataFilename = `${baseFilename}.ndjson`;
+      ndjsonPath = path.join(this.resultDir, dataFilename);
+      fs.renameSync(spool.filepath, ndjsonPath);
+      fs.writeFileSync(path.join(this.resultDir, `${baseFilename}.meta.json`), JSON.stringify(header, null, 2));
+    } else {
+      dataFilename = `${baseFilename}.json`;
+      writeJsonEnvelope(spool.filepath, path.join(this.resultDir, dataFilename), header);
+    }
+
+    const csvFilename = await this.generateCSVFromNdjson(ndjsonPath, [...spool.fields].sort(), `${baseFilename}.csv`);
+
+    if (ndjsonPath === spool.filepath) {
+      fs.unlinkSync(spool.filepath);
+    }
+    return { dataFilename, csvFilename };
+  }
+
+  async generateCSVFromNdjson(ndjsonPath, fields, csvFilename) {
+    const spinner = ora(chalk.blue('📊 Generating CSV file...')).start();
+
+    try {
+      if (fields.length === 0) {
+        spinner.warn(chalk.yellow('No items to export to CSV'));
+        return null;
+      }
+
+      writeCsv(ndjsonPath, path.join(this.resultDir, csvFilename), fields);
+
+      spinner.succeed(chalk.green('CSV file generated successfully!'));
+      console.log(chalk.cyan(`📊 CSV file: ${csvFilename}`));
+      console.log(chalk.cyan(`📋 Columns: ${chalk.bold(fields.length)} (${fields.join(', ')})\n`));
+      return csvFilename;
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Error generating CSV:'));
+      console.error(error.message);
+      throw error;
+    }
+  }
+
+  // Reads a file written by writeOutput() in either format. For NDJSON, items is
+  // a lazy iterator so large files are never loaded at once
+  loadOutput(filename) {
+    const filepath = path.join(this.resultDir, filename);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`File not found: ${filename}`);
+    }
+
+    if (filename.endsWith('.ndjson')) {
+      const metaPath = filepath.replace(/\.ndjson$/, '.meta.json');
+      const header = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {};
+      return { header, items: readNdjson(filepath) };
+    }
+
+    const { items = [], ...header } = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    return { header, items };
+  }
+
+  // Without a field, condition is a filter expression over any number of
+  // (nested) fields; see lib/filterExpression.js
   async mineData(inputFile, field, condition) {
+    if (!field) {
+      return this.mineExpression(inputFile, condition);
+    }
+
     const spinner = ora(chalk.blue('⛏️  Mining data...')).start();
     
     try {
@@ -254,9 +583,8 @@ class ProfileFetcher {
         throw new Error(`Input file not found: ${inputFile}`);
       }
 
-      // Load consolidated data
-      const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
-      const items = data.items || [];
+      // Load consolidated data (JSON envelope or NDJSON)
+      const items = [...this.loadOutput(inputFile).items];
 
       if (items.length === 0) {
         spinner.warn(chalk.yellow('No items found in input file'));
@@ -323,99 +651,530 @@ class ProfileFetcher {
     }
   }
 
-  analyzeFieldType(items, field) {
-    const samples = items
-      .map(item => item[field])
-      .filter(value => value !== null && value !== undefined)
-      .slice(0, 100); // Analyze first 100 non-null values
-
-    if (samples.length === 0) {
-      return { type: 'null', details: 'All values are null/undefined' };
-    }
-
-    const analysis = {
-      booleanCount: 0,
-      numberCount: 0,
-      stringCount: 0,
-      dateCount: 0,
-      total: samples.length,
-      examples: samples.slice(0, 3)
-    };
+  async mineExpression(inputFile, expression) {
+    // Parsed before anything is read, so a typo fails right away
+    const ast = parseExpression(expression);
+    const spinner = ora(chalk.blue('⛏️  Mining data...')).start();
 
-    samples.forEach(value => {
-      const strValue = String(value).toLowerCase();
-      
-      // Check boolean
-      if (strValue === 'true' || strValue === 'false' || typeof value === 'boolean') {
-        analysis.booleanCount++;
-      }
-      // Check number
-      else if (!isNaN(value) && !isNaN(parseFloat(value))) {
-        analysis.numberCount++;
+    try {
+      const inputPath = path.join(this.resultDir, inputFile);
+      if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file not found: ${inputFile}`);
       }
-      // Check date
-      else if (typeof value === 'string' && this.isDateString(value)) {
-        analysis.dateCount++;
+
+      const items = [...this.loadOutput(inputFile).items];
+      if (items.length === 0) {
+        spinner.warn(chalk.yellow('No items found in input file'));
+        return;
       }
-      // String
-      else {
-        analysis.stringCount++;
+
+      // Each field's detected type decides how its comparisons coerce values
+      const analyses = this.analyzeFieldPaths(items, expressionPaths(ast));
+      const filteredItems = this.applyExpression(items, ast, analyses);
+      spinner.text = chalk.blue(`⛏️  Mining data... (${expression})`);
+
+      if (filteredItems.length === 0) {
+        spinner.warn(chalk.yellow(`No items match the expression: ${expression}`));
+        return;
       }
-    });
 
-    // Determine primary type (>70% threshold)
-    const threshold = analysis.total * 0.7;
-    
-    if (analysis.booleanCount >= threshold) {
-      return { type: 'boolean', details: `${analysis.booleanCount}/${analysis.total} boolean values`, examples: analysis.examples };
-    }
-    if (analysis.numberCount >= threshold) {
-      return { type: 'number', details: `${analysis.numberCount}/${analysis.total} numeric values`, examples: analysis.examples };
-    }
-    if (analysis.dateCount >= threshold) {
-      return { type: 'date', details: `${analysis.dateCount}/${analysis.total} date values`, examples: analysis.examples };
+      const result = {
+        source: inputFile,
+        filter: expression,
+        fieldAnalyses: this.describeAnalyses(analyses),
+        originalCount: items.length,
+        filteredCount: filteredItems.length,
+        items: filteredItems
+      };
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `profiles_datamined_${timestamp}`, 'json');
+      fs.writeFileSync(path.join(this.resultDir, outputFilename), JSON.stringify(result, null, 2));
+      await this.generateMinedCSV(result, outputFilename);
+
+      spinner.succeed(chalk.green('Data mining completed successfully!'));
+      console.log(chalk.cyan(`📊 Original items: ${chalk.bold(items.length)}`));
+      console.log(chalk.cyan(`🎯 Filtered items: ${chalk.bold(filteredItems.length)}`));
+      console.log(chalk.cyan(`📄 JSON output: ${outputFilename}`));
+      console.log(chalk.cyan(`📊 CSV output: ${outputFilename.replace('.json', '.csv')}\n`));
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Error mining data:'));
+      console.error(error.message);
+      throw error;
     }
-    
-    return { type: 'string', details: `${analysis.stringCount}/${analysis.total} string values`, examples: analysis.examples };
   }
 
-  isDateString(value) {
-    // Common date patterns
-    const datePatterns = [
-      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/, // ISO 8601
-      /^\d{4}-\d{2}-\d{2}/, // YYYY-MM-DD
-      /^\d{2}\/\d{2}\/\d{4}/, // MM/DD/YYYY
-      /^\d{2}-\d{2}-\d{4}/, // DD-MM-YYYY
-    ];
+  // Group-by/aggregation report over a consolidated file, optionally filtered
+  // first by an expression; see lib/aggregate.js
+  async mineAggregate(inputFile, { groupBy, agg, expression }) {
+    // Specs and expression are parsed before anything is read
+    const groups = groupBy ? parseGroupBy(groupBy) : [];
+    const aggregations = parseAggregations(agg || 'count');
+    const ast = expression ? parseExpression(expression) : null;
+    const spinner = ora(chalk.blue('⛏️  Aggregating data...')).start();
 
-    if (typeof value !== 'string') return false;
-    
-    return datePatterns.some(pattern => pattern.test(value)) && !isNaN(Date.parse(value));
-  }
+    try {
+      const inputPath = path.join(this.resultDir, inputFile);
+      if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file not found: ${inputFile}`);
+      }
 
-  validateCondition(field, condition, fieldAnalysis) {
-    const { type } = fieldAnalysis;
+      const items = [...this.loadOutput(inputFile).items];
+      if (items.length === 0) {
+        spinner.warn(chalk.yellow('No items found in input file'));
+        return;
+      }
 
-    console.log(chalk.gray(`📊 Field Analysis: ${field} is ${chalk.bold(type)} (${fieldAnalysis.details})`));
-    console.log(chalk.gray(`🔍 Examples: ${fieldAnalysis.examples.join(', ')}`));
+      const paths = [
+        ...(ast ? expressionPaths(ast) : []),
+        ...groups.map(group => group.path),
+        ...aggregations.map(aggregation => aggregation.path).filter(Boolean)
+      ];
+      const analyses = this.analyzeFieldPaths(items, [...new Set(paths)]);
+      const filteredItems = ast ? this.applyExpression(items, ast, analyses) : items;
 
-    // Validate condition format based on field type
-    switch (type) {
-      case 'boolean':
-        if (!['true', 'false'].includes(condition.toLowerCase())) {
-          console.log(chalk.yellow(`⚠️  Warning: Expected boolean value (true/false), got: ${condition}`));
-        }
-        break;
-        
-      case 'number':
-        const numericMatch = condition.match(/^([><=]+)?\s*(-?\d+\.?\d*)$/);
-        if (!numericMatch) {
-          console.log(chalk.yellow(`⚠️  Warning: Expected numeric condition (e.g., >100, <=50), got: ${condition}`));
-        }
-        break;
-        
-      case 'date':
-        if (condition.includes(' ') && condition.split(' ').length === 2) {
+      const rows = aggregate(filteredItems, groups, aggregations, fieldPath => analyses[fieldPath].type);
+      const columns = [...groups.map(group => group.column), ...aggregations.map(aggregation => aggregation.column)];
+
+      const result = {
+        source: inputFile,
+        filter: expression || undefined,
+        groupBy: groups.map(group => group.column),
+        aggregations: aggregations.map(aggregation => aggregation.column),
+        fieldAnalyses: this.describeAnalyses(analyses),
+        originalCount: items.length,
+        filteredCount: filteredItems.length,
+        groups: rows.length,
+        items: rows
+      };
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `profiles_aggregated_${timestamp}`, 'json');
+      const csvFilename = outputFilename.replace(/\.json$/, '.csv');
+      fs.writeFileSync(path.join(this.resultDir, outputFilename), JSON.stringify(result, null, 2));
+      // Columns in the order asked for: groups first, then aggregations
+      this.writeCsvRows(csvFilename, columns, rows);
+
+      spinner.succeed(chalk.green('Aggregation completed successfully!'));
+      console.log('');
+      this.printTable(rows, columns);
+      console.log('');
+      console.log(chalk.cyan(`📊 Original items: ${chalk.bold(items.length)}`));
+      if (ast) console.log(chalk.cyan(`🎯 Filtered items: ${chalk.bold(filteredItems.length)}`));
+      console.log(chalk.cyan(`🧮 Groups: ${chalk.bold(rows.length)}`));
+      console.log(chalk.cyan(`📄 JSON output: ${outputFilename}`));
+      console.log(chalk.cyan(`📊 CSV output: ${csvFilename}\n`));
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Error aggregating data:'));
+      console.error(error.message);
+      throw error;
+    }
+  }
+
+  // Profiles every field (nested paths included) across a whole result file;
+  // see lib/fieldProfile.js
+  async inspectFile(inputFile, top = 5) {
+    const spinner = ora(chalk.blue('🔬 Inspecting fields...')).start();
+
+    try {
+      const { items } = this.loadOutput(inputFile);
+      const { total, fields } = profileFields(items, { top, isDate: value => this.isDateString(value) });
+      if (total === 0) {
+        spinner.warn(chalk.yellow('No items found in input file'));
+        return;
+      }
+
+      const listValues = (entries, limit = Infinity) => {
+        const text = entries.map(([value, count]) => `${typeof value === 'string' ? value : JSON.stringify(value)} (${count})`).join(' | ');
+        return text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+      };
+      const rows = fields.map(field => ({
+        field: field.field,
+        type: field.type,
+        present: `${field.presentRate}%`,
+        null: `${field.nullRate}%`,
+        missing: `${field.missingRate}%`,
+        distinct: field.distinct === undefined ? null : `${field.distinct}${field.distinctCapped ? '+' : ''}`,
+        min: field.min,
+        max: field.max,
+        top: field.top ? listValues(field.top.map(({ value, count }) => [value, count]), 40) : null
+      }));
+
+      spinner.succeed(chalk.green('Field inspection completed successfully!'));
+      console.log(chalk.cyan(`📊 Items: ${chalk.bold(total)}`));
+      console.log(chalk.cyan(`🧬 Fields: ${chalk.bold(fields.length)}\n`));
+      this.printTable(rows, Object.keys(rows[0] || { field: null }));
+      console.log('');
+
+      const conflicts = fields.filter(field => field.typeConflict);
+      const neverSet = fields.filter(field => field.presentRate === 0);
+      const partial = fields.filter(field => field.missingRate > 0 && field.missingRate < 100);
+      if (conflicts.length > 0) {
+        console.log(chalk.yellow(`⚠️  Type conflicts: ${conflicts.map(field => `${field.field} (${listValues(Object.entries(field.types))})`).join(', ')}`));
+      }
+      if (neverSet.length > 0) {
+        console.log(chalk.yellow(`⚠️  Never set: ${neverSet.map(field => field.field).join(', ')}`));
+      }
+      if (partial.length > 0) {
+        console.log(chalk.yellow(`⚠️  Missing from some items: ${partial.map(field => `${field.field} (${field.missingRate}%)`).join(', ')}`));
+      }
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const baseName = path.basename(inputFile).replace(/\.(json|ndjson)$/, '');
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `${baseName}_inspect_${timestamp}`, 'json');
+      const csvFilename = outputFilename.replace(/\.json$/, '.csv');
+      fs.writeFileSync(
+        path.join(this.resultDir, outputFilename),
+        JSON.stringify({ source: inputFile, total, fieldCount: fields.length, top, fields }, null, 2)
+      );
+      const columns = ['field', 'type', 'presentRate', 'nullRate', 'missingRate', 'values', 'distinct', 'min', 'max', 'typeConflict', 'types', 'top'];
+      const csvRows = fields.map(field => ({
+        ...field,
+        distinct: rows.find(row => row.field === field.field).distinct,
+        types: listValues(Object.entries(field.types)),
+        top: field.top ? listValues(field.top.map(({ value, count }) => [value, count])) : null
+      }));
+      this.writeCsvRows(csvFilename, columns, csvRows);
+
+      console.log(chalk.cyan(`\n📄 JSON output: ${outputFilename}`));
+      console.log(chalk.cyan(`📊 CSV output: ${csvFilename}\n`));
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Error inspecting file:'));
+      console.error(error.message);
+      throw error;
+    }
+  }
+
+  // Added, removed and changed records between two exports matched by key;
+  // see lib/recordDiff.js
+  async diffFiles(fileA, fileB, { key = 'id', ignore = [] } = {}) {
+    [key, ...ignore].forEach(fieldPath => {
+      if (!PATH_PATTERN.test(fieldPath)) throw new Error(`Invalid field path: ${fieldPath}`);
+    });
+    const spinner = ora(chalk.blue('🔀 Comparing exports...')).start();
+
+    try {
+      const exportA = this.loadOutput(fileA);
+      const exportB = this.loadOutput(fileB);
+      const diff = diffExports(exportA.items, exportB.items, { key, ignore });
+      spinner.succeed(chalk.green('Comparison completed successfully!'));
+
+      const listSample = ids => {
+        const { sample, more } = sampleIds(ids);
+        return `${sample.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`;
+      };
+      const describe = (file, header, side) => `${file}${header.env ? ` (${header.env})` : ''}: ${chalk.bold(side.records)} records`;
+      console.log(chalk.cyan(`📄 A: ${describe(fileA, exportA.header, diff.a)}`));
+      console.log(chalk.cyan(`📄 B: ${describe(fileB, exportB.header, diff.b)}`));
+      [['A', diff.a], ['B', diff.b]].forEach(([name, side]) => {
+        if (side.duplicates.length > 0) {
+          console.log(chalk.yellow(`⚠️  ${name} has ${side.duplicates.length} duplicated ${key}(s), the last record of each was used: ${listSample(side.duplicates)}`));
+        }
+        if (side.missingKey > 0) {
+          console.log(chalk.yellow(`⚠️  ${name} has ${side.missingKey} record(s) without ${key}, left out of the comparison`));
+        }
+      });
+
+      console.log('');
+      console.log(chalk.green(`➕ Added (only in B): ${chalk.bold(diff.added.length)}${diff.added.length ? ` - ${listSample(diff.added)}` : ''}`));
+      console.log(chalk.red(`➖ Removed (only in A): ${chalk.bold(diff.removed.length)}${diff.removed.length ? ` - ${listSample(diff.removed)}` : ''}`));
+      console.log(chalk.yellow(`✏️  Changed: ${chalk.bold(diff.changed.length)}`));
+      console.log(chalk.gray(`🟰 Unchanged: ${diff.unchanged}`));
+
+      const fieldRows = Object.entries(diff.fieldChanges).map(([field, records]) => ({ field, records }));
+      if (fieldRows.length > 0) {
+        console.log('');
+        this.printTable(fieldRows, ['field', 'records']);
+      }
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const baseName = file => path.basename(file).replace(/\.(json|ndjson)$/, '');
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `diff_${baseName(fileA)}_vs_${baseName(fileB)}_${timestamp}`, 'json');
+      const csvFilename = outputFilename.replace(/\.json$/, '.csv');
+
+      const result = {
+        fileA,
+        fileB,
+        envA: exportA.header.env,
+        envB: exportB.header.env,
+        key,
+        ignore,
+        a: diff.a,
+        b: diff.b,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length,
+        unchanged: diff.unchanged,
+        fieldChanges: diff.fieldChanges,
+        addedKeys: diff.added,
+        removedKeys: diff.removed,
+        changes: diff.changed
+      };
+      fs.writeFileSync(path.join(this.resultDir, outputFilename), JSON.stringify(result, null, 2));
+
+      // One row per added or removed record and per changed field
+      const columns = [key, 'status', 'field', 'before', 'after'];
+      const rows = [
+        ...diff.added.map(id => ({ [key]: id, status: 'added' })),
+        ...diff.removed.map(id => ({ [key]: id, status: 'removed' })),
+        ...diff.changed.flatMap(({ key: id, changes }) => Object.entries(changes).map(([field, { before, after }]) => ({
+          [key]: id, status: 'changed', field, before, after
+        })))
+      ];
+      this.writeCsvRows(csvFilename, columns, rows);
+
+      console.log(chalk.cyan(`\n📄 JSON output: ${outputFilename}`));
+      console.log(chalk.cyan(`📊 CSV output: ${csvFilename}\n`));
+      return result;
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Error comparing exports:'));
+      console.error(error.message);
+      throw error;
+    }
+  }
+
+  // Lists a resource in this environment and in other, joins both listings on
+  // key and reports what is missing on each side and which fields differ.
+  // Without a concurrency each environment uses its own pageConcurrency
+  async compareEnvironments(other, resourceName, { query = null, fields = null, key = 'id', ignore = [], concurrency } = {}) {
+    const resource = findResource(resourceName);
+    [key, ...ignore].forEach(fieldPath => {
+      if (!PATH_PATTERN.test(fieldPath)) throw new Error(`Invalid field path: ${fieldPath}`);
+    });
+    if (query) validateScim(query);
+
+    // Both sides fetch the same fields, whatever each environment's defaults,
+    // and always the key
+    const fieldList = (fields || this.getDefaultFields(resource.name, resource.defaultFields)).split(',').map(field => field.trim()).filter(Boolean);
+    const keyField = key.split(/[.[]/)[0];
+    if (!fieldList.includes(keyField)) fieldList.unshift(keyField);
+    const fieldsParam = fieldList.join(',');
+
+    const envs = [this.environment, other.environment];
+    const listings = [];
+    for (const fetcher of [this, other]) {
+      console.log(chalk.blue.bold(`\n🌐 ${resource.name} in ${fetcher.environment}`));
+      const listing = await fetcher.listEntities(resource.name, query, fieldsParam, true, null, concurrency, null, fetcher.environment);
+      if (listing.partial) {
+        throw new Error(`The ${resource.name} listing of '${fetcher.environment}' is incomplete (${listing.dataFilename}); complete it with "list ${resource.name} --env=${fetcher.environment} --resume ${listing.dataFilename}" and compare the files with "diff"`);
+      }
+      listings.push(listing);
+    }
+
+    const [itemsA, itemsB] = listings.map(listing => this.loadOutput(listing.dataFilename).items);
+    const diff = diffExports(itemsA, itemsB, { key, ignore });
+    const [envA, envB] = envs;
+    const mismatches = diff.changed.map(({ key: id, changes }) => ({
+      key: id,
+      fields: _.mapValues(changes, ({ before, after }) => ({ [envA]: before, [envB]: after }))
+    }));
+
+    console.log(chalk.blue.bold(`\n⚖️  Reconciliation of ${resource.name}: ${envA} vs ${envB} (key: ${key})\n`));
+    const listSample = ids => {
+      const { sample, more } = sampleIds(ids);
+      return `${sample.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`;
+    };
+    [['A', envA, diff.a], ['B', envB, diff.b]].forEach(([, env, side]) => {
+      console.log(chalk.cyan(`📊 ${env}: ${chalk.bold(side.records)} ${resource.name}`));
+      if (side.duplicates.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${env} has ${side.duplicates.length} duplicated ${key}(s): ${listSample(side.duplicates)}`));
+      }
+      if (side.missingKey > 0) {
+        console.log(chalk.yellow(`⚠️  ${env} has ${side.missingKey} item(s) without ${key}, left out of the comparison`));
+      }
+    });
+    console.log(chalk.red(`➖ Missing in ${envB} (only in ${envA}): ${chalk.bold(diff.removed.length)}${diff.removed.length ? ` - ${listSample(diff.removed)}` : ''}`));
+    console.log(chalk.red(`➖ Missing in ${envA} (only in ${envB}): ${chalk.bold(diff.added.length)}${diff.added.length ? ` - ${listSample(diff.added)}` : ''}`));
+    console.log(chalk.yellow(`✏️  Field mismatches: ${chalk.bold(mismatches.length)}`));
+    console.log(chalk.gray(`🟰 Matching: ${diff.unchanged}`));
+
+    const fieldRows = Object.entries(diff.fieldChanges).map(([field, items]) => ({ field, items }));
+    if (fieldRows.length > 0) {
+      console.log('');
+      this.printTable(fieldRows, ['field', 'items']);
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    const outputFilename = this.generateUniqueFilename(this.resultDir, `${resource.name}_reconciliation_${envA}_vs_${envB}_${timestamp}`, 'json');
+    const csvFilename = outputFilename.replace(/\.json$/, '.csv');
+    const report = {
+      resource: resource.name,
+      envs,
+      key,
+      fields: fieldsParam,
+      query: query || undefined,
+      ignore,
+      listings: { [envA]: listings[0].dataFilename, [envB]: listings[1].dataFilename },
+      totals: { [envA]: diff.a.records, [envB]: diff.b.records },
+      missing: { [envA]: diff.added.length, [envB]: diff.removed.length },
+      mismatched: mismatches.length,
+      matching: diff.unchanged,
+      fieldMismatches: diff.fieldChanges,
+      missingIn: { [envA]: diff.added, [envB]: diff.removed },
+      duplicates: { [envA]: diff.a.duplicates, [envB]: diff.b.duplicates },
+      mismatches
+    };
+    fs.writeFileSync(path.join(this.resultDir, outputFilename), JSON.stringify(report, null, 2));
+
+    // One row per missing item and per mismatched field
+    const columns = [key, 'status', 'field', envA, envB];
+    this.writeCsvRows(csvFilename, columns, [
+      ...diff.removed.map(id => ({ [key]: id, status: `missing_in_${envB}` })),
+      ...diff.added.map(id => ({ [key]: id, status: `missing_in_${envA}` })),
+      ...mismatches.flatMap(({ key: id, fields: fieldValues }) => Object.entries(fieldValues).map(([field, values]) => ({
+        [key]: id, status: 'mismatch', field, ...values
+      })))
+    ]);
+
+    console.log(chalk.cyan(`\n📄 Reconciliation report: ${outputFilename}`));
+    console.log(chalk.cyan(`📊 CSV output: ${csvFilename}\n`));
+    return report;
+  }
+
+  // formatTable() output with a bold header
+  printTable(rows, columns) {
+    formatTable(rows, columns).forEach((line, i) => console.log(i < 2 ? chalk.bold(line) : line));
+  }
+
+  // CSV in outputs/ with the columns in the given order
+  writeCsvRows(csvFilename, columns, rows) {
+    fs.writeFileSync(
+      path.join(this.resultDir, csvFilename),
+      [columns.join(','), ...rows.map(row => csvLine(row, columns))].join('\n') + '\n'
+    );
+  }
+
+  // Detected type of each path, printed as it goes
+  analyzeFieldPaths(items, paths) {
+    const analyses = {};
+    paths.forEach(fieldPath => {
+      const analysis = this.analyzeFieldType(items, fieldPath);
+      analyses[fieldPath] = analysis;
+      if (analysis.type === 'null' && !items.some(item => resolvePath(item, fieldPath).length > 0)) {
+        console.log(chalk.yellow(`\n⚠️  Field '${fieldPath}' not found in any items`));
+      } else {
+        console.log(chalk.gray(`\n📊 Field Analysis: ${fieldPath} is ${chalk.bold(analysis.type)} (${analysis.details})`));
+        if (analysis.examples) {
+          console.log(chalk.gray(`🔍 Examples: ${analysis.examples.map(example => JSON.stringify(example)).join(', ')}`));
+        }
+      }
+    });
+    return analyses;
+  }
+
+  applyExpression(items, ast, analyses) {
+    const { predicate, warnings } = compileExpression(ast, fieldPath => analyses[fieldPath].type);
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️  Warning: ${warning}`)));
+    return items.filter(predicate);
+  }
+
+  describeAnalyses(analyses) {
+    return Object.entries(analyses).map(([fieldName, analysis]) => ({
+      fieldName,
+      detectedType: analysis.type,
+      details: analysis.details,
+      examples: analysis.examples
+    }));
+  }
+
+  // field may be a path (shippingAddress.state, childSKUs[*].repositoryId)
+  analyzeFieldType(items, field) {
+    const samples = items
+      .flatMap(item => resolvePath(item, field))
+      .filter(value => value !== null && value !== undefined)
+      .slice(0, 100); // Analyze first 100 non-null values
+
+    if (samples.length === 0) {
+      return { type: 'null', details: 'All values are null/undefined' };
+    }
+
+    const analysis = {
+      booleanCount: 0,
+      numberCount: 0,
+      stringCount: 0,
+      dateCount: 0,
+      total: samples.length,
+      examples: samples.slice(0, 3)
+    };
+
+    samples.forEach(value => {
+      const strValue = String(value).toLowerCase();
+      
+      // Check boolean
+      if (strValue === 'true' || strValue === 'false' || typeof value === 'boolean') {
+        analysis.booleanCount++;
+      }
+      // Check number
+      else if (!isNaN(value) && !isNaN(parseFloat(value))) {
+        analysis.numberCount++;
+      }
+      // Check date
+      else if (typeof value === 'string' && this.isDateString(value)) {
+        analysis.dateCount++;
+      }
+      // String
+      else {
+        analysis.stringCount++;
+      }
+    });
+
+    // Determine primary type (>70% threshold)
+    const threshold = analysis.total * 0.7;
+    
+    if (analysis.booleanCount >= threshold) {
+      return { type: 'boolean', details: `${analysis.booleanCount}/${analysis.total} boolean values`, examples: analysis.examples };
+    }
+    if (analysis.numberCount >= threshold) {
+      return { type: 'number', details: `${analysis.numberCount}/${analysis.total} numeric values`, examples: analysis.examples };
+    }
+    if (analysis.dateCount >= threshold) {
+      return { type: 'date', details: `${analysis.dateCount}/${analysis.total} date values`, examples: analysis.examples };
+    }
+    
+    return { type: 'string', details: `${analysis.stringCount}/${analysis.total} string values`, examples: analysis.examples };
+  }
+
+  isDateString(value) {
+    // Common date patterns
+    const datePatterns = [
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/, // ISO 8601
+      /^\d{4}-\d{2}-\d{2}/, // YYYY-MM-DD
+      /^\d{2}\/\d{2}\/\d{4}/, // MM/DD/YYYY
+      /^\d{2}-\d{2}-\d{4}/, // DD-MM-YYYY
+    ];
+
+    if (typeof value !== 'string') return false;
+    
+    return datePatterns.some(pattern => pattern.test(value)) && !isNaN(Date.parse(value));
+  }
+
+  validateCondition(field, condition, fieldAnalysis) {
+    const { type } = fieldAnalysis;
+
+    console.log(chalk.gray(`📊 Field Analysis: ${field} is ${chalk.bold(type)} (${fieldAnalysis.details})`));
+    console.log(chalk.gray(`🔍 Examples: ${fieldAnalysis.examples.join(', ')}`));
+
+    // Validate condition format based on field type
+    switch (type) {
+      case 'boolean':
+        if (!['true', 'false'].includes(condition.toLowerCase())) {
+          console.log(chalk.yellow(`⚠️  Warning: Expected boolean value (true/false), got: ${condition}`));
+        }
+        break;
+        
+      case 'number':
+        const numericMatch = condition.match(/^([><=]+)?\s*(-?\d+\.?\d*)$/);
+        if (!numericMatch) {
+          console.log(chalk.yellow(`⚠️  Warning: Expected numeric condition (e.g., >100, <=50), got: ${condition}`));
+        }
+        break;
+        
+      case 'date':
+        if (condition.includes(' ') && condition.split(' ').length === 2) {
           const [start, end] = condition.split(' ');
           if (isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
             console.log(chalk.yellow(`⚠️  Warning: Expected date range (e.g., "2020-01-01 2023-12-31"), got: ${condition}`));
@@ -606,8 +1365,11 @@ class ProfileFetcher {
 
   isTokenExpired() {
     if (!this.tokenExpiresAt) return true;
-    // Check if token expires in the next 30 seconds (buffer time)
-    return Date.now() >= (this.tokenExpiresAt - 30000);
+    // Check if token expires in the next 30 seconds (buffer time), or past half
+    // the lifetime of a shorter-lived token, which would otherwise be expired
+    // as soon as it is issued
+    const buffer = this.tokenLifetime ? Math.min(30000, this.tokenLifetime / 2) : 30000;
+    return Date.now() >= (this.tokenExpiresAt - buffer);
   }
 
   async authenticate() {
@@ -627,10 +1389,13 @@ class ProfileFetcher {
 
       this.accessToken = response.data.access_token;
       // Set expiration time (response.expires_in is in seconds)
-      this.tokenExpiresAt = Date.now() + (response.data.expires_in * 1000);
+      this.tokenLifetime = response.data.expires_in * 1000;
+      this.tokenExpiresAt = Date.now() + this.tokenLifetime;
       
       spinner.succeed(chalk.green(`Authentication successful!`));
       console.log(chalk.yellow(`⏰ Token expires in ${response.data.expires_in} seconds\n`));
+
+      this.saveCachedToken();
       
       return this.accessToken;
     } catch (error) {
@@ -641,9 +1406,108 @@ class ProfileFetcher {
   }
 
   async ensureValidToken() {
-    if (!this.accessToken || this.isTokenExpired()) {
-      console.log(chalk.yellow('🔄 Token expired or missing, refreshing...'));
-      await this.authenticate();
+    if (this.accessToken && !this.isTokenExpired()) return;
+    // Concurrent workers share one login, as in refreshToken()
+    if (this.refreshPromise) return this.refreshPromise;
+    if (this.loadCachedToken()) return;
+
+    console.log(chalk.yellow('🔄 Token expired or missing, refreshing...'));
+    this.refreshPromise = this.authenticate().finally(() => {
+      this.refreshPromise = null;
+    });
+    return this.refreshPromise;
+  }
+
+  // Called when OCC rejects a token before its expiry (revoked, server restart...)
+  async refreshToken(rejectedToken = null) {
+    // Another request already replaced the rejected token
+    if (rejectedToken && this.accessToken && rejectedToken !== this.accessToken) return;
+
+    if (!this.refreshPromise) {
+      console.log(chalk.yellow('🔄 Token rejected by OCC (401), logging in again...'));
+      this.accessToken = null;
+      this.tokenExpiresAt = null;
+      try {
+        this.tokenCache.clear(this.environment);
+      } catch {
+        // A stale cache entry is overwritten by authenticate() anyway
+      }
+      this.refreshPromise = this.authenticate().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async request(options) {
+    return this.http.request({
+      onRetry: ({ attempt, maxRetries, delay, error }) => {
+        const reason = error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+        console.log(chalk.yellow(`    ⚠ Attempt ${attempt}/${maxRetries + 1} failed (${reason}). Retrying in ${(delay / 1000).toFixed(1)}s...`));
+      },
+      ...options
+    });
+  }
+
+  setRateLimit(rps) {
+    this.limits.rps = rps;
+    this.rateLimiter.setRate(rps, this.limits.burst);
+  }
+
+  // Pool for bulk operations; throttled responses seen by the HTTP client
+  // shrink its concurrency until OCC recovers
+  createPool(concurrency) {
+    this.activePool = new AdaptivePool({
+      concurrency,
+      onChange: (limit, reason) => {
+        const icon = reason === 'recovered' ? '🐇' : '🐢';
+        console.log(chalk.yellow(`${icon} Concurrency now ${chalk.bold(limit)} (${reason})`));
+      }
+    });
+    return this.activePool;
+  }
+
+  // Runs the worker pool over items. Ctrl+C lets the requests in flight
+  // finish so the caller still writes its report; a second Ctrl+C quits at
+  // once (callers checkpoint every outcome). Resolves true when interrupted
+  async runInterruptible(concurrency, items, worker) {
+    const pool = this.createPool(concurrency);
+    let interrupted = false;
+    const onInterrupt = () => {
+      if (interrupted) process.exit(130);
+      interrupted = true;
+      console.log(chalk.yellow('\n⏸️  Interrupted: finishing the requests in flight and saving the report (Ctrl+C again to quit now)...'));
+      pool.stop();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    try {
+      await pool.run(items, worker);
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+      this.activePool = null;
+    }
+    return interrupted;
+  }
+
+  loadCachedToken() {
+    const cached = this.tokenCache.get(this.environment, this.config.baseUrl, this.config.bearerToken);
+    if (!cached || cached.accessToken === this.accessToken) return false;
+
+    this.accessToken = cached.accessToken;
+    this.tokenExpiresAt = cached.tokenExpiresAt;
+    this.tokenLifetime = null;
+    const expiresIn = Math.round((cached.tokenExpiresAt - Date.now()) / 1000);
+    console.log(chalk.gray(`🔑 Reusing cached token for ${this.environment} (expires in ${expiresIn} seconds)\n`));
+    return true;
+  }
+
+  saveCachedToken() {
+    try {
+      this.tokenCache.set(this.environment, this.config.baseUrl, this.config.bearerToken, this.accessToken, this.tokenExpiresAt);
+    } catch (error) {
+      // The cache is an optimization; a read-only home folder must not break the run
+      console.log(chalk.gray(`  Could not write token cache: ${error.message}`));
     }
   }
 
@@ -696,7 +1560,8 @@ class ProfileFetcher {
     // Find the highest execution number for today
     let maxExecNumber = 0;
     const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const filenameRegex = new RegExp(`^${escapedPrefix}_\\d{2}-\\d{2}-\\d{4}(\\((\\d+)\\))?_\\d+\\.json$`);
+    // Pages and the .meta.json of a run that failed before its first page
+    const filenameRegex = new RegExp(`^${escapedPrefix}_\\d{2}-\\d{2}-\\d{4}(\\((\\d+)\\))?(_\\d+|\\.meta)\\.json$`);
     existingFiles.forEach(file => {
       const match = file.match(filenameRegex);
       if (match) {
@@ -709,10 +1574,21 @@ class ProfileFetcher {
     return `${prefix}_${dateStr}(${nextExecNumber})`;
   }
 
-  async searchProfiles(queryField, queryValue, fields = '', consolidate = false) {
+  // queryValue is optional: without it, queryField holds a full SCIM expression.
+  // where holds --where criteria (field:op:value), combined according to match
+  async searchProfiles(queryField, queryValue, fields = '', consolidate = false, where = [], match = 'all') {
+    // Validated before logging in so a bad query never reaches OCC
+    const queryParam = this.buildQueryParam(queryField, queryValue, where, match);
+
     await this.ensureValidToken();
 
-    console.log(chalk.cyan(`🔍 Searching profiles where ${chalk.bold(queryField)} contains "${chalk.bold(queryValue)}"...`));
+    fields = fields || this.getDefaultFields('profiles');
+
+    if (queryValue && where.length === 0) {
+      console.log(chalk.cyan(`🔍 Searching profiles where ${chalk.bold(queryField)} contains "${chalk.bold(queryValue)}"...`));
+    } else {
+      console.log(chalk.cyan(`🔍 Searching profiles matching ${chalk.bold(queryParam)}...`));
+    }
     if (fields) {
       console.log(chalk.gray(`📋 Selected fields: ${fields}\n`));
     }
@@ -726,6 +1602,18 @@ class ProfileFetcher {
       // Generate unique base name for this execution
       const baseName = this.generateUniqueBaseName('profile');
 
+      // With --c the query goes into the consolidated file; without it, into
+      // a .meta.json next to the pages, which consolidation does not read
+      const queryFilename = `${baseName}.meta.json`;
+      if (!consolidate) {
+        fs.writeFileSync(path.join(this.responsesDir, queryFilename), JSON.stringify({
+          query: queryParam,
+          fields: fields || null,
+          env: this.environment
+        }, null, 2));
+        console.log(chalk.gray(`💾 Query saved to: ${queryFilename}\n`));
+      }
+
       while (true) {
         // Ensure token is valid before each request
         await this.ensureValidToken();
@@ -734,27 +1622,19 @@ class ProfileFetcher {
         
         const spinner = ora(chalk.blue(`Making request ${requestCount} (offset: ${offset})...`)).start();
         
-        const queryParam = this.buildQueryParam(queryField, queryValue);
         const fieldsParam = this.buildFieldsParam(fields);
-        const url = `${this.config.baseUrl}${config.endpoints.profiles}`;
         
         const params = {
           q: queryParam,
           offset: offset,
-          limit: config.limits.profilesPerRequest
+          limit: this.limits.profilesPerRequest
         };
 
         if (fieldsParam) {
           params.fields = fieldsParam;
         }
         
-        const response = await axios.get(url, {
-          params,
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        });
+        const response = await this.request({ path: config.endpoints.profiles, params });
 
         const data = response.data;
         
@@ -778,7 +1658,7 @@ class ProfileFetcher {
         fetchedProfiles += data.items.length;
         
         // Verificar se ainda há mais profiles para buscar
-        if (fetchedProfiles >= totalProfiles || data.items.length < config.limits.profilesPerRequest) {
+        if (fetchedProfiles >= totalProfiles || data.items.length < this.limits.profilesPerRequest) {
           console.log(chalk.green.bold(`✅ Search completed!`));
           console.log(chalk.cyan(`📈 Total profiles fetched: ${chalk.bold(fetchedProfiles)}/${chalk.bold(totalProfiles)}`));
           console.log(chalk.cyan(`📁 Total files generated: ${chalk.bold(requestCount)}`));
@@ -794,11 +1674,12 @@ class ProfileFetcher {
             for (let i = 1; i <= requestCount; i++) {
               createdFiles.responseFiles.push(`${baseName}_${i}.json`);
             }
+            createdFiles.responseFiles.push(queryFilename);
           }
           
           // Consolidate results if requested and collect consolidated files
           if (consolidate) {
-            const consolidatedInfo = await this.consolidateResults(baseName, totalProfiles, consolidate, false);
+            const consolidatedInfo = await this.consolidateResults(baseName, totalProfiles, consolidate, false, false, { query: queryParam });
             if (consolidatedInfo) {
               createdFiles.consolidatedFiles = consolidatedInfo;
             }
@@ -810,10 +1691,7 @@ class ProfileFetcher {
           break;
         }
         
-        offset += config.limits.profilesPerRequest;
-        
-        // Pequena pausa entre requests para não sobrecarregar o servidor
-        await new Promise(resolve => setTimeout(resolve, 100));
+        offset += this.limits.profilesPerRequest;
       }
       
     } catch (error) {
@@ -822,42 +1700,186 @@ class ProfileFetcher {
     }
   }
 
-  async generateProductIdList(consolidatedResult, jsonFilename, paOnly = false) {
-    const spinner = ora(chalk.blue('📋 Generating product ID list CSV...')).start();
-
-    try {
-      const items = consolidatedResult.items;
+  // Every page of profiles matching any of the emails
+  async fetchProfilesByEmail(emails, fieldsParam) {
+    const q = toScim(or(...emails.map(email => compare('email', 'eq', email))));
+    const profiles = [];
+    let offset = 0;
 
-      if (items.length === 0) {
-        spinner.warn(chalk.yellow('No items to export to ID list'));
-        return;
+    while (true) {
+      const params = { q, offset, limit: this.limits.profilesPerRequest };
+      if (fieldsParam) {
+        params.fields = fieldsParam;
       }
+      const data = await this.fetchPage(config.endpoints.profiles, params);
+      profiles.push(...data.items);
+      offset += data.items.length;
+      if (data.items.length === 0 || offset >= readTotal(RESOURCES.profiles, data)) break;
+    }
+    return profiles;
+  }
 
-      // Extract IDs - try common ID field names
-      let ids = items.map(item => {
-        return item.id || item.repositoryId || item.productId || item.Id;
-      }).filter(id => id); // Remove undefined/null values
+  // Looks up a list of emails or profile IDs (one per line, see
+  // readProfileInputs). Emails go out in batches of OR'ed `email eq` filters,
+  // IDs as one GET each. The output has a row per input with its status:
+  // found, not_found, ambiguous (one row per matching profile) or error
+  async lookupProfiles(csvFile = null, fields = '', concurrency = 1, batchSize = 20) {
+    await this.ensureValidToken();
 
-      // Filter only IDs starting with "PA" if flag is set
-      if (paOnly) {
-        const originalCount = ids.length;
-        ids = ids.filter(id => id.startsWith('PA'));
-        const filteredCount = originalCount - ids.length;
-        if (filteredCount > 0) {
-          console.log(chalk.gray(`  Filtered out ${filteredCount} non-PA IDs`));
-        }
-      }
+    fields = fields || this.getDefaultFields('profiles');
 
-      if (ids.length === 0) {
-        spinner.warn(chalk.yellow('No valid IDs found after filtering'));
-        return;
+    try {
+      const { actualFileName, entries } = this.readProfileInputs(csvFile);
+      const inputs = entries.map(entry => entry.input);
+      const emails = inputs.filter(input => input.includes('@'));
+      const ids = inputs.filter(input => !input.includes('@'));
+
+      console.log(chalk.cyan(`🔍 Looking up ${chalk.bold(inputs.length)} profile(s) from ${chalk.bold(actualFileName)}...`));
+      console.log(chalk.gray(`📧 ${emails.length} email(s) in batches of ${batchSize}, 🆔 ${ids.length} ID(s) fetched one by one`));
+      if (fields) {
+        console.log(chalk.gray(`📋 Selected fields: ${fields}`));
       }
+      console.log('');
 
-      // Create CSV content - just IDs, one per line, no header
-      const csvContent = ids.join('\n');
+      // id and email are always fetched: rows need the ID, and emails are matched back to their input
+      const fieldList = fields ? _.uniq(['id', 'email', ...fields.split(',').map(field => field.trim()).filter(Boolean)]).join(',') : '';
+      const lookups = new Map();
+      const tasks = [
+        ..._.chunk(emails, batchSize).map(batch => ({ emails: batch })),
+        ...ids.map(id => ({ id }))
+      ];
 
-      // Create filename
-      const idListFilename = jsonFilename.replace('.json', '_ids.csv');
+      await this.createPool(concurrency).run(tasks, async (task, index) => {
+        const label = `[${index + 1}/${tasks.length}]`;
+        const spinner = ora(chalk.blue(task.id
+          ? `${label} Fetching profile ${chalk.bold(task.id)}...`
+          : `${label} Looking up ${chalk.bold(task.emails.length)} email(s)...`)).start();
+
+        try {
+          if (task.id) {
+            try {
+              const response = await this.request({
+                path: `${config.endpoints.profiles}/${encodeURIComponent(task.id)}`,
+                params: fieldList ? { fields: fieldList } : {}
+              });
+              lookups.set(task.id, { profiles: [response.data] });
+              spinner.succeed(chalk.green(`${label} Profile ${chalk.bold(task.id)} found`));
+            } catch (error) {
+              if (error.response?.status !== 404) throw error;
+              lookups.set(task.id, { profiles: [] });
+              spinner.warn(chalk.yellow(`${label} Profile ${chalk.bold(task.id)} not found (404)`));
+            }
+            return;
+          }
+
+          const profiles = await this.fetchProfilesByEmail(task.emails, this.buildFieldsParam(fieldList));
+          let found = 0;
+          task.emails.forEach(email => {
+            const matches = profiles.filter(profile => String(profile.email || '').toLowerCase() === email.toLowerCase());
+            if (matches.length > 0) found++;
+            lookups.set(email, { profiles: matches });
+          });
+          spinner.succeed(chalk.green(`${label} ${found}/${task.emails.length} email(s) found`));
+
+        } catch (error) {
+          const errorMsg = error.response?.data?.message || error.message;
+          (task.emails || [task.id]).forEach(input => lookups.set(input, { error: errorMsg, statusCode: error.response?.status }));
+          spinner.fail(chalk.red(`${label} Lookup failed: ${errorMsg}`));
+        }
+      });
+      this.activePool = null;
+
+      // Rows in input order; an ambiguous input gets a row per candidate profile
+      const summary = { found: 0, notFound: 0, ambiguous: 0, failed: 0 };
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const dataExtension = this.outputFormat === 'ndjson' ? 'ndjson' : 'json';
+      const outputFilename = this.generateUniqueFilename(this.resultDir, `profiles_lookup_${timestamp}`, dataExtension);
+      const outputBase = outputFilename.slice(0, -(dataExtension.length + 1));
+      const spool = this.createSpool(outputBase);
+
+      inputs.forEach(input => {
+        const { profiles, error, statusCode } = lookups.get(input);
+        if (error) {
+          summary.failed++;
+          spool.write({ input, status: 'error', error, statusCode });
+        } else if (profiles.length === 0) {
+          summary.notFound++;
+          spool.write({ input, status: 'not_found', matches: 0 });
+        } else {
+          const status = profiles.length === 1 ? 'found' : 'ambiguous';
+          summary[status]++;
+          // The lookup columns win over profile fields of the same name
+          profiles.forEach(profile => spool.write({ ...profile, input, status, matches: profiles.length }));
+        }
+      });
+
+      const { csvFilename } = await this.writeOutput(spool, outputBase, {
+        total: spool.count,
+        env: this.environment,
+        source: actualFileName,
+        inputs: inputs.length,
+        ...summary
+      });
+
+      console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+      console.log(chalk.blue.bold('📊 PROFILE LOOKUP REPORT'));
+      console.log(chalk.blue.bold('='.repeat(60)));
+      console.log(chalk.cyan(`🎯 Total inputs: ${chalk.bold(inputs.length)}`));
+      console.log(chalk.green(`✅ Found: ${chalk.bold(summary.found)}`));
+      console.log(chalk.yellow(`🔎 Not found: ${chalk.bold(summary.notFound)}`));
+      console.log(chalk.yellow(`👥 Ambiguous (several profiles): ${chalk.bold(summary.ambiguous)}`));
+      console.log(chalk.red(`❌ Failed: ${chalk.bold(summary.failed)}`));
+      console.log(chalk.gray(`📁 Results saved to: ${outputFilename}`));
+      if (csvFilename) {
+        console.log(chalk.gray(`📁 CSV saved to: ${csvFilename}`));
+      }
+      console.log(chalk.blue.bold('='.repeat(60) + '\n'));
+
+      return { ...summary, inputs: inputs.length, outputFile: outputFilename };
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error looking up profiles:'), error.message);
+      throw error;
+    }
+  }
+
+  // items can be any iterable, e.g. readNdjson() over the consolidation spool
+  async generateProductIdList(items, baseFilename, validOnly = false) {
+    const spinner = ora(chalk.blue('📋 Generating product ID list CSV...')).start();
+
+    try {
+      // Extract IDs - try common ID field names
+      let ids = [];
+      for (const item of items) {
+        const id = item.id || item.repositoryId || item.productId || item.Id;
+        if (id) ids.push(id);
+      }
+
+      if (ids.length === 0) {
+        spinner.warn(chalk.yellow('No items to export to ID list'));
+        return;
+      }
+
+      // The list usually feeds a delete, so protected IDs are left out too
+      if (validOnly) {
+        const originalCount = ids.length;
+        ids = ids.filter(id => !this.idPolicy.check(id));
+        const filteredCount = originalCount - ids.length;
+        if (filteredCount > 0) {
+          console.log(chalk.gray(`  Filtered out ${filteredCount} IDs rejected by the ID policy`));
+        }
+      }
+
+      if (ids.length === 0) {
+        spinner.warn(chalk.yellow('No valid IDs found after filtering'));
+        return;
+      }
+
+      // Create CSV content - just IDs, one per line, no header
+      const csvContent = ids.join('\n');
+
+      // Create filename
+      const idListFilename = `${baseFilename}_ids.csv`;
       const csvFilepath = path.join(this.resultDir, idListFilename);
 
       fs.writeFileSync(csvFilepath, csvContent, 'utf8');
@@ -875,693 +1897,1950 @@ class ProfileFetcher {
     }
   }
 
-  async searchProducts(query, fields = '', consolidate = false, generateIdList = false, paOnly = false) {
+  async searchProducts(query, fields = '', consolidate = false, generateIdList = false, validOnly = false, concurrency = this.limits.pageConcurrency) {
+    validateScim(query);
     await this.ensureValidToken();
 
+    fields = fields || this.getDefaultFields('products');
+
     console.log(chalk.cyan(`🔍 Searching products with query "${chalk.bold(query)}"...`));
     if (fields) {
       console.log(chalk.gray(`📋 Selected fields: ${fields}\n`));
     }
 
     try {
-      let offset = 0;
-      let totalProducts = 0;
-      let fetchedProducts = 0;
-      let requestCount = 0;
-
+      const limit = this.limits.profilesPerRequest;
+      const fieldsParam = this.buildFieldsParam(fields);
       const baseName = this.generateUniqueBaseName('products');
+      let fetchedProducts = 0;
 
-      while (true) {
-        await this.ensureValidToken();
-
-        requestCount++;
-
-        const spinner = ora(chalk.blue(`Making request ${requestCount} (offset: ${offset})...`)).start();
-
-        const fieldsParam = this.buildFieldsParam(fields);
-        const url = `${this.config.baseUrl}${config.endpoints.products}`;
-
+      const pageParams = offset => {
         const params = {
           q: query,
           offset: offset,
-          limit: config.limits.profilesPerRequest
+          limit
         };
 
         if (fieldsParam) {
           params.fields = fieldsParam;
         }
+        return params;
+      };
 
-        const response = await axios.get(url, {
-          params,
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          }
+      // Each page is saved as <baseName>_<page>.json, numbered by offset, so
+      // consolidation puts them back in order however they arrive
+      const savePage = (offset, data) => {
+        const filename = `${baseName}_${offset / limit + 1}.json`;
+        fs.writeFileSync(path.join(this.responsesDir, filename), JSON.stringify(data, null, 2));
+        fetchedProducts += data.items.length;
+      };
+
+      const spinner = ora(chalk.blue('Making request 1 (offset: 0)...')).start();
+      const firstPage = await this.fetchPage(config.endpoints.products, pageParams(0));
+      const totalProducts = firstPage.totalResults;
+      spinner.succeed(chalk.green('Request 1 completed'));
+      console.log(chalk.magenta(`📊 Total products found: ${chalk.bold(totalProducts)}`));
+      savePage(0, firstPage);
+
+      const offsets = firstPage.items.length < limit ? [] : pageOffsets(limit, totalProducts, limit);
+      const requestCount = offsets.length + 1;
+
+      if (offsets.length > 0) {
+        console.log(chalk.gray(`⚡ Fetching ${chalk.bold(offsets.length)} remaining pages, up to ${chalk.bold(concurrency)} at a time\n`));
+
+        const failed = await this.fetchPages(config.endpoints.products, offsets, pageParams, {
+          concurrency,
+          progress: new PageProgress(requestCount, 1),
+          onPage: savePage
         });
 
-        const data = response.data;
+        if (failed.length > 0) {
+          failed.forEach(({ page, message }) => {
+            console.log(chalk.red(`  ✖ Offset ${page} failed: ${message}`));
+          });
+          throw new Error(`${failed.length} page(s) could not be fetched (offsets: ${failed.map(({ page }) => page).join(', ')})`);
+        }
+      }
 
-        if (requestCount === 1) {
-          totalProducts = data.totalResults;
-          spinner.succeed(chalk.green(`Request ${requestCount} completed`));
-          console.log(chalk.magenta(`📊 Total products found: ${chalk.bold(totalProducts)}`));
-        } else {
-          spinner.succeed(chalk.green(`Request ${requestCount} completed`));
+      console.log(chalk.green.bold(`✅ Search completed!`));
+      console.log(chalk.cyan(`📈 Total products fetched: ${chalk.bold(fetchedProducts)}/${chalk.bold(totalProducts)}`));
+      console.log(chalk.cyan(`📁 Total files generated: ${chalk.bold(requestCount)}`));
+
+      const createdFiles = {
+        responseFiles: [],
+        consolidatedFiles: []
+      };
+
+      if (!consolidate && !generateIdList) {
+        for (let i = 1; i <= requestCount; i++) {
+          createdFiles.responseFiles.push(`${baseName}_${i}.json`);
         }
+      }
 
-        const filename = `${baseName}_${requestCount}.json`;
-        const filepath = path.join(this.responsesDir, filename);
+      if (consolidate || generateIdList) {
+        // The ID list, if requested, is written from the consolidation spool
+        const consolidatedInfo = await this.consolidateResults(baseName, totalProducts, true, validOnly, generateIdList);
+        if (consolidatedInfo) {
+          createdFiles.consolidatedFiles = consolidatedInfo;
+        }
+      }
 
-        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-        console.log(chalk.gray(`💾 Response saved to: ${filename}`));
-        console.log(chalk.gray(`📄 Products in this response: ${data.items.length}\n`));
+      this.displayCreatedFilesSummary(createdFiles, consolidate || generateIdList);
 
-        fetchedProducts += data.items.length;
+    } catch (error) {
+      console.error(chalk.red('❌ Error searching products:'), error.response?.data || error.message);
+      throw error;
+    }
+  }
 
-        if (fetchedProducts >= totalProducts || data.items.length < config.limits.profilesPerRequest) {
-          console.log(chalk.green.bold(`✅ Search completed!`));
-          console.log(chalk.cyan(`📈 Total products fetched: ${chalk.bold(fetchedProducts)}/${chalk.bold(totalProducts)}`));
-          console.log(chalk.cyan(`📁 Total files generated: ${chalk.bold(requestCount)}`));
+  async fetchPage(endpoint, params) {
+    const response = await this.request({ path: endpoint, params });
+    return response.data;
+  }
 
-          const createdFiles = {
-            responseFiles: [],
-            consolidatedFiles: []
-          };
+  // Fetches pages through the adaptive pool, showing pages done out of the total
+  // and an ETA. A page is anything buildParams(page) can turn into query params
+  // (an offset, or a date window plus offset). onPage(page, data) runs as each
+  // page lands, in any order; pages that still fail after retries are returned
+  // in input order
+  async fetchPages(endpoint, pages, buildParams, { concurrency, progress, onPage }) {
+    const failed = [];
+    const spinner = ora(chalk.blue(progress.describe())).start();
 
-          if (!consolidate && !generateIdList) {
-            for (let i = 1; i <= requestCount; i++) {
-              createdFiles.responseFiles.push(`${baseName}_${i}.json`);
-            }
-          }
+    await this.createPool(concurrency).run(pages, async (page, index) => {
+      try {
+        const data = await this.fetchPage(endpoint, buildParams(page));
+        onPage(page, data);
+      } catch (error) {
+        failed.push({ page, index, message: error.response?.data?.message || error.message });
+      }
+      progress.tick();
+      spinner.text = chalk.blue(progress.describe());
+    });
+    this.activePool = null;
 
-          if (consolidate || generateIdList) {
-            const consolidatedInfo = await this.consolidateResults(baseName, totalProducts, true, paOnly);
-            if (consolidatedInfo) {
-              createdFiles.consolidatedFiles = consolidatedInfo;
+    const summary = `Pages ${progress.donePages}/${progress.totalPages} fetched`;
+    if (failed.length > 0) {
+      spinner.warn(chalk.yellow(`${summary}, ${failed.length} failed`));
+    } else {
+      spinner.succeed(chalk.green(summary));
+    }
 
-              // Generate ID list if requested
-              if (generateIdList) {
-                const consolidatedFilePath = path.join(this.resultDir, consolidatedInfo[0]);
-                const consolidatedData = JSON.parse(fs.readFileSync(consolidatedFilePath, 'utf8'));
-                const idListFile = await this.generateProductIdList(consolidatedData, consolidatedInfo[0], paOnly);
-                if (idListFile) {
-                  createdFiles.consolidatedFiles.push(idListFile);
-                }
-              }
-            }
-          }
+    return failed.sort((a, b) => a.index - b.index);
+  }
 
-          this.displayCreatedFilesSummary(createdFiles, consolidate || generateIdList);
+  // Date-window pagination for listEntities (see lib/dateWindows.js): plans
+  // windows on windowField that each hold at most limits.maxWindowResults
+  // items, then fetches every window with small offsets. Pages are handed to
+  // savePage(key, items) with "<window>_<offset>" keys in window order
+  async fetchByDateWindows(resource, query, fields, windowField, concurrency, savePage) {
+    const endpoint = resource.endpoint;
+    const limit = this.limits.profilesPerRequest;
+    const maxResults = Math.max(limit, this.limits.maxWindowResults);
+    const baseParams = { queryFormat: 'SCIM', useAdvancedQParser: true };
+
+    const countMatching = async q => {
+      const data = await this.fetchPage(endpoint, { ...baseParams, q, fields: windowField, offset: 0, limit: 1 });
+      return readTotal(resource, data);
+    };
 
-          break;
-        }
+    // Earliest/latest value of the window field among the matching items
+    const boundary = async sortOrder => {
+      const data = await this.fetchPage(endpoint, {
+        ...baseParams,
+        q: andQuery(query, `${windowField} pr`),
+        fields: windowField,
+        sortBy: windowField,
+        sortOrder,
+        offset: 0,
+        limit: 1
+      });
+      const value = data.items[0]?.[windowField];
+      return value ? Date.parse(value) : null;
+    };
 
-        offset += config.limits.profilesPerRequest;
+    const spinner = ora(chalk.blue(`Planning date windows on ${windowField} (up to ${maxResults} items each)...`)).start();
+    let windows;
+    let totalInOCC;
+    try {
+      totalInOCC = await countMatching(query);
+      const earliest = await boundary('asc');
+      const latest = await boundary('desc');
+
+      let splits = 0;
+      windows = earliest === null || latest === null
+        ? []
+        : await planWindows(
+          { start: earliest, end: latest + 1 },
+          maxResults,
+          window => countMatching(windowQuery(query, windowField, window)),
+          () => {
+            splits++;
+            spinner.text = chalk.blue(`Planning date windows on ${windowField}... (${splits} windows split)`);
+          }
+        );
 
-        await new Promise(resolve => setTimeout(resolve, 100));
+      const undatedTotal = await countMatching(undatedQuery(query, windowField));
+      if (undatedTotal > 0) {
+        windows.push({ undated: true, total: undatedTotal });
       }
-
     } catch (error) {
-      console.error(chalk.red('❌ Error searching products:'), error.response?.data || error.message);
+      spinner.fail(chalk.red(`Could not plan date windows on ${windowField}`));
       throw error;
     }
-  }
 
-  async fetchPage(endpoint, params) {
-    const MAX_RETRIES = 3;
-    const RETRY_DELAYS = [3000, 5000, 10000];
+    const plannedTotal = windows.reduce((sum, window) => sum + window.total, 0);
+    spinner.succeed(chalk.green(`Planned ${windows.length} date windows on ${windowField}`));
+    console.log(chalk.magenta(`📊 Total in OCC: ${chalk.bold(totalInOCC)}`));
 
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      await this.ensureValidToken();
+    windows.filter(window => window.oversized).forEach(window => {
+      console.log(chalk.yellow(`⚠️  ${window.total} items share ${windowField} ${toIso(window.start)}; that window falls back to deep offsets`));
+    });
+    if (plannedTotal !== totalInOCC) {
+      console.log(chalk.yellow(`⚠️  Windows add up to ${plannedTotal} items but the query matches ${totalInOCC}; data changed while planning`));
+    }
+
+    const windowParams = window => (window.undated
+      ? undatedQuery(query, windowField)
+      : windowQuery(query, windowField, window));
+
+    const pages = windows.flatMap((window, index) => pageOffsets(0, window.total, limit)
+      .map(pageOffset => ({ window, offset: pageOffset, key: `${index}_${pageOffset}` })));
+    const pageParams = page => ({
+      ...baseParams,
+      q: windowParams(page.window),
+      fields: fields,
+      offset: page.offset,
+      limit
+    });
+
+    console.log(chalk.gray(`⚡ Fetching ${chalk.bold(pages.length)} pages, up to ${chalk.bold(concurrency)} at a time\n`));
+    const failed = await this.fetchPages(endpoint, pages, pageParams, {
+      concurrency,
+      progress: new PageProgress(pages.length),
+      onPage: (page, data) => savePage(page.key, data.items)
+    });
+
+    // One more sequential attempt for pages that failed in the pool
+    const stillFailed = [];
+    for (const { page } of failed) {
       try {
-        const response = await axios.get(`${this.config.baseUrl}${endpoint}`, {
-          params,
-          headers: { 'Authorization': `Bearer ${this.accessToken}`, 'Content-Type': 'application/json' }
-        });
-        return response.data;
-      } catch (reqError) {
-        if (attempt < MAX_RETRIES) {
-          const delay = RETRY_DELAYS[attempt - 1];
-          console.log(chalk.yellow(`    ⚠ Attempt ${attempt}/${MAX_RETRIES} failed. Retrying in ${delay / 1000}s...`));
-          await new Promise(resolve => setTimeout(resolve, delay));
-        } else {
-          throw reqError;
-        }
+        const data = await this.fetchPage(endpoint, pageParams(page));
+        savePage(page.key, data.items);
+      } catch (error) {
+        stillFailed.push(page);
       }
     }
+
+    return {
+      totalInOCC,
+      failedWindows: stillFailed.map(({ window, offset }) => (window.undated
+        ? { undated: true, offset }
+        : { from: toIso(window.start), to: toIso(window.end), offset }))
+    };
   }
 
-  async listEntities(entityType, endpoint, query, fields, allPages = false, resumeFile = null) {
+  // Lists any collection in lib/resources.js. query is optional; fields default
+  // to the environment's defaultFields, then the registry's. windowField
+  // switches from offset paging to date-window paging on that field. fileTag
+  // goes into the file name (<resource>_list_<tag>_<timestamp>) so listings of
+  // several environments made in the same second do not overwrite each other
+  async listEntities(resourceName, query, fields = null, allPages = false, resumeFile = null, concurrency = this.limits.pageConcurrency, windowField = null, fileTag = null) {
+    const resource = findResource(resourceName);
+    const entityType = resource.name;
+    const listBase = fileTag ? `${entityType}_list_${fileTag}` : `${entityType}_list`;
+    const endpoint = resource.endpoint;
+    const queryAst = query ? validateScim(query) : null;
+    fields = fields || this.getDefaultFields(entityType, resource.defaultFields);
+
     await this.ensureValidToken();
 
-    let allItems = [];
+    if (windowField && resumeFile) {
+      throw new Error('--resume only works with offset pagination; run the --window listing again instead');
+    }
+
+    const limit = this.limits.profilesPerRequest;
     let totalItemsInOCC = 0;
+    // Next offset that has not been scheduled yet
     let offset = 0;
-    let requestCount = 0;
     let failedOffsets = [];
+    let failedWindows = [];
+
+    // Every page is spooled to its own NDJSON file so pages can land in any
+    // order; they are stitched back together in offset order at the end.
+    // Keys are an offset, or "<window>_<offset>" for date windows
+    const pagesDir = fs.mkdtempSync(path.join(this.responsesDir, `${entityType}_pages_`));
+    const RESUMED_PAGE = 'resumed';
+    const pageFile = key => path.join(pagesDir, `${key}.ndjson`);
+    const savePage = (key, items) => {
+      const writer = new NdjsonWriter(pageFile(key));
+      writer.writeAll(items);
+      writer.close();
+    };
 
-    // Parse date filter from query for post-fetch filtering
-    const dateMatch = query.match(/(\w+)\s+lt\s+"([^"]+)"/);
-    const dateField = dateMatch ? dateMatch[1] : null;
-    const dateCutoff = dateMatch ? new Date(dateMatch[2]) : null;
+    const pageParams = pageOffset => ({
+      q: query,
+      queryFormat: 'SCIM',
+      useAdvancedQParser: true,
+      fields: fields,
+      offset: pageOffset,
+      limit
+    });
+
+    const postFilter = queryAst ? this.buildPostFilter(queryAst, fields) : { filter: null, missing: [] };
+
+    // Streams resumed items and every saved page into an output spool,
+    // de-duplicated and with the query filter applied
+    const spoolPages = (baseFilename, applyQueryFilter) => {
+      const spool = this.createSpool(baseFilename);
+      const isFirstSeen = uniqueById();
+      let filtered = 0;
+
+      const keyParts = key => (key === RESUMED_PAGE ? [-1] : key.split('_').map(Number));
+      const keys = fs.readdirSync(pagesDir)
+        .map(file => file.replace(/\.ndjson$/, ''))
+        .sort((a, b) => {
+          const [partsA, partsB] = [keyParts(a), keyParts(b)];
+          const index = partsA.findIndex((part, i) => part !== partsB[i]);
+          return index === -1 ? 0 : partsA[index] - partsB[index];
+        });
+
+      for (const key of keys) {
+        for (const item of readNdjson(pageFile(key))) {
+          if (applyQueryFilter && postFilter.filter && !postFilter.filter(item)) {
+            filtered++;
+            continue;
+          }
+          if (isFirstSeen(item)) spool.write(item);
+        }
+      }
+      return { spool, filtered };
+    };
 
     console.log(chalk.cyan(`🔍 Listing ${entityType}...`));
     console.log(chalk.gray(`📋 Selected fields: ${fields}`));
-    if (dateCutoff) {
-      console.log(chalk.gray(`📅 Date filter: ${dateField} < ${dateCutoff.toISOString()} (applied after fetch)\n`));
-    }
-
-    // Resume from partial file
-    if (resumeFile) {
-      const resumePath = path.join(this.resultDir, resumeFile);
-      if (!fs.existsSync(resumePath)) {
-        throw new Error(`Resume file not found: ${resumeFile}`);
-      }
-      const partialData = JSON.parse(fs.readFileSync(resumePath, 'utf8'));
-      allItems = partialData.items;
-      offset = partialData.lastOffset;
-      totalItemsInOCC = partialData.totalInOCC || 0;
-      failedOffsets = partialData.failedOffsets || [];
-      requestCount = Math.floor(offset / config.limits.profilesPerRequest);
-      console.log(chalk.yellow(`🔄 Resuming from partial file: ${resumeFile}`));
-      console.log(chalk.yellow(`   Loaded ${chalk.bold(allItems.length)} ${entityType} | Continuing from offset ${chalk.bold(offset)}`));
-      if (failedOffsets.length > 0) {
-        console.log(chalk.yellow(`   ${failedOffsets.length} failed offsets to retry: ${failedOffsets.join(', ')}`));
-      }
+    if (postFilter.filter) {
+      console.log(chalk.gray(`🔎 Query filter: ${query} (applied after fetch)\n`));
+    } else if (postFilter.missing.length > 0) {
+      console.log(chalk.yellow(`⚠️  Query uses fields that are not fetched (${postFilter.missing.join(', ')}); results are not filtered after fetch\n`));
+    } else {
       console.log('');
     }
 
     try {
-      // Main fetch loop
-      while (true) {
-        requestCount++;
-
-        const params = {
-          q: query,
-          queryFormat: 'SCIM',
-          useAdvancedQParser: true,
-          fields: fields,
-          offset: offset,
-          limit: config.limits.profilesPerRequest
-        };
-
-        const spinner = ora(chalk.blue(`Making request ${requestCount} (offset: ${offset})...`)).start();
-
-        try {
-          const data = await this.fetchPage(endpoint, params);
+      // Resume from partial file (JSON or NDJSON)
+      if (resumeFile) {
+        const partial = this.loadOutput(resumeFile);
+        const resumed = new NdjsonWriter(pageFile(RESUMED_PAGE));
+        for (const item of partial.items) {
+          resumed.write(item);
+        }
+        resumed.close();
+
+        offset = partial.header.lastOffset || 0;
+        totalItemsInOCC = partial.header.totalInOCC || 0;
+        failedOffsets = partial.header.failedOffsets || [];
+        console.log(chalk.yellow(`🔄 Resuming from partial file: ${resumeFile}`));
+        console.log(chalk.yellow(`   Loaded ${chalk.bold(resumed.count)} ${entityType} | Continuing from offset ${chalk.bold(offset)}`));
+        if (failedOffsets.length > 0) {
+          console.log(chalk.yellow(`   ${failedOffsets.length} failed offsets to retry: ${failedOffsets.join(', ')}`));
+        }
+        console.log('');
+      }
+    } catch (error) {
+      fs.rmSync(pagesDir, { recursive: true, force: true });
+      throw error;
+    }
 
-          if (requestCount === 1 && totalItemsInOCC === 0) {
-            totalItemsInOCC = data.totalResults;
-            spinner.succeed(chalk.green(`Request ${requestCount} completed`));
-            console.log(chalk.magenta(`📊 Total ${entityType} in OCC: ${chalk.bold(totalItemsInOCC)}`));
-          } else {
-            spinner.succeed(chalk.green(`Request ${requestCount} completed (${data.items.length} items)`));
+    try {
+      if (windowField) {
+        const result = await this.fetchByDateWindows(resource, query, fields, windowField, concurrency, savePage);
+        totalItemsInOCC = result.totalInOCC;
+        failedWindows = result.failedWindows;
+      } else {
+        // The first page tells us how many items there are; the rest can then be fetched in parallel
+        if (totalItemsInOCC === 0 || !allPages) {
+          const spinner = ora(chalk.blue(`Making request 1 (offset: ${offset})...`)).start();
+          let data;
+          try {
+            data = await this.fetchPage(endpoint, pageParams(offset));
+          } catch (reqError) {
+            spinner.fail(chalk.red(`Request 1 failed (offset: ${offset})`));
+            throw reqError;
           }
 
-          allItems.push(...data.items);
+          totalItemsInOCC = readTotal(resource, data);
+          spinner.succeed(chalk.green(`Request 1 completed (${data.items.length} items)`));
+          console.log(chalk.magenta(`📊 Total ${entityType} in OCC: ${chalk.bold(totalItemsInOCC)}`));
+
+          savePage(offset, data.items);
+          offset += limit;
 
           if (!allPages) {
             console.log(chalk.yellow(`\n⚠️  Fetched first page only (${data.items.length}/${totalItemsInOCC}). Use --all to fetch all pages.\n`));
-            break;
           }
+        }
 
-          if (offset + config.limits.profilesPerRequest >= totalItemsInOCC || data.items.length < config.limits.profilesPerRequest) {
-            break;
-          }
-        } catch (reqError) {
-          spinner.fail(chalk.red(`Request ${requestCount} failed (offset: ${offset}) - skipping`));
-          console.log(chalk.gray(`  Error: ${reqError.response?.data?.message || reqError.message}\n`));
-          failedOffsets.push(offset);
+        if (allPages) {
+          const offsets = pageOffsets(offset, totalItemsInOCC, limit);
 
-          if (!allPages) break;
+          if (offsets.length > 0) {
+            const totalPages = Math.ceil(totalItemsInOCC / limit);
+            console.log(chalk.gray(`⚡ Fetching ${chalk.bold(offsets.length)} remaining pages, up to ${chalk.bold(concurrency)} at a time\n`));
+
+            const failed = await this.fetchPages(endpoint, offsets, pageParams, {
+              concurrency,
+              progress: new PageProgress(totalPages, totalPages - offsets.length),
+              onPage: (pageOffset, data) => savePage(pageOffset, data.items)
+            });
 
-          // Check if we should stop (offset beyond total)
-          if (totalItemsInOCC > 0 && offset + config.limits.profilesPerRequest >= totalItemsInOCC) {
-            break;
+            failed.forEach(({ page: failedOffset, message }) => {
+              console.log(chalk.red(`  ✖ Offset ${failedOffset} failed - skipping`));
+              console.log(chalk.gray(`    Error: ${message}`));
+              failedOffsets.push(failedOffset);
+            });
+            offset = offsets[offsets.length - 1] + limit;
           }
         }
 
-        offset += config.limits.profilesPerRequest;
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      // Retry failed offsets
-      if (failedOffsets.length > 0) {
-        console.log(chalk.yellow(`\n🔄 Retrying ${chalk.bold(failedOffsets.length)} failed offsets...\n`));
-        const stillFailed = [];
-
-        for (const failedOffset of failedOffsets) {
-          const params = {
-            fields: fields,
-            offset: failedOffset,
-            limit: config.limits.profilesPerRequest
-          };
-
-          const spinner = ora(chalk.blue(`Retrying offset ${failedOffset}...`)).start();
+        // Retry failed offsets
+        if (failedOffsets.length > 0) {
+          console.log(chalk.yellow(`\n🔄 Retrying ${chalk.bold(failedOffsets.length)} failed offsets...\n`));
+          const stillFailed = [];
+
+          for (const failedOffset of failedOffsets) {
+            const spinner = ora(chalk.blue(`Retrying offset ${failedOffset}...`)).start();
+
+            try {
+              const data = await this.fetchPage(endpoint, pageParams(failedOffset));
+              spinner.succeed(chalk.green(`Offset ${failedOffset} recovered (${data.items.length} items)`));
+              savePage(failedOffset, data.items);
+            } catch (reqError) {
+              spinner.fail(chalk.red(`Offset ${failedOffset} failed again`));
+              stillFailed.push(failedOffset);
+            }
 
-          try {
-            const data = await this.fetchPage(endpoint, params);
-            spinner.succeed(chalk.green(`Offset ${failedOffset} recovered (${data.items.length} items)`));
-            allItems.push(...data.items);
-          } catch (reqError) {
-            spinner.fail(chalk.red(`Offset ${failedOffset} failed again`));
-            stillFailed.push(failedOffset);
+            await new Promise(resolve => setTimeout(resolve, 1000));
           }
 
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          failedOffsets = stillFailed;
         }
-
-        failedOffsets = stillFailed;
       }
 
-      // Apply date filter if present
-      if (dateCutoff && dateField) {
-        const beforeFilter = allItems.length;
-        allItems = allItems.filter(item => {
-          const itemDate = item[dateField];
-          if (!itemDate) return false;
-          return new Date(itemDate) < dateCutoff;
-        });
-        const filtered = beforeFilter - allItems.length;
-        if (filtered > 0) {
-          console.log(chalk.gray(`🔽 Filtered out ${filtered} ${entityType} with ${dateField} >= ${dateCutoff.toISOString()}`));
-        }
+      // Generate timestamp for filenames
+      const now = new Date();
+      const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+
+      const partial = failedOffsets.length > 0 || failedWindows.length > 0;
+      const baseFilename = partial
+        ? `${listBase}_${timestamp}_partial`
+        : `${listBase}_${timestamp}`;
+
+      // Apply the query filter
+      const { spool, filtered } = spoolPages(baseFilename, true);
+      if (filtered > 0) {
+        console.log(chalk.gray(`🔽 Filtered out ${filtered} ${entityType} not matching the query`));
       }
 
       console.log(chalk.green.bold(`\n✅ Fetch completed!`));
-      console.log(chalk.cyan(`📈 Total ${entityType} after filter: ${chalk.bold(allItems.length)}`));
+      console.log(chalk.cyan(`📈 Total ${entityType} after filter: ${chalk.bold(spool.count)}`));
       if (failedOffsets.length > 0) {
         console.log(chalk.yellow(`⚠️  ${failedOffsets.length} offsets could not be recovered: ${failedOffsets.join(', ')}`));
       }
+      if (failedWindows.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${failedWindows.length} date window pages could not be recovered`));
+      }
 
-      // Generate timestamp for filenames
-      const now = new Date();
-      const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-
-      const jsonFilename = failedOffsets.length > 0
-        ? `${entityType}_list_${timestamp}_partial.json`
-        : `${entityType}_list_${timestamp}.json`;
-
-      const jsonResult = {
-        total: allItems.length,
+      const header = {
+        total: spool.count,
         totalInOCC: totalItemsInOCC,
-        env: this.environment,
-        items: allItems
+        env: this.environment
       };
 
       if (failedOffsets.length > 0) {
-        jsonResult.partial = true;
-        jsonResult.lastOffset = offset;
-        jsonResult.failedOffsets = failedOffsets;
+        header.partial = true;
+        header.lastOffset = offset;
+        header.failedOffsets = failedOffsets;
+      }
+      if (failedWindows.length > 0) {
+        header.partial = true;
+        header.failedWindows = failedWindows;
+      }
+      // retryFailed fetches the missing pages with the same query and fields
+      if (header.partial) {
+        header.query = query || null;
+        header.fields = fields;
       }
 
-      const jsonFilepath = path.join(this.resultDir, jsonFilename);
-      fs.writeFileSync(jsonFilepath, JSON.stringify(jsonResult, null, 2));
-      console.log(chalk.cyan(`📄 JSON file: ${jsonFilename}`));
-
-      // Generate CSV
-      await this.generateCSV(jsonResult, jsonFilename);
+      const { dataFilename } = await this.writeOutput(spool, baseFilename, header);
+      console.log(chalk.cyan(`📄 ${this.outputFormat.toUpperCase()} file: ${dataFilename}`));
 
       console.log(chalk.cyan(`\n📁 Files saved in: outputs/`));
 
       if (failedOffsets.length > 0) {
-        console.log(chalk.yellow(`\n⚠️  Use --resume ${jsonFilename} to retry the ${failedOffsets.length} missing offsets.`));
+        console.log(chalk.yellow(`\n⚠️  Use --resume ${dataFilename} to retry the ${failedOffsets.length} missing offsets.`));
       }
+      if (failedWindows.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  The missing windows are listed in failedWindows; run the listing again to fetch them.`));
+      }
+      return { dataFilename, total: spool.count, partial };
 
     } catch (error) {
       console.error(chalk.red(`\n❌ Unexpected error listing ${entityType}:`), error.message);
 
-      if (allItems.length > 0) {
-        console.log(chalk.yellow(`\n💾 Saving ${chalk.bold(allItems.length)} ${entityType} collected so far...`));
+      const now = new Date();
+      const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+      const baseFilename = `${listBase}_${timestamp}_partial`;
 
-        const now = new Date();
-        const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+      // Saved as collected, without the date filter
+      const { spool } = spoolPages(baseFilename, false);
+      if (spool.count > 0) {
+        console.log(chalk.yellow(`\n💾 Saving ${chalk.bold(spool.count)} ${entityType} collected so far...`));
 
-        const jsonFilename = `${entityType}_list_${timestamp}_partial.json`;
-        const jsonResult = {
-          total: allItems.length,
+        const { dataFilename } = await this.writeOutput(spool, baseFilename, {
+          total: spool.count,
           totalInOCC: totalItemsInOCC,
           env: this.environment,
           partial: true,
           lastOffset: offset,
           failedOffsets: failedOffsets,
-          items: allItems
-        };
-        const jsonFilepath = path.join(this.resultDir, jsonFilename);
-        fs.writeFileSync(jsonFilepath, JSON.stringify(jsonResult, null, 2));
-        console.log(chalk.cyan(`📄 Partial JSON saved: ${jsonFilename}`));
-
-        await this.generateCSV(jsonResult, jsonFilename);
+          query: query || null,
+          fields
+        });
+        console.log(chalk.cyan(`📄 Partial ${this.outputFormat.toUpperCase()} saved: ${dataFilename}`));
         console.log(chalk.cyan(`📁 Files saved in: outputs/`));
+      } else {
+        spool.close();
+        fs.unlinkSync(spool.filepath);
       }
 
       throw error;
+    } finally {
+      fs.rmSync(pagesDir, { recursive: true, force: true });
     }
   }
 
-  async retryFailed(endpoint, partialFile, query = null) {
+  // The resource (and so the endpoint) comes from the partial file name, e.g.
+  // skus_list_<timestamp>_partial.json, and the query and fields from its
+  // header. Files written before the header recorded the query need it as
+  // query ('' for a listing without one): merging unfiltered pages into a
+  // filtered listing would go unnoticed
+  async retryFailed(partialFile, query = null) {
+    const resource = findResource(path.basename(partialFile).split('_list_')[0]);
+    const endpoint = resource.endpoint;
+
+    const partial = this.loadOutput(partialFile);
+    if ('query' in partial.header) {
+      if (query !== null && query !== (partial.header.query || '')) {
+        throw new Error(`--q does not match the query of the listing in ${partialFile} (${partial.header.query || 'none'}); leave --q out to reuse it`);
+      }
+      query = partial.header.query || null;
+    } else if (query === null) {
+      throw new Error(`${partialFile} does not record the query of its listing; pass it with --q (or --q= if the listing had none)`);
+    } else {
+      query = query || null;
+    }
+    const queryAst = query ? validateScim(query) : null;
     await this.ensureValidToken();
 
+    // Offsets that already failed once get a longer retry budget
     const MAX_RETRIES = 5;
-    const RETRY_DELAYS = [3000, 5000, 10000, 15000, 20000];
-
-    const filePath = path.join(this.resultDir, partialFile);
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${partialFile}`);
-    }
 
-    const partialData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const failedOffsets = partialData.failedOffsets || [];
+    const failedOffsets = partial.header.failedOffsets || [];
 
     if (failedOffsets.length === 0) {
       console.log(chalk.green('No failed offsets to retry!'));
       return;
     }
 
-    // Parse date filter from query for post-fetch filtering
-    const dateMatch = query ? query.match(/(\w+)\s+lt\s+"([^"]+)"/) : null;
-    const dateField = dateMatch ? dateMatch[1] : null;
-    const dateCutoff = dateMatch ? new Date(dateMatch[2]) : null;
+    // The result keeps the format of the partial file
+    this.setOutputFormat(partialFile.endsWith('.ndjson') ? 'ndjson' : 'json');
+
+    const entityType = resource.name;
+    const totalInOCC = partial.header.totalInOCC;
 
-    let allItems = partialData.items;
-    const fields = Object.keys(allItems[0] || {}).join(',');
-    const totalInOCC = partialData.totalInOCC;
+    // Items already in the partial file go to a spool first, recovered pages are appended after them
+    const collected = this.createSpool(`${entityType}_retry_${process.pid}`);
+    for (const item of partial.items) {
+      collected.write(item);
+    }
+    const fields = partial.header.fields || [...collected.fields].join(',');
+    const postFilter = queryAst ? this.buildPostFilter(queryAst, fields) : { filter: null, missing: [] };
 
     console.log(chalk.cyan(`🔄 Retrying ${chalk.bold(failedOffsets.length)} failed offsets from ${partialFile}`));
     console.log(chalk.gray(`   Offsets: ${failedOffsets.join(', ')}`));
-    console.log(chalk.gray(`   Currently have ${allItems.length}/${totalInOCC} items\n`));
+    console.log(chalk.gray(`   Currently have ${collected.count}/${totalInOCC} items\n`));
 
     const stillFailed = [];
     let recovered = 0;
 
     for (const failedOffset of failedOffsets) {
-      let success = false;
+      const spinner = ora(chalk.blue(`Offset ${failedOffset}...`)).start();
 
-      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        await this.ensureValidToken();
+      try {
+        const params = {
+          q: query,
+          queryFormat: 'SCIM',
+          useAdvancedQParser: true,
+          fields: fields,
+          offset: failedOffset,
+          limit: this.limits.profilesPerRequest
+        };
 
-        const spinner = ora(chalk.blue(`Offset ${failedOffset} (attempt ${attempt}/${MAX_RETRIES})...`)).start();
+        const response = await this.request({
+          path: endpoint,
+          params,
+          maxRetries: MAX_RETRIES - 1,
+          onRetry: ({ attempt, delay }) => {
+            spinner.text = chalk.yellow(`Offset ${failedOffset} failed (attempt ${attempt}/${MAX_RETRIES}). Retrying in ${(delay / 1000).toFixed(1)}s...`);
+          }
+        });
 
-        try {
-          const params = {
-            q: query,
-            queryFormat: 'SCIM',
-            useAdvancedQParser: true,
-            fields: fields,
-            offset: failedOffset,
-            limit: config.limits.profilesPerRequest
-          };
-
-          const response = await axios.get(`${this.config.baseUrl}${endpoint}`, {
-            params,
-            headers: { 'Authorization': `Bearer ${this.accessToken}`, 'Content-Type': 'application/json' }
-          });
-
-          spinner.succeed(chalk.green(`Offset ${failedOffset} recovered (${response.data.items.length} items)`));
-          allItems.push(...response.data.items);
-          recovered++;
-          success = true;
-          break;
-        } catch (reqError) {
-          if (attempt < MAX_RETRIES) {
-            const delay = RETRY_DELAYS[attempt - 1];
-            spinner.warn(chalk.yellow(`Offset ${failedOffset} failed (attempt ${attempt}/${MAX_RETRIES}). Retrying in ${delay / 1000}s...`));
-            await new Promise(resolve => setTimeout(resolve, delay));
-          } else {
-            spinner.fail(chalk.red(`Offset ${failedOffset} failed after ${MAX_RETRIES} attempts`));
-          }
-        }
-      }
-
-      if (!success) {
+        spinner.succeed(chalk.green(`Offset ${failedOffset} recovered (${response.data.items.length} items)`));
+        collected.writeAll(response.data.items);
+        recovered++;
+      } catch (reqError) {
+        spinner.fail(chalk.red(`Offset ${failedOffset} failed after ${reqError.attempts || MAX_RETRIES} attempts`));
         stillFailed.push(failedOffset);
       }
 
       // Delay between offsets
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
-
-    // Apply date filter if present
-    if (dateCutoff && dateField) {
-      const beforeFilter = allItems.length;
-      allItems = allItems.filter(item => {
-        const itemDate = item[dateField];
-        if (!itemDate) return false;
-        return new Date(itemDate) < dateCutoff;
-      });
-      const filtered = beforeFilter - allItems.length;
-      if (filtered > 0) {
-        console.log(chalk.gray(`\n🔽 Filtered out ${filtered} items with ${dateField} >= ${dateCutoff.toISOString()}`));
-      }
-    }
-
-    console.log(chalk.green(`\n✅ Retry completed! Recovered ${chalk.bold(recovered)}/${failedOffsets.length} offsets`));
-    console.log(chalk.cyan(`📈 Total items: ${chalk.bold(allItems.length)}`));
+    collected.close();
 
     // Save result
     const now = new Date();
     const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
 
-    const entityType = partialFile.split('_list_')[0];
-    const jsonFilename = stillFailed.length > 0
-      ? `${entityType}_list_${timestamp}_partial.json`
-      : `${entityType}_list_${timestamp}.json`;
+    const baseFilename = stillFailed.length > 0
+      ? `${entityType}_list_${timestamp}_partial`
+      : `${entityType}_list_${timestamp}`;
+
+    // Apply the query filter if present, de-duplicating in the same pass
+    const spool = this.createSpool(baseFilename);
+    const isFirstSeen = uniqueById();
+    let filtered = 0;
+    for (const item of readNdjson(collected.filepath)) {
+      if (postFilter.filter && !postFilter.filter(item)) {
+        filtered++;
+        continue;
+      }
+      if (isFirstSeen(item)) spool.write(item);
+    }
+    fs.unlinkSync(collected.filepath);
+
+    if (filtered > 0) {
+      console.log(chalk.gray(`\n🔽 Filtered out ${filtered} items not matching the query`));
+    }
+    if (postFilter.missing.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Query uses fields that are not in the file (${postFilter.missing.join(', ')}); results are not filtered`));
+    }
 
-    const jsonResult = {
-      total: allItems.length,
+    console.log(chalk.green(`\n✅ Retry completed! Recovered ${chalk.bold(recovered)}/${failedOffsets.length} offsets`));
+    console.log(chalk.cyan(`📈 Total items: ${chalk.bold(spool.count)}`));
+
+    const header = {
+      total: spool.count,
       totalInOCC: totalInOCC,
-      env: this.environment,
-      items: allItems
+      env: this.environment
     };
 
     if (stillFailed.length > 0) {
-      jsonResult.partial = true;
-      jsonResult.failedOffsets = stillFailed;
+      header.partial = true;
+      header.failedOffsets = stillFailed;
+      header.query = query;
+      header.fields = fields;
     }
 
-    const jsonFilepath = path.join(this.resultDir, jsonFilename);
-    fs.writeFileSync(jsonFilepath, JSON.stringify(jsonResult, null, 2));
-    console.log(chalk.cyan(`📄 JSON file: ${jsonFilename}`));
-
-    await this.generateCSV(jsonResult, jsonFilename);
+    const { dataFilename } = await this.writeOutput(spool, baseFilename, header);
+    console.log(chalk.cyan(`📄 ${this.outputFormat.toUpperCase()} file: ${dataFilename}`));
     console.log(chalk.cyan(`\n📁 Files saved in: outputs/`));
 
     if (stillFailed.length > 0) {
       console.log(chalk.yellow(`\n⚠️  ${stillFailed.length} offsets still failed: ${stillFailed.join(', ')}`));
-      console.log(chalk.yellow(`   Run again: node index.js retryFailed --env dev --file ${jsonFilename}`));
+      console.log(chalk.yellow(`   Run again: node index.js retryFailed --env ${this.environment} --file ${dataFilename}`));
     }
   }
 
-  async listProducts(query, fields = 'id,creationDate', allPages = false, resumeFile = null) {
-    return this.listEntities('products', config.endpoints.products, query, fields, allPages, resumeFile);
+  async listProducts(query, fields = null, allPages = false, resumeFile = null, concurrency = this.limits.pageConcurrency, windowField = null) {
+    return this.listEntities('products', query, fields, allPages, resumeFile, concurrency, windowField);
   }
 
-  async listSkus(query, fields = 'id,displayName,creationDate,active', allPages = false, resumeFile = null) {
-    return this.listEntities('skus', config.endpoints.skus, query, fields, allPages, resumeFile);
+  async listSkus(query, fields = null, allPages = false, resumeFile = null, concurrency = this.limits.pageConcurrency, windowField = null) {
+    return this.listEntities('skus', query, fields, allPages, resumeFile, concurrency, windowField);
   }
 
   ensureProcessedDirectory() {
-    const processedDir = path.join(__dirname, 'processed');
+    const processedDir = path.join(config.workDir, 'processed');
     if (!fs.existsSync(processedDir)) {
       fs.mkdirSync(processedDir, { recursive: true });
     }
     return processedDir;
   }
 
-  async deleteProducts(csvFile = null, concurrency = 1) {
+  // A file name in inputs/, or failing that a path
+  resolveInputFile(file) {
+    let csvPath = path.join(config.workDir, 'inputs', file);
+    let actualFileName = file;
+
+    if (!fs.existsSync(csvPath) && fs.existsSync(file)) {
+      actualFileName = path.basename(file);
+      csvPath = file;
+    }
+    if (!fs.existsSync(csvPath)) {
+      throw new Error(`Input file not found: ${csvPath}`);
+    }
+    return { csvPath, actualFileName };
+  }
+
+  // Finds an ID list in inputs/ (the first <prefix>* file when none is given,
+  // or a path such as a delete_retry_*.csv in outputs/) and reads one ID per line
+  readIdsFile(csvFile = null, prefix = 'products') {
+    const assetsDir = path.join(config.workDir, 'inputs');
+    let csvPath;
+    let actualFileName;
+
+    // Se não foi fornecido um arquivo específico, procurar por arquivo começando com o prefixo
+    if (!csvFile) {
+      const files = fs.readdirSync(assetsDir);
+      const matchingFiles = files.filter(file =>
+        file.toLowerCase().startsWith(prefix) &&
+        (file.endsWith('.csv') || file.endsWith('.txt'))
+      );
+
+      if (matchingFiles.length === 0) {
+        throw new Error(`No file starting with "${prefix}" found in inputs/ folder`);
+      }
+
+      if (matchingFiles.length > 1) {
+        console.log(chalk.yellow(`⚠️  Multiple ${prefix} files found:`));
+        matchingFiles.forEach((file, index) => {
+          console.log(chalk.gray(`  ${index + 1}. ${file}`));
+        });
+        console.log(chalk.cyan(`Using: ${chalk.bold(matchingFiles[0])}\n`));
+      }
+
+      actualFileName = matchingFiles[0];
+      csvPath = path.join(assetsDir, actualFileName);
+    } else {
+      ({ csvPath, actualFileName } = this.resolveInputFile(csvFile));
+    }
+
+    const ids = fs.readFileSync(csvPath, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    return { csvPath, actualFileName, ids };
+  }
+
+  readProductIdsFile(csvFile = null) {
+    const { csvPath, actualFileName, ids } = this.readIdsFile(csvFile, 'products');
+    return { csvPath, actualFileName, productIds: ids };
+  }
+
+  // Plan files come from deleteProducts --dry-run and live in outputs/
+  loadDeletePlan(planFile) {
+    const planPath = fs.existsSync(planFile) ? planFile : path.join(this.resultDir, planFile);
+    if (!fs.existsSync(planPath)) {
+      throw new Error(`Plan file not found: ${planFile}`);
+    }
+
+    const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    if (plan.type !== 'delete-products-plan' || !Array.isArray(plan.products)) {
+      throw new Error(`${planFile} is not a deleteProducts plan (create one with --dry-run)`);
+    }
+    if (plan.environment !== this.environment) {
+      throw new Error(`Plan ${planFile} was made for '${plan.environment}', not '${this.environment}'`);
+    }
+    return plan;
+  }
+
+  // A bulk checkpoint is a header line followed by one line per ID with its
+  // outcome, appended as soon as it is known. It is keyed by environment and
+  // input file, so running the same command again resumes.
+  openCheckpoint(target, source) {
+    const key = path.basename(source, path.extname(source)).replace(/[^\w.-]/g, '_');
+    const checkpointFile = `${target.files}_checkpoint_${this.environment}_${key}.ndjson`;
+    const checkpointPath = path.join(this.resultDir, checkpointFile);
+    if (!fs.existsSync(checkpointPath)) {
+      return { checkpointFile, checkpointPath, header: null, outcomes: [] };
+    }
+
+    // A line cut short by a crash is dropped; that ID is simply processed again
+    const entries = [];
+    fs.readFileSync(checkpointPath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // torn write
+      }
+    });
+
+    const [header, ...outcomes] = entries;
+    if (!header || header.type !== target.checkpointType) {
+      throw new Error(`${checkpointFile} is not a ${target.command} checkpoint; remove it to start over`);
+    }
+    return { checkpointFile, checkpointPath, header, outcomes };
+  }
+
+  // Dry run for deleteProducts: looks every ID up with a GET and writes a plan
+  // with the products that exist (and their child SKUs and collections), the
+  // missing ones and the invalid ones. Nothing is deleted and the CSV stays in inputs/
+  async planProductDeletion(csvFile = null, concurrency = 1) {
     await this.ensureValidToken();
 
     try {
-      const assetsDir = path.join(__dirname, 'inputs');
-      let csvPath;
+      const { actualFileName, productIds } = this.readProductIdsFile(csvFile);
+
+      console.log(chalk.cyan(`🔎 Dry run: checking ${chalk.bold(productIds.length)} products from ${chalk.bold(actualFileName)} (nothing will be deleted)...`));
+      console.log(chalk.gray(`⚡ Concurrency level: up to ${chalk.bold(concurrency)} request(s) in flight`));
+      console.log(chalk.gray(`🛡️  ID policy: ${this.idPolicy.describe()}\n`));
+
+      const found = new Map();
+      const missing = [];
+      const rejected = new Map();
+      const errors = [];
+      const progress = ora(chalk.blue(`Checked 0/${productIds.length}`)).start();
+      let checked = 0;
+
+      await this.createPool(concurrency).run(productIds, async productId => {
+        const rejection = this.idPolicy.check(productId);
+        if (rejection) {
+          rejected.set(productId, { id: productId, ...rejection });
+        } else {
+          try {
+            const response = await this.request({
+              path: `${config.endpoints.products}/${encodeURIComponent(productId)}`,
+              params: { fields: 'id,displayName,childSKUs.repositoryId,parentCategories.repositoryId' }
+            });
+            const product = response.data;
+            found.set(productId, {
+              id: productId,
+              displayName: product.displayName,
+              childSKUs: (product.childSKUs || []).map(sku => sku.repositoryId),
+              collections: (product.parentCategories || []).map(category => category.repositoryId)
+            });
+          } catch (error) {
+            if (error.response?.status === 404) {
+              missing.push(productId);
+            } else {
+              errors.push({ productId, error: error.response?.data?.message || error.message, statusCode: error.response?.status });
+            }
+          }
+        }
+        checked++;
+        progress.text = chalk.blue(`Checked ${checked}/${productIds.length}`);
+      });
+      this.activePool = null;
+      progress.succeed(chalk.green(`Checked ${productIds.length} products`));
+
+      // Keep the CSV order (without repeats); lookups finish in any order
+      const uniqueIds = [...new Set(productIds)];
+      const inputOrder = ids => {
+        const wanted = new Set(ids);
+        return uniqueIds.filter(id => wanted.has(id));
+      };
+      const products = uniqueIds.filter(id => found.has(id)).map(id => found.get(id));
+      const invalidIds = inputOrder([...rejected.keys()]);
+
+      const plan = {
+        type: 'delete-products-plan',
+        environment: this.environment,
+        createdAt: new Date().toISOString(),
+        source: actualFileName,
+        summary: {
+          total: productIds.length,
+          toDelete: products.length,
+          missing: missing.length,
+          invalid: invalidIds.length,
+          lookupErrors: errors.length,
+          withChildSkus: products.filter(product => product.childSKUs.length > 0).length,
+          inCollections: products.filter(product => product.collections.length > 0).length
+        },
+        products,
+        missing: inputOrder(missing),
+        invalidIds,
+        rejected: invalidIds.map(id => rejected.get(id)),
+        idPolicy: this.idPolicy.describe(),
+        errors
+      };
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const planFilename = this.generateUniqueFilename(this.resultDir, `delete_plan_${timestamp}`, 'json');
+      fs.writeFileSync(path.join(this.resultDir, planFilename), JSON.stringify(plan, null, 2));
+
+      console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+      console.log(chalk.blue.bold('📝 DELETION PLAN (dry run)'));
+      console.log(chalk.blue.bold('='.repeat(60)));
+      console.log(chalk.cyan(`🎯 Total IDs: ${chalk.bold(plan.summary.total)}`));
+      console.log(chalk.green(`🗑️  Would delete: ${chalk.bold(plan.summary.toDelete)}`));
+      console.log(chalk.yellow(`   With child SKUs: ${chalk.bold(plan.summary.withChildSkus)}`));
+      console.log(chalk.yellow(`   In collections: ${chalk.bold(plan.summary.inCollections)}`));
+      console.log(chalk.gray(`❔ Not found: ${chalk.bold(plan.summary.missing)}`));
+      console.log(chalk.gray(`⏭️  Skipped (ID policy): ${chalk.bold(plan.summary.invalid)}`));
+      if (errors.length > 0) {
+        console.log(chalk.red(`❌ Lookup errors: ${chalk.bold(errors.length)}`));
+      }
+      console.log(chalk.gray(`📁 Plan saved to: ${planFilename}`));
+      console.log(chalk.blue.bold('='.repeat(60) + '\n'));
+
+      if (missing.length > 0) {
+        console.log(chalk.yellow.bold('❔ Products not found:'));
+        plan.missing.forEach((id, index) => console.log(chalk.yellow(`  ${index + 1}. ${id}`)));
+        console.log('');
+      }
+
+      this.printRejectedIds(plan.rejected);
+
+      console.log(chalk.cyan(`Review the plan, then delete exactly these products with:`));
+      console.log(chalk.cyan(`  node index.js deleteProducts --plan ${planFilename} --env ${this.environment}\n`));
+
+      return { plan, planFilename };
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error planning product deletion:'), error.message);
+      throw error;
+    }
+  }
+
+  // IDs the ID policy turned down, each with the rule that did it
+  printRejectedIds(rejected) {
+    if (rejected.length === 0) return;
+    console.log(chalk.yellow.bold(`⚠️  Rejected by the ID policy (${this.idPolicy.describe()}):`));
+    rejected.forEach((entry, index) => {
+      console.log(chalk.yellow(`  ${index + 1}. ${entry.id} - ${entry.reason}`));
+    });
+    console.log('');
+  }
+
+  // Full product payload (with all its properties) for the delete backup.
+  // include can add the full child SKU payloads ('skus') and the parent
+  // collections ('categories')
+  async fetchProductBackup(productId, include = []) {
+    const { data: product } = await this.request({ path: `${config.endpoints.products}/${encodeURIComponent(productId)}` });
+    const record = { id: productId, environment: this.environment, backedUpAt: new Date().toISOString(), product };
+
+    if (include.includes('skus')) {
+      record.skus = [];
+      for (const { repositoryId } of product.childSKUs || []) {
+        const { data } = await this.request({ path: `${config.endpoints.adminSkus}/${encodeURIComponent(repositoryId)}` });
+        record.skus.push(data);
+      }
+    }
+
+    if (include.includes('categories')) {
+      record.categories = [];
+      for (const { repositoryId } of product.parentCategories || []) {
+        const { data } = await this.request({
+          path: `${config.endpoints.collections}/${encodeURIComponent(repositoryId)}`,
+          params: { fields: 'id,displayName' }
+        });
+        record.categories.push(data);
+      }
+    }
+
+    return record;
+  }
+
+  // Body for POST /products from a backup record: read-only fields dropped,
+  // and full SKU payloads (when backed up) instead of bare references
+  buildRestorePayload(record) {
+    const { links, repositoryId, ...properties } = record.product;
+    if (record.skus) {
+      properties.childSKUs = record.skus.map(({ links: skuLinks, ...sku }) => sku);
+    }
+    return { properties };
+  }
+
+  // With planFile, deletes exactly the products listed in a --dry-run plan
+  // instead of reading the CSV. Every product is written to a backup bundle
+  // (outputs/delete_backup_<timestamp>.ndjson) before its DELETE is sent;
+  // restoreProducts recreates products from it. With cascade, the product's
+  // child SKUs are deleted first (and always backed up)
+  async deleteProducts(csvFile = null, concurrency = 1, planFile = null, backupInclude = [], cascade = false) {
+    this.assertWritable('delete products');
+    await this.ensureValidToken();
+
+    try {
+      let csvPath = null;
       let actualFileName;
+      let productIds;
 
-      // Se não foi fornecido um arquivo específico, procurar por arquivo começando com "products"
-      if (!csvFile) {
-        const files = fs.readdirSync(assetsDir);
-        const productFiles = files.filter(file =>
-          file.toLowerCase().startsWith('products') &&
-          (file.endsWith('.csv') || file.endsWith('.txt'))
-        );
+      if (planFile) {
+        const plan = this.loadDeletePlan(planFile);
+        productIds = plan.products.map(product => product.id);
+        actualFileName = planFile;
+      } else {
+        ({ csvPath, actualFileName, productIds } = this.readProductIdsFile(csvFile));
+      }
+
+      const include = cascade && !backupInclude.includes('skus') ? [...backupInclude, 'skus'] : backupInclude;
+
+      return await this.runDeletion(DELETE_TARGETS.products, {
+        ids: productIds,
+        source: actualFileName,
+        csvPath,
+        concurrency,
+        backup: productId => this.fetchProductBackup(productId, include),
+        backupNote: include.length > 0 ? ` (with ${include.join(', ')})` : '',
+        beforeDelete: cascade ? (productId, record, spinner) => this.deleteChildSkus(record, spinner) : null,
+        counters: cascade ? ['skusDeleted'] : [],
+        reportFields: { ...(planFile ? { plan: planFile } : {}), ...(cascade ? { cascade: true } : {}) }
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error deleting products:'), error.message);
+      throw error;
+    }
+  }
+
+  // Same CSV handling, checkpoints, backups and report as deleteProducts, for
+  // SKUs (inputs/skus*.csv) through the admin SKU endpoint
+  async deleteSkus(csvFile = null, concurrency = 1) {
+    this.assertWritable('delete SKUs');
+    await this.ensureValidToken();
+
+    try {
+      const { csvPath, actualFileName, ids } = this.readIdsFile(csvFile, 'skus');
+
+      return await this.runDeletion(DELETE_TARGETS.skus, {
+        ids,
+        source: actualFileName,
+        csvPath,
+        concurrency,
+        backup: skuId => this.fetchSkuBackup(skuId)
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error deleting SKUs:'), error.message);
+      throw error;
+    }
+  }
+
+  async fetchSkuBackup(skuId) {
+    const { data: sku } = await this.request({ path: `${config.endpoints.adminSkus}/${encodeURIComponent(skuId)}` });
+    return { id: skuId, environment: this.environment, backedUpAt: new Date().toISOString(), sku };
+  }
+
+  // --cascade: removes a product's child SKUs (from its backup record) before
+  // the product itself. SKUs already gone are fine; any other failure stops
+  // here, so the product is not deleted and the run reports it as failed
+  async deleteChildSkus(record, spinner) {
+    const skuIds = (record.product.childSKUs || []).map(sku => sku.repositoryId).filter(Boolean);
+
+    const protectedSku = skuIds.find(skuId => this.idPolicy.protectedIds.has(skuId));
+    if (protectedSku) {
+      throw new Error(`child SKU ${protectedSku} is protected`);
+    }
+
+    let skusDeleted = 0;
+    for (const skuId of skuIds) {
+      spinner.text = chalk.blue(`Deleting child SKU ${chalk.bold(skuId)} of ${chalk.bold(record.id)} (${skusDeleted + 1}/${skuIds.length})...`);
+      try {
+        await this.request({ method: 'DELETE', path: `${config.endpoints.adminSkus}/${encodeURIComponent(skuId)}` });
+        skusDeleted++;
+      } catch (error) {
+        if (error.response?.status === 404) continue;
+        const failure = new Error(`child SKU ${skuId}: ${error.response?.data?.message || error.message}`);
+        failure.response = { status: error.response?.status };
+        failure.skusDeleted = skusDeleted;
+        throw failure;
+      }
+    }
+    return { skusDeleted };
+  }
+
+  // Shared by the bulk delete commands. For each ID: check the ID policy, back
+  // the item up (no backup, no delete), run beforeDelete if given, send the
+  // DELETE and append the outcome to a checkpoint so a rerun of the same
+  // command resumes. Writes the report and a retry file with the failed IDs,
+  // and moves the CSV to processed/ once every ID has been handled.
+  //
+  // beforeDelete(id, backupRecord, spinner) may return extra outcome fields;
+  // those named in `counters` are summed into the report (an error it throws
+  // can carry them too, for work done before it failed)
+  async runDeletion(target, { ids, source, csvPath = null, concurrency = 1, backup, backupNote = '', beforeDelete = null, counters = [], reportFields = {} }) {
+    const Noun = _.upperFirst(target.noun);
+
+    console.log(chalk.cyan(`🗑️  Starting ${target.noun} deletion from ${chalk.bold(source)}...`));
+    console.log(chalk.gray(`⚡ Concurrency level: up to ${chalk.bold(concurrency)} request(s) in flight, ${this.limits.rps ? `${chalk.bold(this.limits.rps)} req/s` : 'no rate limit'}\n`));
+
+    console.log(chalk.gray(`🛡️  ID policy: ${this.idPolicy.describe()}`));
+    console.log(chalk.magenta(`📊 Total ${target.plural} to delete: ${chalk.bold(ids.length)}\n`));
+
+    // IDs with an outcome in the checkpoint were handled by an earlier run
+    const checkpoint = this.openCheckpoint(target, source);
+    const handled = new Set(checkpoint.outcomes.map(outcome => outcome.id));
+    const pendingIds = ids.filter(id => !handled.has(id));
+    if (checkpoint.header) {
+      console.log(chalk.yellow(`⚡ Resuming from ${checkpoint.checkpointFile}: ${chalk.bold(handled.size)} ${target.noun}(s) already handled, ${chalk.bold(pendingIds.length)} to go\n`));
+    }
+
+    await this.confirmDestructive(`delete ${target.plural}`, pendingIds);
+
+    // One line per item, appended synchronously so a crash keeps every backup taken so far.
+    // A resumed run keeps appending to the bundle of the run it resumes.
+    let backupFilename = checkpoint.header?.backupFile;
+    if (!backupFilename || !fs.existsSync(path.join(this.resultDir, backupFilename))) {
+      const backupTimestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      backupFilename = this.generateUniqueFilename(this.resultDir, `${target.files}_backup_${backupTimestamp}`, 'ndjson');
+      fs.writeFileSync(path.join(this.resultDir, backupFilename), '');
+    }
+    const backupPath = path.join(this.resultDir, backupFilename);
+    console.log(chalk.gray(`💾 Backing up each ${target.noun} to ${backupFilename}${backupNote}\n`));
+
+    const startTime = checkpoint.header?.startTime || new Date().toISOString();
+    if (!checkpoint.header) {
+      fs.writeFileSync(checkpoint.checkpointPath, JSON.stringify({
+        type: target.checkpointType,
+        environment: this.environment,
+        source,
+        total: ids.length,
+        backupFile: backupFilename,
+        startTime
+      }) + '\n');
+    }
+
+    // Relatório de resultados
+    const report = {
+      total: ids.length,
+      deleted: 0,
+      failed: 0,
+      skipped: 0,
+      invalidIds: [],
+      rejected: [],
+      idPolicy: this.idPolicy.describe(),
+      errors: [],
+      startTime,
+      environment: this.environment,
+      concurrency: concurrency,
+      rps: this.limits.rps,
+      backupFile: backupFilename,
+      backedUp: 0,
+      resumed: handled.size,
+      ...reportFields
+    };
+    counters.forEach(counter => { report[counter] = 0; });
+
+    const tally = outcome => {
+      const { id, outcome: result, error, statusCode, backedUp, rule, pattern, reason } = outcome;
+      if (backedUp) report.backedUp++;
+      counters.forEach(counter => { report[counter] += outcome[counter] || 0; });
+      if (result === 'deleted') {
+        report.deleted++;
+      } else if (result === 'skipped') {
+        report.skipped++;
+        report.invalidIds.push(id);
+        report.rejected.push({ id, rule, pattern, reason });
+      } else {
+        report.failed++;
+        report.errors.push({ [target.idField]: id, error, statusCode });
+      }
+    };
+    checkpoint.outcomes.forEach(tally);
+
+    // Checkpoint first, so an outcome in the report is always one a rerun will skip
+    const recordOutcome = outcome => {
+      fs.appendFileSync(checkpoint.checkpointPath, JSON.stringify(outcome) + '\n');
+      tally(outcome);
+    };
+
+    // Processar itens com concorrência controlada
+    const position = index => `[${handled.size + index + 1}/${ids.length}]`;
+
+    const deleteItem = async (id, index) => {
+      // Protected IDs and IDs outside the allow/deny patterns are never deleted
+      const rejection = this.idPolicy.check(id);
+      if (rejection) {
+        recordOutcome({ id, outcome: 'skipped', ...rejection });
+        console.log(chalk.gray(`${position(index)} Skipping ${chalk.bold(id)} - ${rejection.reason}`));
+        return;
+      }
+
+      await this.ensureValidToken();
 
-        if (productFiles.length === 0) {
-          throw new Error('No file starting with "products" found in inputs/ folder');
+      const spinner = ora(
+        chalk.blue(`${position(index)} Backing up ${target.noun} ${chalk.bold(id)}...`)
+      ).start();
+
+      // No backup, no delete
+      let record;
+      try {
+        record = await backup(id);
+        fs.appendFileSync(backupPath, JSON.stringify(record) + '\n');
+      } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        recordOutcome({ id, outcome: 'failed', error: errorMsg, statusCode: error.response?.status });
+        if (error.response?.status === 404) {
+          spinner.warn(chalk.yellow(`${position(index)} ${Noun} ${chalk.bold(id)} not found (404)`));
+        } else {
+          spinner.fail(chalk.red(`${position(index)} Backup of ${chalk.bold(id)} failed, not deleted: ${errorMsg}`));
         }
+        return;
+      }
 
-        if (productFiles.length > 1) {
-          console.log(chalk.yellow(`⚠️  Multiple product files found:`));
-          productFiles.forEach((file, index) => {
-            console.log(chalk.gray(`  ${index + 1}. ${file}`));
-          });
-          console.log(chalk.cyan(`Using: ${chalk.bold(productFiles[0])}\n`));
+      let extra = {};
+      try {
+        if (beforeDelete) {
+          extra = (await beforeDelete(id, record, spinner)) || {};
         }
 
-        actualFileName = productFiles[0];
-        csvPath = path.join(assetsDir, actualFileName);
-      } else {
-        actualFileName = csvFile;
-        csvPath = path.join(assetsDir, csvFile);
+        spinner.text = chalk.blue(`${position(index)} Deleting ${target.noun} ${chalk.bold(id)}...`);
+        await this.request({ method: 'DELETE', path: `${target.endpoint}/${encodeURIComponent(id)}` });
 
-        if (!fs.existsSync(csvPath)) {
-          throw new Error(`CSV file not found: ${csvPath}`);
+        recordOutcome({ id, outcome: 'deleted', backedUp: true, ...extra });
+        spinner.succeed(chalk.green(`${position(index)} ${Noun} ${chalk.bold(id)} deleted successfully`));
+
+      } catch (error) {
+        // A 404 after a retried DELETE means an earlier attempt went through
+        if (error.response?.status === 404 && error.attempts > 1) {
+          recordOutcome({ id, outcome: 'deleted', backedUp: true, ...extra });
+          spinner.succeed(chalk.green(`${position(index)} ${Noun} ${chalk.bold(id)} deleted (confirmed by 404 on retry)`));
+          return;
+        }
+
+        counters.forEach(counter => {
+          if (error[counter]) extra[counter] = error[counter];
+        });
+        const errorMsg = error.response?.data?.message || error.message;
+        recordOutcome({ id, outcome: 'failed', error: errorMsg, statusCode: error.response?.status, backedUp: true, ...extra });
+
+        if (error.response?.status === 404) {
+          spinner.warn(chalk.yellow(`${position(index)} ${Noun} ${chalk.bold(id)} not found (404)`));
+        } else {
+          spinner.fail(chalk.red(`${position(index)} Failed to delete ${chalk.bold(id)}: ${errorMsg}`));
         }
       }
+    };
 
-      console.log(chalk.cyan(`🗑️  Starting product deletion from ${chalk.bold(actualFileName)}...`));
-      console.log(chalk.gray(`⚡ Concurrency level: ${chalk.bold(concurrency)} parallel request(s)\n`));
+    // Mantém N requisições em andamento; um request lento não trava os demais
+    const interrupted = await this.runInterruptible(concurrency, pendingIds, deleteItem);
+
+    report.endTime = new Date().toISOString();
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    if (interrupted) {
+      report.interrupted = true;
+      report.checkpointFile = checkpoint.checkpointFile;
+    } else {
+      // Items that were not found are gone already; everything else failed is worth another go
+      const retryIds = report.errors.filter(error => error.statusCode !== 404).map(error => error[target.idField]);
+      if (retryIds.length > 0) {
+        report.retryFile = this.generateUniqueFilename(this.resultDir, `${target.files}_retry_${timestamp}`, 'csv');
+        fs.writeFileSync(path.join(this.resultDir, report.retryFile), retryIds.join('\n') + '\n');
+      }
+      fs.unlinkSync(checkpoint.checkpointPath);
+    }
 
-      const csvContent = fs.readFileSync(csvPath, 'utf8');
-      const productIds = csvContent
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0);
+    // Salvar relatório
+    const reportFilename = this.generateUniqueFilename(this.resultDir, `${target.files}_report_${timestamp}${interrupted ? '_interrupted' : ''}`, 'json');
+    const reportPath = path.join(this.resultDir, reportFilename);
 
-      console.log(chalk.magenta(`📊 Total products to delete: ${chalk.bold(productIds.length)}\n`));
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    // Exibir resumo final
+    console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+    console.log(chalk.blue.bold(interrupted ? '📊 DELETION REPORT (INTERRUPTED)' : '📊 DELETION REPORT'));
+    console.log(chalk.blue.bold('='.repeat(60)));
+    console.log(chalk.cyan(`🎯 Total ${target.plural}: ${chalk.bold(report.total)}`));
+    if (report.resumed > 0) {
+      console.log(chalk.yellow(`⚡ Handled by the earlier run: ${chalk.bold(report.resumed)}`));
+    }
+    console.log(chalk.green(`✅ Successfully deleted: ${chalk.bold(report.deleted)}`));
+    if (counters.includes('skusDeleted')) {
+      console.log(chalk.green(`🧹 Child SKUs deleted: ${chalk.bold(report.skusDeleted)}`));
+    }
+    console.log(chalk.red(`❌ Failed: ${chalk.bold(report.failed)}`));
+    console.log(chalk.gray(`⏭️  Skipped (ID policy): ${chalk.bold(report.skipped)}`));
+    console.log(chalk.gray(`💾 Backed up: ${chalk.bold(report.backedUp)} (${backupFilename})`));
+    console.log(chalk.gray(`📁 Report saved to: ${reportFilename}`));
+    if (report.retryFile) {
+      console.log(chalk.gray(`🔁 Failed IDs saved to: ${report.retryFile}`));
+    }
+    console.log(chalk.blue.bold('='.repeat(60) + '\n'));
+
+    this.printRejectedIds(report.rejected);
+
+    if (report.failed > 0) {
+      console.log(chalk.red.bold('❌ Errors encountered:'));
+      report.errors.forEach((err, index) => {
+        console.log(chalk.red(`  ${index + 1}. ${err[target.idField]}: ${err.error} (Status: ${err.statusCode})`));
+      });
+      console.log('');
+    }
+
+    if (report.retryFile) {
+      console.log(chalk.yellow(`🔁 To retry the failures: ${target.command} ${path.relative(process.cwd(), path.join(this.resultDir, report.retryFile))} --env=${this.environment}\n`));
+    }
+
+    // The input stays in place so the same command resumes from the checkpoint
+    if (interrupted) {
+      const remaining = report.total - (report.deleted + report.failed + report.skipped);
+      console.log(chalk.yellow(`⏸️  ${remaining} ${target.noun}(s) not processed yet. Run the same command again to resume.`));
+      console.log(chalk.gray(`  Checkpoint file: ${checkpoint.checkpointFile}\n`));
+      return report;
+    }
+
+    // Mover arquivo CSV para pasta processed (plan runs have no CSV to move)
+    if (csvPath) {
+      const moveSpinner = ora(chalk.blue('Moving CSV file to processed folder...')).start();
+      try {
+        const processedDir = this.ensureProcessedDirectory();
+        const processedFileName = `${path.basename(source, path.extname(source))}_${timestamp}${path.extname(source)}`;
+        const processedPath = path.join(processedDir, processedFileName);
+
+        // Mover arquivo
+        fs.renameSync(csvPath, processedPath);
+
+        moveSpinner.succeed(chalk.green(`CSV file moved to: processed/${processedFileName}`));
+      } catch (moveError) {
+        moveSpinner.fail(chalk.red('Failed to move CSV file'));
+        console.error(chalk.gray(`  Error: ${moveError.message}`));
+      }
+    }
+
+    return report;
+  }
+
+  async updateProducts(file, concurrency = 1, dryRun = false) {
+    return this.updateItems(UPDATE_TARGETS.products, file, concurrency, dryRun);
+  }
+
+  async updateSkus(file, concurrency = 1, dryRun = false) {
+    return this.updateItems(UPDATE_TARGETS.skus, file, concurrency, dryRun);
+  }
+
+  // CSV cells take the type of the current values; NDJSON values are used as they are
+  coercePatch(patch, current) {
+    if (!patch.fromCsv) return patch.properties;
+    return _.mapValues(patch.properties, (raw, property) => {
+      try {
+        return coerceValue(raw, current[property]);
+      } catch (error) {
+        throw new Error(`${property}: ${error.message}`);
+      }
+    });
+  }
+
+  // Applies a patch file (CSV or NDJSON, see lib/patches.js) with one PUT per
+  // item. Each item is read first: properties that already have the new value
+  // are left out, items with nothing to change get no PUT at all, and the
+  // report records the before and after value of every changed property.
+  // With dryRun nothing is sent and the report shows what would change.
+  async updateItems(target, file, concurrency = 1, dryRun = false) {
+    if (!dryRun) {
+      this.assertWritable(`update ${target.plural}`);
+    }
+    await this.ensureValidToken();
+
+    try {
+      const { csvPath: inputPath, actualFileName } = this.resolveInputFile(file);
+      const { format, patches } = readPatches(inputPath);
+      const ids = patches.map(patch => patch.id);
+      const Noun = _.upperFirst(target.noun);
+
+      console.log(chalk.cyan(`✏️  ${dryRun ? 'Dry run: checking' : 'Updating'} ${chalk.bold(patches.length)} ${target.plural} from ${chalk.bold(actualFileName)} (${format})${dryRun ? ' (nothing will be changed)' : ''}...`));
+      console.log(chalk.gray(`⚡ Concurrency level: up to ${chalk.bold(concurrency)} request(s) in flight, ${this.limits.rps ? `${chalk.bold(this.limits.rps)} req/s` : 'no rate limit'}`));
+      console.log(chalk.gray(`🛡️  ID policy: ${this.idPolicy.describe()}\n`));
+
+      if (!dryRun) {
+        await this.confirmDestructive(`update ${target.plural}`, ids);
+      }
 
-      // Relatório de resultados
       const report = {
-        total: productIds.length,
-        deleted: 0,
+        total: patches.length,
+        dryRun,
+        changed: 0,
+        updated: 0,
+        unchanged: 0,
         failed: 0,
         skipped: 0,
-        invalidIds: [],
+        rejected: [],
+        idPolicy: this.idPolicy.describe(),
         errors: [],
+        changes: [],
+        source: actualFileName,
         startTime: new Date().toISOString(),
         environment: this.environment,
-        concurrency: concurrency
+        concurrency,
+        rps: this.limits.rps
+      };
+      const changesById = new Map();
+      const fail = (id, error, extra = {}) => {
+        report.failed++;
+        report.errors.push({ [target.idField]: id, error: error.response?.data?.message || error.message, statusCode: error.response?.status, ...extra });
       };
 
-      // Processar produtos com concorrência controlada
-      let processedCount = 0;
-      const activeSpinners = new Map();
+      await this.createPool(concurrency).run(patches, async (patch, index) => {
+        const label = `[${index + 1}/${patches.length}]`;
+        const { id } = patch;
 
-      const deleteProduct = async (productId, index) => {
-        // Validar se o ID começa com "PA"
-        if (!productId.startsWith('PA')) {
+        // Updates never remove anything, so only the allow/deny patterns apply
+        const rejection = this.idPolicy.matchPatterns(id);
+        if (rejection) {
           report.skipped++;
-          report.invalidIds.push(productId);
-          console.log(chalk.gray(`[${index + 1}/${productIds.length}] Skipping ${chalk.bold(productId)} - Invalid ID (must start with "PA")`));
+          report.rejected.push({ id, ...rejection });
+          console.log(chalk.gray(`${label} Skipping ${chalk.bold(id)} - ${rejection.reason}`));
           return;
         }
 
-        await this.ensureValidToken();
-
-        const spinner = ora(
-          chalk.blue(`[${index + 1}/${productIds.length}] Deleting product ${chalk.bold(productId)}...`)
-        ).start();
-
-        activeSpinners.set(productId, spinner);
+        const properties = Object.keys(patch.properties);
+        if (properties.length === 0) {
+          report.unchanged++;
+          return;
+        }
 
+        const spinner = ora(chalk.blue(`${label} Reading ${target.noun} ${chalk.bold(id)}...`)).start();
+        let current;
         try {
-          const url = `${this.config.baseUrl}${config.endpoints.products}/${productId}`;
-
-          await axios.delete(url, {
-            headers: {
-              'Authorization': `Bearer ${this.accessToken}`,
-              'Content-Type': 'application/json'
-            }
+          const response = await this.request({
+            path: `${target.endpoint}/${encodeURIComponent(id)}`,
+            params: { fields: ['id', ...properties].join(',') }
           });
+          current = response.data;
+        } catch (error) {
+          fail(id, error);
+          spinner.fail(chalk.red(`${label} Could not read ${chalk.bold(id)}: ${error.response?.data?.message || error.message}`));
+          return;
+        }
 
-          report.deleted++;
-          spinner.succeed(chalk.green(`[${index + 1}/${productIds.length}] Product ${chalk.bold(productId)} deleted successfully`));
-
+        let values;
+        try {
+          values = this.coercePatch(patch, current);
         } catch (error) {
-          report.failed++;
-          const errorMsg = error.response?.data?.message || error.message;
-          const errorDetail = {
-            productId,
-            error: errorMsg,
-            statusCode: error.response?.status
-          };
-          report.errors.push(errorDetail);
+          fail(id, error);
+          spinner.fail(chalk.red(`${label} ${chalk.bold(id)} not updated: ${error.message}`));
+          return;
+        }
 
-          if (error.response?.status === 404) {
-            spinner.warn(chalk.yellow(`[${index + 1}/${productIds.length}] Product ${chalk.bold(productId)} not found (404)`));
-          } else {
-            spinner.fail(chalk.red(`[${index + 1}/${productIds.length}] Failed to delete ${chalk.bold(productId)}: ${errorMsg}`));
-          }
-        } finally {
-          activeSpinners.delete(productId);
+        const changes = diffProperties(current, values);
+        const changedProperties = Object.keys(changes);
+        if (changedProperties.length === 0) {
+          report.unchanged++;
+          spinner.info(chalk.gray(`${label} ${Noun} ${chalk.bold(id)} already up to date`));
+          return;
         }
-      };
 
-      // Processar em lotes com concorrência controlada
-      for (let i = 0; i < productIds.length; i += concurrency) {
-        const batch = productIds.slice(i, i + concurrency);
-        const batchPromises = batch.map((productId, batchIndex) =>
-          deleteProduct(productId, i + batchIndex)
-        );
+        report.changed++;
+        changesById.set(id, changes);
+        const summary = changedProperties.join(', ');
 
-        await Promise.all(batchPromises);
-        processedCount += batch.length;
-      }
+        if (dryRun) {
+          spinner.info(chalk.cyan(`${label} ${Noun} ${chalk.bold(id)} would change: ${summary}`));
+          return;
+        }
 
+        try {
+          spinner.text = chalk.blue(`${label} Updating ${target.noun} ${chalk.bold(id)} (${summary})...`);
+          const response = await this.request({
+            method: 'PUT',
+            path: `${target.endpoint}/${encodeURIComponent(id)}`,
+            data: _.mapValues(changes, change => change.after)
+          });
+
+          // Record what OCC kept, when it answers with the item
+          const saved = response.data || {};
+          changedProperties.forEach(property => {
+            if (property in saved) changes[property].after = saved[property];
+          });
+          report.updated++;
+          spinner.succeed(chalk.green(`${label} ${Noun} ${chalk.bold(id)} updated (${summary})`));
+        } catch (error) {
+          changesById.delete(id);
+          fail(id, error, { attempted: changes });
+          spinner.fail(chalk.red(`${label} Failed to update ${chalk.bold(id)}: ${error.response?.data?.message || error.message}`));
+        }
+      });
+      this.activePool = null;
+
+      // Input order, whatever order the requests finished in
+      report.changes = ids.filter(id => changesById.has(id)).map(id => ({ id, changes: changesById.get(id) }));
       report.endTime = new Date().toISOString();
 
-      // Salvar relatório
       const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
-      const reportFilename = this.generateUniqueFilename(this.resultDir, `delete_report_${timestamp}`, 'json');
-      const reportPath = path.join(this.resultDir, reportFilename);
+      const reportFilename = this.generateUniqueFilename(this.resultDir, `${target.files}_${dryRun ? 'dry_run' : 'report'}_${timestamp}`, 'json');
+      fs.writeFileSync(path.join(this.resultDir, reportFilename), JSON.stringify(report, null, 2));
 
-      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-
-      // Exibir resumo final
       console.log(chalk.blue.bold('\n' + '='.repeat(60)));
-      console.log(chalk.blue.bold('📊 DELETION REPORT'));
+      console.log(chalk.blue.bold(dryRun ? '📝 UPDATE REPORT (dry run)' : '📊 UPDATE REPORT'));
       console.log(chalk.blue.bold('='.repeat(60)));
-      console.log(chalk.cyan(`🎯 Total products: ${chalk.bold(report.total)}`));
-      console.log(chalk.green(`✅ Successfully deleted: ${chalk.bold(report.deleted)}`));
+      console.log(chalk.cyan(`🎯 Total ${target.plural}: ${chalk.bold(report.total)}`));
+      if (dryRun) {
+        console.log(chalk.green(`✏️  Would update: ${chalk.bold(report.changed)}`));
+      } else {
+        console.log(chalk.green(`✅ Updated: ${chalk.bold(report.updated)}`));
+      }
+      console.log(chalk.gray(`⏸️  Already up to date: ${chalk.bold(report.unchanged)}`));
       console.log(chalk.red(`❌ Failed: ${chalk.bold(report.failed)}`));
-      console.log(chalk.gray(`⏭️  Skipped (Invalid ID): ${chalk.bold(report.skipped)}`));
+      console.log(chalk.gray(`⏭️  Skipped (ID policy): ${chalk.bold(report.skipped)}`));
       console.log(chalk.gray(`📁 Report saved to: ${reportFilename}`));
       console.log(chalk.blue.bold('='.repeat(60) + '\n'));
 
-      if (report.skipped > 0) {
-        console.log(chalk.yellow.bold('⚠️  Invalid Product IDs (must start with "PA"):'));
-        report.invalidIds.forEach((id, index) => {
-          console.log(chalk.yellow(`  ${index + 1}. ${id}`));
-        });
-        console.log('');
-      }
+      this.printRejectedIds(report.rejected);
 
       if (report.failed > 0) {
         console.log(chalk.red.bold('❌ Errors encountered:'));
         report.errors.forEach((err, index) => {
-          console.log(chalk.red(`  ${index + 1}. ${err.productId}: ${err.error} (Status: ${err.statusCode})`));
+          console.log(chalk.red(`  ${index + 1}. ${err[target.idField]}: ${err.error} (Status: ${err.statusCode})`));
         });
         console.log('');
+        // Items already updated come back as unchanged, so the same file can simply run again
+        console.log(chalk.yellow(`🔁 ${actualFileName} stays in place; run the same command again to retry the failures.\n`));
+      } else if (!dryRun && inputPath.startsWith(path.join(config.workDir, 'inputs'))) {
+        const processedDir = this.ensureProcessedDirectory();
+        const processedFileName = `${path.basename(actualFileName, path.extname(actualFileName))}_${timestamp}${path.extname(actualFileName)}`;
+        fs.renameSync(inputPath, path.join(processedDir, processedFileName));
+        console.log(chalk.green(`✔ Input file moved to: processed/${processedFileName}\n`));
       }
 
-      // Mover arquivo CSV para pasta processed
-      const moveSpinner = ora(chalk.blue('Moving CSV file to processed folder...')).start();
+      return report;
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Error updating ${target.plural}:`), error.message);
+      throw error;
+    }
+  }
+
+  // Profile inputs are IDs, or emails looked up with a query first. An email
+  // has to match exactly one profile
+  async resolveProfileId(input) {
+    if (!input.includes('@')) return input;
+
+    const response = await this.request({
+      path: config.endpoints.profiles,
+      params: { q: toScim(compare('email', 'eq', input)), fields: 'id,email', limit: 2 }
+    });
+    const items = response.data.items || [];
+    if (items.length === 0) {
+      const error = new Error(`No profile with email ${input}`);
+      error.response = { status: 404 };
+      throw error;
+    }
+    if (items.length > 1) {
+      throw new Error(`${input} matches more than one profile`);
+    }
+    return items[0].id;
+  }
+
+  async fetchProfile(id, properties = []) {
+    const response = await this.request({
+      path: `${config.endpoints.profiles}/${encodeURIComponent(id)}`,
+      params: { fields: ['id', ...properties].join(',') }
+    });
+    return response.data;
+  }
+
+  // One profile ID or email per line; a header line (id or email) is dropped
+  readProfileInputs(csvFile = null) {
+    const { csvPath, actualFileName, ids } = this.readIdsFile(csvFile, 'profiles');
+    const inputs = _.uniq(ids.filter((id, index) => !(index === 0 && /^(id|email)$/i.test(id))));
+    return { csvPath, actualFileName, entries: inputs.map(input => ({ input })) };
+  }
+
+  // --field-map file, else the environment's anonymizeFields, else DEFAULT_FIELD_MAP
+  resolveFieldMap(fieldMapFile = null) {
+    if (fieldMapFile) {
+      return loadFieldMap(this.resolveInputFile(fieldMapFile).csvPath);
+    }
+    if (this.config.anonymizeFields) {
+      return validateFieldMap(this.config.anonymizeFields, `anonymizeFields of '${this.environment}'`);
+    }
+    return DEFAULT_FIELD_MAP;
+  }
+
+  // Patch file as for updateProducts, keyed by an id or an email column
+  async updateProfiles(file, concurrency = 1, dryRun = false) {
+    const { csvPath, actualFileName } = this.resolveInputFile(file);
+    const { patches } = readPatches(csvPath, { idColumns: ['id', 'email'] });
+
+    return this.runProfileAction(PROFILE_ACTIONS.update, {
+      entries: patches.map(patch => ({ input: patch.id, patch })),
+      source: actualFileName,
+      inputPath: csvPath,
+      concurrency,
+      dryRun,
+      plan: async (id, { patch }) => {
+        const properties = Object.keys(patch.properties);
+        if (properties.length === 0) return null;
+
+        const current = await this.fetchProfile(id, properties);
+        const changes = diffProperties(current, this.coercePatch(patch, current));
+        if (Object.keys(changes).length === 0) return null;
+
+        return {
+          method: 'PUT',
+          data: _.mapValues(changes, change => change.after),
+          summary: Object.keys(changes).join(', '),
+          details: { changes }
+        };
+      }
+    });
+  }
+
+  // Overwrites the PII fields of the field map. The report names the fields
+  // that were replaced, never their old values
+  async anonymizeProfiles(csvFile = null, concurrency = 1, dryRun = false, fieldMapFile = null) {
+    const fieldMap = this.resolveFieldMap(fieldMapFile);
+    const { csvPath, actualFileName, entries } = this.readProfileInputs(csvFile);
+
+    return this.runProfileAction(PROFILE_ACTIONS.anonymize, {
+      entries,
+      source: actualFileName,
+      inputPath: csvPath,
+      concurrency,
+      dryRun,
+      note: `🕶️  Field map: ${Object.keys(fieldMap).join(', ')}`,
+      plan: async id => {
+        const current = await this.fetchProfile(id, Object.keys(fieldMap));
+        const values = anonymizedValues(current, fieldMap);
+        const fields = Object.keys(diffProperties(current, values));
+        if (fields.length === 0) return null;
+
+        return { method: 'PUT', data: _.pick(values, fields), summary: fields.join(', '), details: { fields } };
+      }
+    });
+  }
+
+  // Profiles are read first so a missing one is reported as such. No backup
+  // is kept: it would be a copy of the PII being removed
+  async deleteProfiles(csvFile = null, concurrency = 1, dryRun = false) {
+    const { csvPath, actualFileName, entries } = this.readProfileInputs(csvFile);
+
+    return this.runProfileAction(PROFILE_ACTIONS.delete, {
+      entries,
+      source: actualFileName,
+      inputPath: csvPath,
+      concurrency,
+      dryRun,
+      plan: async id => {
+        await this.fetchProfile(id);
+        return { method: 'DELETE' };
+      }
+    });
+  }
+
+  // Shared by the bulk profile commands. Each input (a profile ID or an email)
+  // is resolved to an ID and checked against the ID policy, then plan(id, entry)
+  // reads the profile and returns the request to send ({ method, data, summary,
+  // details }) or null when there is nothing to do. A dry run sends nothing and
+  // keeps no checkpoint. Otherwise every outcome goes to a checkpoint so a rerun
+  // resumes, failed inputs go to a retry file and the input file moves to
+  // processed/ once every profile has been handled. The report lists every input
+  async runProfileAction(action, { entries, source, inputPath, concurrency = 1, dryRun = false, plan, note = null }) {
+    const Verb = _.upperFirst(action.verb);
+    if (!dryRun) {
+      this.assertWritable(`${action.verb} profiles`);
+    }
+    await this.ensureValidToken();
+
+    console.log(chalk.cyan(`👤 ${Verb} ${chalk.bold(entries.length)} profile(s) from ${chalk.bold(source)}${dryRun ? ' (dry run, nothing will be changed)' : ''}...`));
+    console.log(chalk.gray(`⚡ Concurrency level: up to ${chalk.bold(concurrency)} request(s) in flight, ${this.limits.rps ? `${chalk.bold(this.limits.rps)} req/s` : 'no rate limit'}`));
+    console.log(chalk.gray(`🛡️  ID policy: ${this.idPolicy.describe()}`));
+    if (note) {
+      console.log(chalk.gray(note));
+    }
+    console.log('');
+
+    // Inputs with an outcome in the checkpoint were handled by an earlier run
+    const checkpoint = dryRun ? null : this.openCheckpoint(action, source);
+    const handled = new Set((checkpoint?.outcomes || []).map(outcome => outcome.input));
+    const pending = entries.filter(entry => !handled.has(entry.input));
+    if (checkpoint?.header) {
+      console.log(chalk.yellow(`⚡ Resuming from ${checkpoint.checkpointFile}: ${chalk.bold(handled.size)} profile(s) already handled, ${chalk.bold(pending.length)} to go\n`));
+    }
+
+    if (!dryRun) {
+      await this.confirmDestructive(`${action.verb} profiles`, pending.map(entry => entry.input));
+    }
+
+    const startTime = checkpoint?.header?.startTime || new Date().toISOString();
+    if (checkpoint && !checkpoint.header) {
+      fs.writeFileSync(checkpoint.checkpointPath, JSON.stringify({
+        type: action.checkpointType,
+        environment: this.environment,
+        source,
+        total: entries.length,
+        startTime
+      }) + '\n');
+    }
+
+    const doneOutcome = dryRun ? 'planned' : action.past;
+    const report = {
+      action: action.verb,
+      total: entries.length,
+      dryRun,
+      [doneOutcome]: 0,
+      unchanged: 0,
+      failed: 0,
+      skipped: 0,
+      rejected: [],
+      idPolicy: this.idPolicy.describe(),
+      profiles: [],
+      source,
+      startTime,
+      environment: this.environment,
+      concurrency,
+      rps: this.limits.rps,
+      resumed: handled.size
+    };
+
+    const outcomesByInput = new Map();
+    const tally = outcome => {
+      report[outcome.outcome]++;
+      if (outcome.outcome === 'skipped') {
+        report.rejected.push({ id: outcome.id, rule: outcome.rule, pattern: outcome.pattern, reason: outcome.reason });
+      }
+      outcomesByInput.set(outcome.input, outcome);
+    };
+    (checkpoint?.outcomes || []).forEach(tally);
+
+    // Checkpoint first, so an outcome in the report is always one a rerun will skip
+    const recordOutcome = outcome => {
+      if (checkpoint) {
+        fs.appendFileSync(checkpoint.checkpointPath, JSON.stringify(outcome) + '\n');
+      }
+      tally(outcome);
+    };
+
+    const interrupted = await this.runInterruptible(concurrency, pending, async (entry, index) => {
+      const label = `[${handled.size + index + 1}/${entries.length}]`;
+      const { input } = entry;
+      const spinner = ora(chalk.blue(`${label} Reading profile ${chalk.bold(input)}...`)).start();
+
+      let id = null;
+      let step = null;
+      let sending = false;
       try {
-        const processedDir = this.ensureProcessedDirectory();
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
-        const processedFileName = `${path.basename(actualFileName, path.extname(actualFileName))}_${timestamp}${path.extname(actualFileName)}`;
-        const processedPath = path.join(processedDir, processedFileName);
+        id = await this.resolveProfileId(input);
+        const name = id === input ? chalk.bold(id) : `${chalk.bold(input)} (${id})`;
+
+        // Anonymizing and deleting cannot be undone, so protected IDs are left
+        // alone; an update only has to pass the allow/deny patterns
+        const rejection = action === PROFILE_ACTIONS.update ? this.idPolicy.matchPatterns(id) : this.idPolicy.check(id);
+        if (rejection) {
+          recordOutcome({ input, id, outcome: 'skipped', ...rejection });
+          spinner.info(chalk.gray(`${label} Skipping ${name} - ${rejection.reason}`));
+          return;
+        }
 
-        // Mover arquivo
-        fs.renameSync(csvPath, processedPath);
+        step = await plan(id, entry);
+        if (!step) {
+          recordOutcome({ input, id, outcome: 'unchanged' });
+          spinner.info(chalk.gray(`${label} Profile ${name} has nothing to ${action.verb}`));
+          return;
+        }
 
-        moveSpinner.succeed(chalk.green(`CSV file moved to: processed/${processedFileName}`));
-      } catch (moveError) {
-        moveSpinner.fail(chalk.red('Failed to move CSV file'));
-        console.error(chalk.gray(`  Error: ${moveError.message}`));
+        const summary = step.summary ? ` (${step.summary})` : '';
+        if (dryRun) {
+          recordOutcome({ input, id, outcome: 'planned', ...step.details });
+          spinner.info(chalk.cyan(`${label} Would ${action.verb} profile ${name}${summary}`));
+          return;
+        }
+
+        sending = true;
+        spinner.text = chalk.blue(`${label} ${Verb} profile ${name}${summary}...`);
+        await this.request({
+          method: step.method,
+          path: `${config.endpoints.profiles}/${encodeURIComponent(id)}`,
+          data: step.data
+        });
+
+        recordOutcome({ input, id, outcome: action.past, ...step.details });
+        spinner.succeed(chalk.green(`${label} Profile ${name} ${action.past}${summary}`));
+
+      } catch (error) {
+        // A 404 after a retried DELETE means an earlier attempt went through
+        if (sending && step.method === 'DELETE' && error.response?.status === 404 && error.attempts > 1) {
+          recordOutcome({ input, id, outcome: action.past });
+          spinner.succeed(chalk.green(`${label} Profile ${chalk.bold(input)} ${action.past} (confirmed by 404 on retry)`));
+          return;
+        }
+
+        const errorMsg = error.response?.data?.message || error.message;
+        recordOutcome({ input, id, outcome: 'failed', error: errorMsg, statusCode: error.response?.status, ...(sending ? step.details : {}) });
+        if (error.response?.status === 404) {
+          spinner.warn(chalk.yellow(`${label} Profile ${chalk.bold(input)} not found (404)`));
+        } else {
+          spinner.fail(chalk.red(`${label} Failed to ${action.verb} ${chalk.bold(input)}: ${errorMsg}`));
+        }
+      }
+    });
+
+    // Input order, whatever order the requests finished in
+    const outcomes = entries.filter(entry => outcomesByInput.has(entry.input)).map(entry => outcomesByInput.get(entry.input));
+    report.profiles = action.erasesPii
+      ? outcomes.map(outcome => (outcome.id ? _.omit(outcome, 'input') : outcome))
+      : outcomes;
+    report.endTime = new Date().toISOString();
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    const failures = outcomes.filter(outcome => outcome.outcome === 'failed');
+    if (interrupted) {
+      report.interrupted = true;
+      report.checkpointFile = checkpoint?.checkpointFile;
+    } else if (checkpoint) {
+      // Patch files are simply run again (profiles already updated come back
+      // unchanged); for the others the failed inputs go to a retry file, less
+      // the profiles that do not exist
+      const retryInputs = failures.filter(profile => profile.statusCode !== 404).map(profile => profile.input);
+      if (action !== PROFILE_ACTIONS.update && retryInputs.length > 0) {
+        report.retryFile = this.generateUniqueFilename(this.resultDir, `${action.files}_retry_${timestamp}`, 'csv');
+        fs.writeFileSync(path.join(this.resultDir, report.retryFile), retryInputs.join('\n') + '\n');
+      }
+      fs.unlinkSync(checkpoint.checkpointPath);
+    }
+
+    const reportFilename = this.generateUniqueFilename(this.resultDir, `${action.files}_${dryRun ? 'dry_run' : 'report'}_${timestamp}${interrupted ? '_interrupted' : ''}`, 'json');
+    fs.writeFileSync(path.join(this.resultDir, reportFilename), JSON.stringify(report, null, 2));
+
+    console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+    console.log(chalk.blue.bold(`📊 PROFILE ${action.verb.toUpperCase()} REPORT${dryRun ? ' (dry run)' : interrupted ? ' (INTERRUPTED)' : ''}`));
+    console.log(chalk.blue.bold('='.repeat(60)));
+    console.log(chalk.cyan(`🎯 Total profiles: ${chalk.bold(report.total)}`));
+    if (report.resumed > 0) {
+      console.log(chalk.yellow(`⚡ Handled by the earlier run: ${chalk.bold(report.resumed)}`));
+    }
+    if (dryRun) {
+      console.log(chalk.green(`📝 Would ${action.verb}: ${chalk.bold(report.planned)}`));
+    } else {
+      console.log(chalk.green(`✅ ${_.upperFirst(action.past)}: ${chalk.bold(report[action.past])}`));
+    }
+    console.log(chalk.gray(`⏸️  Nothing to ${action.verb}: ${chalk.bold(report.unchanged)}`));
+    console.log(chalk.red(`❌ Failed: ${chalk.bold(report.failed)}`));
+    console.log(chalk.gray(`⏭️  Skipped (ID policy): ${chalk.bold(report.skipped)}`));
+    console.log(chalk.gray(`📁 Report saved to: ${reportFilename}`));
+    if (report.retryFile) {
+      console.log(chalk.gray(`🔁 Failed inputs saved to: ${report.retryFile}`));
+    }
+    console.log(chalk.blue.bold('='.repeat(60) + '\n'));
+
+    this.printRejectedIds(report.rejected);
+
+    if (failures.length > 0) {
+      console.log(chalk.red.bold('❌ Errors encountered:'));
+      failures.forEach((failure, index) => {
+        const name = failure.id && failure.id !== failure.input ? `${failure.input} (${failure.id})` : failure.input;
+        console.log(chalk.red(`  ${index + 1}. ${name}: ${failure.error} (Status: ${failure.statusCode})`));
+      });
+      console.log('');
+    }
+
+    if (report.retryFile) {
+      console.log(chalk.yellow(`🔁 To retry the failures: ${action.command} ${path.relative(process.cwd(), path.join(this.resultDir, report.retryFile))} --env=${this.environment}\n`));
+    }
+
+    // The input stays in place so the same command resumes from the checkpoint
+    if (interrupted) {
+      const remaining = report.total - outcomes.length;
+      if (checkpoint) {
+        console.log(chalk.yellow(`⏸️  ${remaining} profile(s) not processed yet. Run the same command again to resume.`));
+        console.log(chalk.gray(`  Checkpoint file: ${checkpoint.checkpointFile}\n`));
+      } else {
+        console.log(chalk.yellow(`⏸️  ${remaining} profile(s) not checked.\n`));
+      }
+      return report;
+    }
+
+    if (action === PROFILE_ACTIONS.update && failures.length > 0) {
+      console.log(chalk.yellow(`🔁 ${source} stays in place; run the same command again to retry the failures.\n`));
+    } else if (!dryRun && inputPath.startsWith(path.join(config.workDir, 'inputs'))) {
+      const processedDir = this.ensureProcessedDirectory();
+      const processedFileName = `${path.basename(source, path.extname(source))}_${timestamp}${path.extname(source)}`;
+      fs.renameSync(inputPath, path.join(processedDir, processedFileName));
+      console.log(chalk.green(`✔ Input file moved to: processed/${processedFileName}\n`));
+    }
+
+    return report;
+  }
+
+  // Recreates products from a deleteProducts backup bundle (outputs/ or a path)
+  async restoreProducts(backupFile, concurrency = 1) {
+    this.assertWritable('restore products');
+
+    const backupPath = fs.existsSync(backupFile) ? backupFile : path.join(this.resultDir, backupFile);
+    if (!fs.existsSync(backupPath)) {
+      throw new Error(`Backup file not found: ${backupFile}`);
+    }
+    const records = [...readNdjson(backupPath)];
+    if (records.some(record => !record.product)) {
+      throw new Error(`${backupFile} is not a product backup (deleteSkus bundles cannot be restored with restoreProducts)`);
+    }
+    const productIds = records.map(record => record.id);
+
+    await this.ensureValidToken();
+
+    try {
+      console.log(chalk.cyan(`♻️  Restoring ${chalk.bold(records.length)} products from ${chalk.bold(path.basename(backupPath))}...`));
+      console.log(chalk.gray(`⚡ Concurrency level: up to ${chalk.bold(concurrency)} request(s) in flight\n`));
+
+      await this.confirmDestructive('restore products', productIds);
+
+      const report = {
+        total: records.length,
+        restored: [],
+        failed: [],
+        backupFile: path.basename(backupPath),
+        startTime: new Date().toISOString(),
+        environment: this.environment
+      };
+
+      await this.createPool(concurrency).run(records, async (record, index) => {
+        const label = `[${index + 1}/${records.length}]`;
+        const spinner = ora(chalk.blue(`${label} Restoring product ${chalk.bold(record.id)}...`)).start();
+
+        try {
+          await this.request({ method: 'POST', path: config.endpoints.products, data: this.buildRestorePayload(record) });
+          report.restored.push(record.id);
+          spinner.succeed(chalk.green(`${label} Product ${chalk.bold(record.id)} restored`));
+        } catch (error) {
+          const errorMsg = error.response?.data?.message || error.message;
+          report.failed.push({ productId: record.id, error: errorMsg, statusCode: error.response?.status });
+          spinner.fail(chalk.red(`${label} Could not restore ${chalk.bold(record.id)}: ${errorMsg}`));
+        }
+      });
+      this.activePool = null;
+
+      report.endTime = new Date().toISOString();
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const reportFilename = this.generateUniqueFilename(this.resultDir, `restore_report_${timestamp}`, 'json');
+      fs.writeFileSync(path.join(this.resultDir, reportFilename), JSON.stringify(report, null, 2));
+
+      console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+      console.log(chalk.blue.bold('📊 RESTORE REPORT'));
+      console.log(chalk.blue.bold('='.repeat(60)));
+      console.log(chalk.cyan(`🎯 Total products: ${chalk.bold(report.total)}`));
+      console.log(chalk.green(`✅ Restored: ${chalk.bold(report.restored.length)}`));
+      console.log(chalk.red(`❌ Could not restore: ${chalk.bold(report.failed.length)}`));
+      console.log(chalk.gray(`📁 Report saved to: ${reportFilename}`));
+      console.log(chalk.blue.bold('='.repeat(60) + '\n'));
+
+      if (report.failed.length > 0) {
+        console.log(chalk.red.bold('❌ Not restored:'));
+        report.failed.forEach((failure, index) => {
+          console.log(chalk.red(`  ${index + 1}. ${failure.productId}: ${failure.error} (Status: ${failure.statusCode})`));
+        });
+        console.log('');
       }
 
       return report;
 
     } catch (error) {
-      console.error(chalk.red('❌ Error deleting products:'), error.message);
+      console.error(chalk.red('❌ Error restoring products:'), error.message);
       throw error;
     }
   }
 
-  async searchOrders(csvFile = null, fields = '') {
+  async searchOrders(csvFile = null, fields = '', concurrency = 1) {
     await this.ensureValidToken();
 
+    fields = fields || this.getDefaultFields('orders');
+
     try {
-      const inputsDir = path.join(__dirname, 'inputs');
+      const inputsDir = path.join(config.workDir, 'inputs');
       let csvPath;
       let actualFileName;
 
@@ -1619,8 +3898,7 @@ class ProfileFetcher {
         environment: this.environment
       };
 
-      for (let i = 0; i < orderIds.length; i++) {
-        const orderId = orderIds[i];
+      const fetchOrder = async (orderId, i) => {
         await this.ensureValidToken();
 
         const spinner = ora(
@@ -1628,8 +3906,6 @@ class ProfileFetcher {
         ).start();
 
         try {
-          const url = `${this.config.baseUrl}${config.endpoints.orders}/${orderId}`;
-
           const params = {};
 
           // Add fields parameter if provided
@@ -1637,17 +3913,11 @@ class ProfileFetcher {
             params.fields = fields;
           }
 
-          const response = await axios.get(url, {
-            params,
-            headers: {
-              'Authorization': `Bearer ${this.accessToken}`,
-              'Content-Type': 'application/json'
-            }
-          });
+          const response = await this.request({ path: `${config.endpoints.orders}/${orderId}`, params });
 
-          orders.push(response.data);
           report.fetched++;
           spinner.succeed(chalk.green(`[${i + 1}/${orderIds.length}] Order ${chalk.bold(orderId)} fetched successfully`));
+          return response.data;
 
         } catch (error) {
           report.failed++;
@@ -1664,11 +3934,14 @@ class ProfileFetcher {
           } else {
             spinner.fail(chalk.red(`[${i + 1}/${orderIds.length}] Failed to fetch ${chalk.bold(orderId)}: ${errorMsg}`));
           }
+          return null;
         }
+      };
 
-        // Pequena pausa entre requests
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+      // Resultados voltam na ordem do CSV, independente da ordem de chegada
+      const fetchedOrders = await this.createPool(concurrency).run(orderIds, fetchOrder);
+      this.activePool = null;
+      orders.push(...fetchedOrders.filter(order => order));
 
       report.endTime = new Date().toISOString();
 
@@ -1732,10 +4005,8 @@ class ProfileFetcher {
         hour12: false
       });
 
-    const url = `${this.config.baseUrl}${config.endpoints.orders}`;
     const pageSize = 250;
     const maxRetries = 5;
-    const retryDelays = [3000, 6000, 12000, 24000, 48000];
 
     const progressFile = path.join(this.resultDir, 'incomplete_orders_progress.json');
 
@@ -1803,43 +4074,32 @@ class ProfileFetcher {
         const spinner = ora(chalk.blue(`Fetching page ${page} of ${totalPages}...`)).start();
 
         let data = null;
-        let attempt = 0;
 
-        while (attempt <= maxRetries) {
-          try {
-            const response = await axios.get(url, {
-              params: {
-                q: 'state eq "INCOMPLETE"',
-                queryFormat: 'SCIM',
-                useAdvancedQParser: 'true',
-                sortBy: 'creationTime',
-                sortOrder: 'asc',
-                limit: pageSize,
-                offset
-              },
-              headers: {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-              },
-              timeout: 30000
-            });
-            data = response.data;
-            break;
-
-          } catch (err) {
-            attempt++;
-            if (attempt > maxRetries) {
-              spinner.fail(chalk.red(`Page ${page} failed after ${maxRetries} retries. Progress saved.`));
-              saveProgress();
-              console.log(chalk.yellow(`\n  Run the command again to resume from page ${page}.`));
-              console.log(chalk.gray(`  Progress file: ${progressFile}\n`));
-              throw err;
+        try {
+          const response = await this.request({
+            path: config.endpoints.orders,
+            params: {
+              q: 'state eq "INCOMPLETE"',
+              queryFormat: 'SCIM',
+              useAdvancedQParser: 'true',
+              sortBy: 'creationTime',
+              sortOrder: 'asc',
+              limit: pageSize,
+              offset
+            },
+            timeout: 30000,
+            maxRetries,
+            onRetry: ({ attempt, delay }) => {
+              spinner.text = chalk.yellow(`Page ${page} — connection error, retry ${attempt}/${maxRetries} in ${(delay / 1000).toFixed(1)}s...`);
             }
-            const delay = retryDelays[attempt - 1];
-            spinner.text = chalk.yellow(`Page ${page} — connection error, retry ${attempt}/${maxRetries} in ${delay / 1000}s...`);
-            await this.ensureValidToken();
-            await new Promise(r => setTimeout(r, delay));
-          }
+          });
+          data = response.data;
+        } catch (err) {
+          spinner.fail(chalk.red(`Page ${page} failed after ${maxRetries} retries. Progress saved.`));
+          saveProgress();
+          console.log(chalk.yellow(`\n  Run the command again to resume from page ${page}.`));
+          console.log(chalk.gray(`  Progress file: ${progressFile}\n`));
+          throw err;
         }
 
         // Extrai só id e creationTime — descarta o resto imediatamente
@@ -1897,7 +4157,6 @@ class ProfileFetcher {
     const spinner = ora(chalk.blue('Fetching oldest INCOMPLETE order...')).start();
 
     try {
-      const url = `${this.config.baseUrl}${config.endpoints.orders}`;
       const params = {
         q: 'state eq "INCOMPLETE"',
         queryFormat: 'SCIM',
@@ -1907,13 +4166,7 @@ class ProfileFetcher {
         limit: 1
       };
 
-      const response = await axios.get(url, {
-        params,
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.request({ path: config.endpoints.orders, params });
 
       const items = response.data.items || [];
 
@@ -1972,7 +4225,6 @@ class ProfileFetcher {
     const spinner = ora(chalk.blue('Fetching incomplete orders count...')).start();
 
     try {
-      const url = `${this.config.baseUrl}${config.endpoints.orders}`;
       const params = {
         q: 'state eq "INCOMPLETE"',
         queryFormat: 'SCIM',
@@ -1980,13 +4232,7 @@ class ProfileFetcher {
         limit: 1
       };
 
-      const response = await axios.get(url, {
-        params,
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.request({ path: config.endpoints.orders, params });
 
       const { total, totalResults } = response.data;
       const count = total ?? totalResults;
@@ -2016,6 +4262,77 @@ class ProfileFetcher {
 // Configurar CLI
 const program = new Command();
 
+const RPS_OPTION_DESCRIPTION = 'Max requests per second (default: environment limits.rps or RATE_LIMIT_RPS, 0 = unlimited)';
+
+function applyRateLimit(fetcher, options) {
+  if (options.rps === undefined) return;
+  const rps = parseFloat(options.rps);
+  if (isNaN(rps) || rps < 0) {
+    throw new Error('--rps must be a number >= 0');
+  }
+  fetcher.setRateLimit(rps);
+}
+
+const FORMAT_OPTION_DESCRIPTION = 'Output format: json ({ total, env, items } document) or ndjson (one item per line)';
+
+const YES_OPTION_DESCRIPTION = 'Skip the confirmation in protected environments (needs --i-know-this-is-prod too)';
+const PROD_OPTION_DESCRIPTION = 'Second flag required with --yes in protected environments';
+
+function applyConfirmation(fetcher, options) {
+  fetcher.setConfirmation({ yes: options.yes, iKnowThisIsProd: options.iKnowThisIsProd });
+}
+
+const ID_PATTERN_OPTION_DESCRIPTION = 'Regex IDs must match, replacing the allow list of the environment\'s ID policy (default: ^PA)';
+
+function applyIdPolicy(fetcher, options, command, defaultAllow = null) {
+  fetcher.setIdPolicy({ command, idPattern: options.idPattern || null, defaultAllow });
+}
+
+function applyOutputFormat(fetcher, options) {
+  if (options.format !== undefined) {
+    fetcher.setOutputFormat(String(options.format).toLowerCase());
+  }
+}
+
+// Closing line of the bulk profile commands; an interrupted run exits with 130
+function reportProfileAction(report, title) {
+  if (report.interrupted) {
+    process.exit(130);
+  }
+  if (report.dryRun) {
+    console.log(chalk.green.bold('🎉 Dry run completed, nothing was changed!'));
+  } else if (report.failed > 0) {
+    console.log(chalk.yellow.bold(`⚠️  ${title} finished with ${report.failed} failure(s)`));
+  } else {
+    console.log(chalk.green.bold(`🎉 ${title} completed!`));
+  }
+}
+
+// Commander option parser for repeatable options
+function collectOption(value, previous) {
+  return [...previous, value];
+}
+
+function parseBackupParts(value) {
+  if (!value) return [];
+  const parts = String(value).split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const unknown = parts.filter(part => !BACKUP_PARTS.includes(part));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown --backup-include part(s): ${unknown.join(', ')} (use ${BACKUP_PARTS.join(', ')})`);
+  }
+  return parts;
+}
+
+// undefined keeps the command's default (PAGE_CONCURRENCY for paged listings)
+function parseConcurrency(value) {
+  if (value === undefined) return undefined;
+  const concurrency = parseInt(value);
+  if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+    throw new Error('Concurrency must be between 1 and 10');
+  }
+  return concurrency;
+}
+
 program
   .name('profile-fetcher')
   .description(chalk.blue.bold('🚀 Fetch profiles from Oracle Commerce Cloud'))
@@ -2024,25 +4341,30 @@ program
 program
   .command('searchProfiles')
   .description('Search profiles with custom query')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
-  .option('--q <queryField>', 'Query field (email, firstName, etc.)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('--q <query>', 'Query field (email, firstName, etc.) searched with [value], or a full SCIM query when no value is given')
+  .option('--where <criterion>', `Criterion as field:op:value, repeatable (op: ${Object.keys(CRITERION_OPERATORS).join(', ')} or a SCIM operator)`, collectOption, [])
+  .option('--match <mode>', 'How --where criteria combine: all (and) or any (or)', 'all')
   .option('--f <fields>', 'Fields to return (e.g: firstName,id,email)')
   .option('--c', 'Consolidate results into a single file and delete originals')
-  .argument('[value]', 'Value to search for')
+  .argument('[value]', 'Value the query field must contain')
   .action(async (value, options) => {
     try {
       console.log(chalk.blue.bold('🚀 Profile Fetcher v1.0.0\n'));
       
-      if (!options.q) {
-        throw new Error('Query parameter --q is required (e.g: --q firstName)');
+      if (!options.q && options.where.length === 0) {
+        throw new Error('Query parameter --q or --where is required (e.g: --q=firstName "carlos", --q=\'email ew "@gmail.com"\' or --where=email:suffix:@gmail.com)');
       }
-
-      if (!value) {
-        throw new Error('Search value is required (e.g: searchProfiles --q=firstName "carlos")');
+      if (value && !options.q) {
+        throw new Error(`A search value needs --q with the field to search (got "${value}")`);
       }
       
       const fetcher = new ProfileFetcher(options.env);
-      await fetcher.searchProfiles(options.q, value, options.f || '', options.c || false);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
+      await fetcher.searchProfiles(options.q, value, options.f || '', options.c || false, options.where, options.match);
       
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
     } catch (error) {
@@ -2051,26 +4373,68 @@ program
     }
   });
 
+program
+  .command('lookupProfiles')
+  .description('Look profiles up by email or ID from a CSV file (auto-finds files starting with "profiles" in inputs/)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('--f <fields>', 'Fields to return (e.g: firstName,lastName,active); id and email are always included')
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('--batch-size <number>', 'Emails per OR filter (1-50)', '20')
+  .argument('[csvFile]', 'Optional: CSV file name in inputs folder or a path (default: auto-find profiles*.csv)')
+  .action(async (csvFile, options) => {
+    try {
+      console.log(chalk.blue.bold('🔍 Profile Lookup v1.0.0\n'));
+
+      const concurrency = parseConcurrency(options.concurrency);
+      const batchSize = parseInt(options.batchSize);
+      if (isNaN(batchSize) || batchSize < 1 || batchSize > 50) {
+        throw new Error('Batch size must be between 1 and 50');
+      }
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
+      await fetcher.lookupProfiles(csvFile, options.f || '', concurrency, batchSize);
+
+      console.log(chalk.green.bold('🎉 Operation completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('mineResult')
   .description('Mine data from consolidated result files')
-  .option('--f <field>', 'Field to filter by')
+  .option('--f <field>', 'Field to filter by (without it, the condition is a filter expression)')
+  .option('--group-by <fields>', 'Summarize by these comma-separated fields; dates may be bucketed as field:day, field:week or field:month')
+  .option('--agg <aggregations>', 'Comma-separated count, sum:field, avg:field, min:field, max:field, distinct:field (default: count)')
   .argument('<inputFile>', 'Input consolidated file (e.g: profile_03-10-2025_consolidated.json)')
-  .argument('[condition]', 'Filter condition')
+  .argument('[condition]', 'Filter condition for --f, or an expression such as \'active = true and lastPurchaseAmount > 100\'')
   .action(async (inputFile, condition, options) => {
     try {
       console.log(chalk.blue.bold('⛏️  Profile Data Miner v1.0.0\n'));
-      
-      if (!options.f) {
-        throw new Error('Field parameter --f is required (e.g: --f active)');
+
+      if (options.groupBy || options.agg) {
+        if (options.f) {
+          throw new Error('--f cannot be combined with --group-by/--agg; filter with an expression instead');
+        }
+        const fetcher = new ProfileFetcher(null);
+        await fetcher.mineAggregate(inputFile, { groupBy: options.groupBy, agg: options.agg, expression: condition });
+        console.log(chalk.green.bold('🎉 Data mining completed successfully!'));
+        return;
       }
 
       if (!condition) {
-        throw new Error('Condition is required (e.g: true, "2020-01-01 2021-01-01", ">20", "Pedro")');
+        throw new Error(options.f
+          ? 'Condition is required (e.g: true, "2020-01-01 2021-01-01", ">20", "Pedro")'
+          : 'A filter expression is required (e.g: \'active = true and email ew "@gmail.com"\'), or --f with a condition');
       }
       
-      const fetcher = new ProfileFetcher('dev'); // Environment doesn't matter for mining
-      await fetcher.mineData(inputFile, options.f, condition);
+      const fetcher = new ProfileFetcher(null); // Mining only reads files
+      await fetcher.mineData(inputFile, options.f || null, condition);
       
       console.log(chalk.green.bold('🎉 Data mining completed successfully!'));
     } catch (error) {
@@ -2079,14 +4443,88 @@ program
     }
   });
 
+program
+  .command('inspect')
+  .description('Profile every field of a consolidated result file: types, null/missing rates, distinct and top values, ranges')
+  .argument('<inputFile>', 'Input consolidated file in outputs/ (JSON or NDJSON)')
+  .option('--top <n>', 'Most frequent values to list per field', '5')
+  .action(async (inputFile, options) => {
+    try {
+      console.log(chalk.blue.bold('🔬 Field Inspector v1.0.0\n'));
+
+      const top = parseInt(options.top);
+      if (isNaN(top) || top < 1) {
+        throw new Error('--top must be a positive number');
+      }
+
+      const fetcher = new ProfileFetcher(null); // Inspecting only reads files
+      await fetcher.inspectFile(inputFile, top);
+
+      console.log(chalk.green.bold('🎉 Inspection completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff')
+  .description('Compare two exports: records added, removed and changed field by field')
+  .argument('<fileA>', 'Older or reference export in outputs/ (JSON or NDJSON)')
+  .argument('<fileB>', 'Newer or compared export in outputs/ (JSON or NDJSON)')
+  .option('--key <field>', 'Field that identifies a record in both files', 'id')
+  .option('--ignore <fields>', 'Comma-separated fields to leave out of the comparison (e.g. lastModifiedDate)')
+  .action(async (fileA, fileB, options) => {
+    try {
+      console.log(chalk.blue.bold('🔀 Export Diff v1.0.0\n'));
+
+      const ignore = options.ignore ? options.ignore.split(',').map(field => field.trim()).filter(Boolean) : [];
+      const fetcher = new ProfileFetcher(null); // Comparing only reads files
+      await fetcher.diffFiles(fileA, fileB, { key: options.key, ignore });
+
+      console.log(chalk.green.bold('🎉 Comparison completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('auth')
-  .description('Test authentication in an environment')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .description('Test authentication in an environment, or inspect/clear the token cache')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--status', 'Show cached tokens and when they expire')
+  .option('--clear', 'Remove the cached token for --env (or every token with --all)')
+  .option('--all', 'With --clear, remove every cached token')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('🚀 Profile Fetcher v1.0.0 - Authentication Test\n'));
-      
+
+      const tokenCache = new TokenCache();
+
+      if (options.status) {
+        const entries = tokenCache.status();
+        console.log(chalk.gray(`📄 Token cache: ${tokenCache.filepath}\n`));
+        if (entries.length === 0) {
+          console.log(chalk.yellow('No cached tokens.'));
+        }
+        entries.forEach(entry => {
+          const state = entry.valid
+            ? chalk.green(`valid, expires in ${entry.expiresIn} seconds`)
+            : chalk.red('expired');
+          console.log(chalk.cyan(`  • ${chalk.bold(entry.environment)} (${entry.baseUrl}): `) + state);
+        });
+        console.log('');
+        return;
+      }
+
+      if (options.clear) {
+        const target = options.all ? null : normalizeName(options.env);
+        tokenCache.clear(target);
+        console.log(chalk.green(target ? `🧹 Cleared cached token for ${target}` : '🧹 Cleared every cached token'));
+        return;
+      }
+
       const fetcher = new ProfileFetcher(options.env);
       await fetcher.authenticate();
       
@@ -2100,12 +4538,17 @@ program
 program
   .command('searchProducts')
   .description('Search products with custom query')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Pages fetched in parallel (1-10, default: PAGE_CONCURRENCY or 4)')
   .option('--q <query>', 'Query string (e.g: not (childSKUs pr))')
   .option('--f <fields>', 'Fields to return (e.g: id,displayName,childSKUs.repositoryId)')
   .option('--c', 'Consolidate results into a single JSON/CSV file and delete originals')
   .option('--id-list', 'Generate a simple CSV with only product IDs (one per line, no header)')
-  .option('--pa-only', 'Filter only product IDs starting with "PA" (use with --id-list)')
+  .option('--valid-only', 'Keep only products the ID policy accepts (default policy: IDs starting with "PA")')
+  .option('--pa-only', 'Same as --valid-only (kept for existing scripts)')
+  .option('--id-pattern <regex>', ID_PATTERN_OPTION_DESCRIPTION)
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('🚀 Product Fetcher v1.0.0\n'));
@@ -2115,12 +4558,16 @@ program
       }
 
       const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
+      applyIdPolicy(fetcher, options, 'searchProducts');
       await fetcher.searchProducts(
         options.q,
         options.f || '',
         options.c || false,
         options.idList || false,
-        options.paOnly || false
+        options.validOnly || options.paOnly || false,
+        parseConcurrency(options.concurrency)
       );
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
@@ -2133,11 +4580,15 @@ program
 program
   .command('listProducts')
   .description('List products using SCIM query (e.g. products created before a date) and export to JSON/CSV')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Pages fetched in parallel (1-10, default: PAGE_CONCURRENCY or 4)')
   .option('--q <query>', 'SCIM query string (e.g: creationDate lt "2026-01-01T00:00:00.000Z")')
-  .option('--f <fields>', 'Fields to return (default: id,creationDate)', 'id,creationDate')
+  .option('--f <fields>', 'Fields to return (default: environment defaultFields.products or id,creationDate)')
   .option('--all', 'Fetch all pages (default: first page only)')
   .option('--resume <file>', 'Resume from a partial JSON file (e.g: products_list_2026-02-26_partial.json)')
+  .option('--window <field>', 'Page through date windows on this field (e.g: creationDate) instead of deep offsets; implies --all')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('📋 Product Lister v1.0.0\n'));
@@ -2147,11 +4598,15 @@ program
       }
 
       const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
       await fetcher.listProducts(
         options.q,
-        options.f || 'id,creationDate',
-        options.resume ? true : (options.all || false),
-        options.resume || null
+        options.f || null,
+        options.resume || options.window ? true : (options.all || false),
+        options.resume || null,
+        parseConcurrency(options.concurrency),
+        options.window || null
       );
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
@@ -2164,11 +4619,15 @@ program
 program
   .command('listSkus')
   .description('List SKUs using SCIM query (e.g. SKUs created before a date) and export to JSON/CSV')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Pages fetched in parallel (1-10, default: PAGE_CONCURRENCY or 4)')
   .option('--q <query>', 'SCIM query string (e.g: creationDate lt "2026-01-01T00:00:00.000Z")')
-  .option('--f <fields>', 'Fields to return (default: id,displayName,creationDate,active)', 'id,displayName,creationDate,active')
+  .option('--f <fields>', 'Fields to return (default: environment defaultFields.skus or id,displayName,creationDate,active)')
   .option('--all', 'Fetch all pages (default: first page only)')
   .option('--resume <file>', 'Resume from a partial JSON file (e.g: skus_list_2026-02-26_partial.json)')
+  .option('--window <field>', 'Page through date windows on this field (e.g: creationDate) instead of deep offsets; implies --all')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('📋 SKU Lister v1.0.0\n'));
@@ -2178,11 +4637,62 @@ program
       }
 
       const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
       await fetcher.listSkus(
         options.q,
-        options.f || 'id,displayName,creationDate,active',
-        options.resume ? true : (options.all || false),
-        options.resume || null
+        options.f || null,
+        options.resume || options.window ? true : (options.all || false),
+        options.resume || null,
+        parseConcurrency(options.concurrency),
+        options.window || null
+      );
+
+      console.log(chalk.green.bold('🎉 Operation completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('list')
+  .description('List any registered OCC collection (run without a resource to see them) and export to JSON/CSV')
+  .argument('[resource]', 'Resource name (e.g: collections, promotions, organizations)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('--format <format>', FORMAT_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Pages fetched in parallel (1-10, default: PAGE_CONCURRENCY or 4)')
+  .option('--q <query>', 'Optional SCIM query string (e.g: active eq true)')
+  .option('--f <fields>', 'Fields to return (default: environment defaultFields.<resource> or the registry defaults)')
+  .option('--all', 'Fetch all pages (default: first page only)')
+  .option('--resume <file>', 'Resume from a partial JSON file (e.g: collections_list_2026-02-26_partial.json)')
+  .option('--window <field>', 'Page through date windows on this field instead of deep offsets; implies --all')
+  .action(async (resource, options) => {
+    try {
+      console.log(chalk.blue.bold('📋 Collection Lister v1.0.0\n'));
+
+      if (!resource) {
+        console.log(chalk.cyan('Registered resources:\n'));
+        Object.entries(RESOURCES).forEach(([name, entry]) => {
+          console.log(chalk.cyan.bold(`• ${name}`));
+          console.log(chalk.gray(`    Endpoint : ${entry.endpoint}`));
+          console.log(chalk.gray(`    Fields   : ${entry.defaultFields}`));
+        });
+        return;
+      }
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyOutputFormat(fetcher, options);
+      await fetcher.listEntities(
+        resource,
+        options.q || null,
+        options.f || null,
+        options.resume || options.window ? true : (options.all || false),
+        options.resume || null,
+        parseConcurrency(options.concurrency),
+        options.window || null
       );
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
@@ -2192,12 +4702,57 @@ program
     }
   });
 
+program
+  .command('compareEnvs')
+  .description('List a collection in two environments and report items missing on each side and field mismatches')
+  .option('--resource <name>', 'Resource name (see "list" without a resource)')
+  .option('--envs <a,b>', 'The two environments to compare, comma separated (e.g: tst,prod)')
+  .option('--f <fields>', 'Fields to fetch and compare in both (default: defaultFields.<resource> of the first environment, or the registry defaults)')
+  .option('--key <field>', 'Field that identifies an item in both environments', 'id')
+  .option('--q <query>', 'Optional SCIM query applied in both environments')
+  .option('--ignore <fields>', 'Comma-separated fields to leave out of the comparison')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Pages fetched in parallel per environment (1-10, default: PAGE_CONCURRENCY or 4)')
+  .action(async options => {
+    try {
+      console.log(chalk.blue.bold('⚖️  Environment Comparer v1.0.0\n'));
+
+      if (!options.resource) {
+        throw new Error('--resource is required (e.g: --resource products)');
+      }
+      const envs = (options.envs || '').split(',').map(env => env.trim()).filter(Boolean);
+      if (envs.length !== 2 || envs[0] === envs[1]) {
+        throw new Error('--envs needs two different environments (e.g: --envs tst,prod)');
+      }
+
+      const [left, right] = envs.map(env => {
+        const fetcher = new ProfileFetcher(env);
+        applyRateLimit(fetcher, options);
+        return fetcher;
+      });
+      const ignore = options.ignore ? options.ignore.split(',').map(field => field.trim()).filter(Boolean) : [];
+      await left.compareEnvironments(right, options.resource, {
+        query: options.q || null,
+        fields: options.f || null,
+        key: options.key,
+        ignore,
+        concurrency: parseConcurrency(options.concurrency)
+      });
+
+      console.log(chalk.green.bold('🎉 Comparison completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('retryFailed')
   .description('Retry failed offsets from a partial JSON file')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
   .option('--file <partialFile>', 'Partial JSON file with failedOffsets (in outputs/)')
-  .option('--q <query>', 'Original query for date filtering (e.g: creationDate lt "2026-01-01T00:00:00.000Z")')
+  .option('--q <query>', 'Original query of the listing, only for partial files that do not record it (--q= for none)')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('🔄 Retry Failed Offsets v1.0.0\n'));
@@ -2206,16 +4761,9 @@ program
         throw new Error('--file is required (e.g: --file skus_list_2026-02-27_partial.json)');
       }
 
-      if (!options.q) {
-        throw new Error('--q is required (e.g: --q \'creationDate lt "2026-01-01T00:00:00.000Z"\')');
-      }
-
-      // Detect endpoint from filename
-      const isSkus = options.file.startsWith('skus_');
-      const endpoint = isSkus ? config.endpoints.skus : config.endpoints.products;
-
       const fetcher = new ProfileFetcher(options.env);
-      await fetcher.retryFailed(endpoint, options.file, options.q || null);
+      applyRateLimit(fetcher, options);
+      await fetcher.retryFailed(options.file, options.q === undefined ? null : options.q);
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
     } catch (error) {
@@ -2227,20 +4775,88 @@ program
 program
   .command('deleteProducts')
   .description('Delete products from a CSV file (auto-finds files starting with "products" in inputs/)')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
   .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
-  .argument('[csvFile]', 'Optional: CSV file name in inputs folder (default: auto-find products*.csv)')
+  .option('--dry-run', 'Only look the products up and write a deletion plan to outputs/; nothing is deleted')
+  .option('--plan <planFile>', 'Delete exactly the products in a plan written by --dry-run (instead of the CSV)')
+  .option('--backup-include <parts>', `Also back up child SKU payloads and/or parent collections (${BACKUP_PARTS.join(',')})`)
+  .option('--cascade', 'Delete each product\'s child SKUs first (their payloads go into the backup)')
+  .option('--id-pattern <regex>', ID_PATTERN_OPTION_DESCRIPTION)
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .argument('[csvFile]', 'Optional: CSV file name in inputs folder or a path (default: auto-find products*.csv)')
   .action(async (csvFile, options) => {
     try {
       console.log(chalk.blue.bold('🗑️  Product Deleter v1.0.0\n'));
 
-      const concurrency = parseInt(options.concurrency) || 1;
-      if (concurrency < 1 || concurrency > 10) {
-        throw new Error('Concurrency must be between 1 and 10');
+      if (options.dryRun && options.plan) {
+        throw new Error('--dry-run and --plan cannot be used together');
+      }
+      if (options.plan && csvFile) {
+        throw new Error('--plan replaces the CSV file; pass one or the other');
+      }
+      if (options.dryRun && options.cascade) {
+        console.log(chalk.gray('The plan lists each product\'s child SKUs; pass --cascade again when running it.\n'));
+      }
+
+      const concurrency = parseConcurrency(options.concurrency);
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      applyIdPolicy(fetcher, options, 'deleteProducts');
+
+      if (options.dryRun) {
+        await fetcher.planProductDeletion(csvFile, concurrency);
+        console.log(chalk.green.bold('🎉 Dry run completed, nothing was deleted!'));
+        return;
+      }
+
+      const report = await fetcher.deleteProducts(
+        csvFile,
+        concurrency,
+        options.plan || null,
+        parseBackupParts(options.backupInclude),
+        options.cascade || false
+      );
+      if (report.interrupted) {
+        process.exit(130);
       }
 
+      console.log(chalk.green.bold('🎉 Deletion process completed!'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('deleteSkus')
+  .description('Delete SKUs from a CSV file (auto-finds files starting with "skus" in inputs/)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('--id-pattern <regex>', 'Regex SKU IDs must match (default: idPolicy.commands.deleteSkus.allow, or any ID)')
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .argument('[csvFile]', 'Optional: CSV file name in inputs folder or a path (default: auto-find skus*.csv)')
+  .action(async (csvFile, options) => {
+    try {
+      console.log(chalk.blue.bold('🗑️  SKU Deleter v1.0.0\n'));
+
+      const concurrency = parseConcurrency(options.concurrency);
+
       const fetcher = new ProfileFetcher(options.env);
-      await fetcher.deleteProducts(csvFile, concurrency);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      // SKU IDs follow no common prefix, so the product allow list does not apply
+      applyIdPolicy(fetcher, options, 'deleteSkus', []);
+
+      const report = await fetcher.deleteSkus(csvFile, concurrency);
+      if (report.interrupted) {
+        process.exit(130);
+      }
 
       console.log(chalk.green.bold('🎉 Deletion process completed!'));
     } catch (error) {
@@ -2249,18 +4865,181 @@ program
     }
   });
 
+// updateProducts and updateSkus only differ in what they update
+function registerUpdateCommand(name, { title, plural, defaultAllow = null }) {
+  program
+    .command(name)
+    .description(`Update ${plural} from a CSV (ID column plus one column per property) or an NDJSON file of patches`)
+    .argument('<file>', 'Patch file in inputs folder or a path (.csv, or .ndjson/.jsonl)')
+    .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+    .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+    .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+    .option('--dry-run', 'Read every item and report what would change; nothing is sent')
+    .option('--id-pattern <regex>', ID_PATTERN_OPTION_DESCRIPTION)
+    .option('-y, --yes', YES_OPTION_DESCRIPTION)
+    .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+    .action(async (file, options) => {
+      try {
+        console.log(chalk.blue.bold(`✏️  ${title} Updater v1.0.0\n`));
+
+        const fetcher = new ProfileFetcher(options.env);
+        applyRateLimit(fetcher, options);
+        applyConfirmation(fetcher, options);
+        applyIdPolicy(fetcher, options, name, defaultAllow);
+        const report = await fetcher[name](file, parseConcurrency(options.concurrency), options.dryRun || false);
+
+        if (options.dryRun) {
+          console.log(chalk.green.bold('🎉 Dry run completed, nothing was changed!'));
+        } else if (report.failed > 0) {
+          console.log(chalk.yellow.bold(`⚠️  Update finished with ${report.failed} failure(s)`));
+        } else {
+          console.log(chalk.green.bold('🎉 Update completed!'));
+        }
+      } catch (error) {
+        console.error(chalk.red.bold('\n❌ Error:'), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+registerUpdateCommand('updateProducts', { title: 'Product', plural: 'products' });
+// SKU IDs follow no common prefix, so the product allow list does not apply
+registerUpdateCommand('updateSkus', { title: 'SKU', plural: 'SKUs', defaultAllow: [] });
+
+const PROFILE_ID_PATTERN_OPTION_DESCRIPTION = 'Regex profile IDs must match (default: idPolicy.commands.<command>.allow, or any ID)';
+
+program
+  .command('updateProfiles')
+  .description('Update profiles from a CSV (id or email column plus one column per property) or an NDJSON file of patches')
+  .argument('<file>', 'Patch file in inputs folder or a path (.csv, or .ndjson/.jsonl)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('--dry-run', 'Read every profile and report what would change; nothing is sent')
+  .option('--id-pattern <regex>', PROFILE_ID_PATTERN_OPTION_DESCRIPTION)
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .action(async (file, options) => {
+    try {
+      console.log(chalk.blue.bold('✏️  Profile Updater v1.0.0\n'));
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      // Profile IDs have nothing to do with the product allow list
+      applyIdPolicy(fetcher, options, 'updateProfiles', []);
+
+      const report = await fetcher.updateProfiles(file, parseConcurrency(options.concurrency), options.dryRun || false);
+      reportProfileAction(report, 'Update');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('anonymizeProfiles')
+  .description('Anonymize the PII fields of profiles listed by ID or email (auto-finds files starting with "profiles" in inputs/)')
+  .argument('[csvFile]', 'Optional: CSV file name in inputs folder or a path (default: auto-find profiles*.csv)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('--field-map <file>', 'JSON file mapping profile properties to replacement values (default: the environment\'s anonymizeFields, or the built-in map)')
+  .option('--dry-run', 'Read every profile and report which fields would be replaced; nothing is sent')
+  .option('--id-pattern <regex>', PROFILE_ID_PATTERN_OPTION_DESCRIPTION)
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .action(async (csvFile, options) => {
+    try {
+      console.log(chalk.blue.bold('🕶️  Profile Anonymizer v1.0.0\n'));
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      applyIdPolicy(fetcher, options, 'anonymizeProfiles', []);
+
+      const report = await fetcher.anonymizeProfiles(csvFile, parseConcurrency(options.concurrency), options.dryRun || false, options.fieldMap || null);
+      reportProfileAction(report, 'Anonymization');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('deleteProfiles')
+  .description('Delete profiles listed by ID or email (auto-finds files starting with "profiles" in inputs/)')
+  .argument('[csvFile]', 'Optional: CSV file name in inputs folder or a path (default: auto-find profiles*.csv)')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('--dry-run', 'Look every profile up and report what would be deleted; nothing is deleted')
+  .option('--id-pattern <regex>', PROFILE_ID_PATTERN_OPTION_DESCRIPTION)
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .action(async (csvFile, options) => {
+    try {
+      console.log(chalk.blue.bold('🗑️  Profile Deleter v1.0.0\n'));
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      applyIdPolicy(fetcher, options, 'deleteProfiles', []);
+
+      const report = await fetcher.deleteProfiles(csvFile, parseConcurrency(options.concurrency), options.dryRun || false);
+      reportProfileAction(report, 'Deletion');
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('restoreProducts')
+  .description('Recreate products from a deleteProducts backup bundle (outputs/delete_backup_*.ndjson)')
+  .argument('<backupFile>', 'Backup file name in outputs/ or a path')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
+  .option('-y, --yes', YES_OPTION_DESCRIPTION)
+  .option('--i-know-this-is-prod', PROD_OPTION_DESCRIPTION)
+  .action(async (backupFile, options) => {
+    try {
+      console.log(chalk.blue.bold('♻️  Product Restorer v1.0.0\n'));
+
+      const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
+      applyConfirmation(fetcher, options);
+      const report = await fetcher.restoreProducts(backupFile, parseConcurrency(options.concurrency));
+
+      if (report.failed.length > 0) {
+        console.log(chalk.yellow.bold(`⚠️  Restore finished with ${report.failed.length} product(s) not restored`));
+      } else {
+        console.log(chalk.green.bold('🎉 Restore completed!'));
+      }
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('searchOrders')
   .description('Fetch orders by ID from a CSV file (auto-finds files starting with "orders" in inputs/)')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
   .option('--f <fields>', 'Fields to return (e.g: id,profile.email,profile.login)')
+  .option('-n, --concurrency <number>', 'Number of parallel requests (1-10)', '1')
   .argument('[csvFile]', 'Optional: CSV file name in inputs folder (default: auto-find orders*.csv)')
   .action(async (csvFile, options) => {
     try {
       console.log(chalk.blue.bold('🔍 Order Fetcher v1.0.0\n'));
 
+      const concurrency = parseConcurrency(options.concurrency);
+
       const fetcher = new ProfileFetcher(options.env);
-      await fetcher.searchOrders(csvFile, options.f || '');
+      applyRateLimit(fetcher, options);
+      await fetcher.searchOrders(csvFile, options.f || '', concurrency);
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
     } catch (error) {
@@ -2272,7 +5051,7 @@ program
 program
   .command('countOrders')
   .description('Count the number of orders with INCOMPLETE status')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('📦 Order Counter v1.0.0\n'));
@@ -2290,7 +5069,7 @@ program
 program
   .command('oldestOrder')
   .description('Find the oldest order with INCOMPLETE status')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('🕰️  Oldest Incomplete Order Finder v1.0.0\n'));
@@ -2308,12 +5087,14 @@ program
 program
   .command('listOrders')
   .description('List all INCOMPLETE orders from oldest to newest with BR and CA timestamps')
-  .option('--env <environment>', 'Environment (dev, tst, prod)', 'dev')
+  .option('--env <environment>', 'Environment name (see "envs" command)', 'dev')
+  .option('--rps <number>', RPS_OPTION_DESCRIPTION)
   .action(async (options) => {
     try {
       console.log(chalk.blue.bold('📋 Incomplete Orders List v1.0.0\n'));
 
       const fetcher = new ProfileFetcher(options.env);
+      applyRateLimit(fetcher, options);
       await fetcher.listIncompleteOrders();
 
       console.log(chalk.green.bold('🎉 Operation completed successfully!'));
@@ -2323,4 +5104,71 @@ program
     }
   });
 
+program
+  .command('envs')
+  .description('List every configured environment and check that it is reachable')
+  .option('--no-check', 'Only list environments, without trying to log in')
+  .option('--timeout <ms>', 'Login timeout per environment in milliseconds', '10000')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue.bold('🌐 Environments v1.0.0\n'));
+
+      if (config.environmentsError) {
+        throw config.environmentsError;
+      }
+      const names = Object.keys(config.environments).sort();
+      if (config.environmentsFile) {
+        console.log(chalk.gray(`📄 Profile file: ${config.environmentsFile}\n`));
+      }
+
+      if (names.length === 0) {
+        console.log(chalk.yellow('No environments discovered. Define <NAME>_BASE_URL and <NAME>_BEARER_TOKEN in .env or create environments.json.'));
+        return;
+      }
+
+      let unhealthy = 0;
+
+      for (const name of names) {
+        const envConfig = config.environments[name];
+        const flags = [envConfig.readOnly ? 'read-only' : null, envConfig.protected ? 'protected' : null].filter(Boolean);
+
+        console.log(chalk.cyan.bold(`• ${name}`) + (flags.length > 0 ? chalk.yellow(` [${flags.join(', ')}]`) : ''));
+        console.log(chalk.gray(`    Base URL : ${envConfig.baseUrl || '(missing)'}`));
+        console.log(chalk.gray(`    Source   : ${envConfig.source}`));
+        if (envConfig.description) {
+          console.log(chalk.gray(`    Notes    : ${envConfig.description}`));
+        }
+        if (Object.keys(envConfig.limits).length > 0) {
+          console.log(chalk.gray(`    Limits   : ${JSON.stringify(envConfig.limits)}`));
+        }
+        if (Object.keys(envConfig.defaultFields).length > 0) {
+          console.log(chalk.gray(`    Fields   : ${JSON.stringify(envConfig.defaultFields)}`));
+        }
+
+        if (options.check) {
+          const spinner = ora(chalk.blue(`Checking ${name}...`)).start();
+          const result = await checkReachability(envConfig, config.endpoints.login, parseInt(options.timeout) || 10000);
+          const latency = result.latency !== undefined ? ` (${result.latency}ms)` : '';
+
+          if (result.status === 'ok') {
+            spinner.succeed(chalk.green(`${name}: ${result.message}${latency}`));
+          } else {
+            unhealthy++;
+            spinner.fail(chalk.red(`${name}: ${result.message}${latency}`));
+          }
+        }
+        console.log('');
+      }
+
+      if (unhealthy > 0) {
+        throw new Error(`${unhealthy} environment(s) failed the reachability check`);
+      }
+
+      console.log(chalk.green.bold('🎉 Operation completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
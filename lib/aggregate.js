@@ -0,0 +1,219 @@
+// Group-by and aggregation reports for mineResult, e.g.
+//
+//   --group-by shippingAddress.state --agg count,sum:lastPurchaseAmount,avg:lastPurchaseAmount
+//   --group-by lastPurchaseDate:month --agg count,distinct:email
+//
+// Group fields are paths as in filter expressions; a date field may carry a
+// bucket (day, week or month). Weeks run Monday to Sunday and are keyed by
+// their Monday. When a path holds several values (childSKUs[*].repositoryId)
+// the item counts towards each of their groups. Aggregations are count (items,
+// or items with a value when given a field), sum, avg, min, max and distinct
+// (number of different values). Sums and averages are rounded to 2 decimals.
+
+const { resolvePath, PATH_PATTERN } = require('./filterExpression');
+
+const BUCKETS = ['day', 'week', 'month'];
+const AGGREGATIONS = ['count', 'sum', 'avg', 'min', 'max', 'distinct'];
+const NUMERIC_AGGREGATIONS = ['sum', 'avg'];
+const DATE_PREFIX = /^(\d{4})-(\d{2})-(\d{2})/;
+
+function checkPath(fieldPath, spec) {
+  if (!PATH_PATTERN.test(fieldPath)) {
+    throw new Error(`Invalid field path '${fieldPath}' in '${spec}'`);
+  }
+}
+
+function splitList(spec) {
+  return String(spec).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// 'shippingAddress.state,lastPurchaseDate:month' -> [{ path, bucket, column }]
+function parseGroupBy(spec) {
+  const groups = splitList(spec).map(part => {
+    const [fieldPath, bucket, ...rest] = part.split(':');
+    checkPath(fieldPath, part);
+    if (rest.length > 0 || (bucket !== undefined && !BUCKETS.includes(bucket))) {
+      throw new Error(`Invalid group '${part}' (use field or field:${BUCKETS.join('|')})`);
+    }
+    return { path: fieldPath, bucket: bucket || null, column: bucket ? `${fieldPath}_${bucket}` : fieldPath };
+  });
+  if (groups.length === 0) {
+    throw new Error('--group-by needs at least one field');
+  }
+  return groups;
+}
+
+// 'count,sum:lastPurchaseAmount' -> [{ fn, path, column }]
+function parseAggregations(spec) {
+  const aggregations = splitList(spec).map(part => {
+    const [fn, fieldPath, ...rest] = part.split(':');
+    if (!AGGREGATIONS.includes(fn) || rest.length > 0) {
+      throw new Error(`Invalid aggregation '${part}' (use ${AGGREGATIONS.join(', ')}, with :field)`);
+    }
+    if (fieldPath === undefined || fieldPath === '') {
+      if (fn !== 'count') throw new Error(`Aggregation '${fn}' needs a field (${fn}:field)`);
+      return { fn, path: null, column: 'count' };
+    }
+    checkPath(fieldPath, part);
+    return { fn, path: fieldPath, column: `${fn}_${fieldPath}` };
+  });
+  if (aggregations.length === 0) {
+    throw new Error('--agg needs at least one aggregation');
+  }
+  const seen = new Set();
+  aggregations.forEach(({ column }) => {
+    if (seen.has(column)) throw new Error(`Aggregation '${column}' is listed twice`);
+    seen.add(column);
+  });
+  return aggregations;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Day, Monday of the week or month a date value falls in, as text. A value
+// written as YYYY-MM-DD... keeps its own calendar day whatever its time zone.
+function bucketDate(value, bucket) {
+  let year, month, day;
+  const prefix = typeof value === 'string' && value.match(DATE_PREFIX);
+  if (prefix) {
+    [year, month, day] = prefix.slice(1).map(Number);
+  } else {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (isNaN(time)) return null;
+    const date = new Date(time);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  }
+
+  if (bucket === 'month') return `${year}-${pad(month)}`;
+  if (bucket === 'week') {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function present(values) {
+  return values.filter(value => value !== null && value !== undefined && value !== '');
+}
+
+function compareValues(a, b, type) {
+  if (type === 'number') return Number(a) - Number(b);
+  if (type === 'date') return Date.parse(a) - Date.parse(b);
+  return String(a).localeCompare(String(b));
+}
+
+function applyAggregation({ fn, path: fieldPath }, items, type) {
+  if (fn === 'count' && !fieldPath) return items.length;
+  if (fn === 'count') return items.filter(item => present(resolvePath(item, fieldPath)).length > 0).length;
+
+  const values = items.flatMap(item => present(resolvePath(item, fieldPath)));
+  if (fn === 'distinct') return new Set(values.map(value => JSON.stringify(value))).size;
+
+  if (NUMERIC_AGGREGATIONS.includes(fn)) {
+    const numbers = values.map(Number).filter(number => !isNaN(number));
+    const sum = numbers.reduce((total, number) => total + number, 0);
+    if (fn === 'sum') return round(sum);
+    return numbers.length > 0 ? round(sum / numbers.length) : null;
+  }
+
+  const sorted = [...values].sort((a, b) => compareValues(a, b, type));
+  if (sorted.length === 0) return null;
+  const value = fn === 'min' ? sorted[0] : sorted[sorted.length - 1];
+  return type === 'number' ? Number(value) : value;
+}
+
+// Null group keys sort last
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// One row per group (a single row without groups), sorted by the group keys.
+// typeOf(path) gives a field's detected type: buckets need date fields, sum
+// and avg numbers, and min/max compare by it.
+function aggregate(items, groups, aggregations, typeOf) {
+  groups.filter(group => group.bucket).forEach(group => {
+    const type = typeOf(group.path);
+    if (type !== 'date') {
+      throw new Error(`Cannot bucket '${group.path}' by ${group.bucket}: it is a ${type} field, not a date`);
+    }
+  });
+  aggregations.filter(({ fn }) => NUMERIC_AGGREGATIONS.includes(fn)).forEach(({ fn, path: fieldPath }) => {
+    const type = typeOf(fieldPath);
+    if (type !== 'number') {
+      throw new Error(`Cannot ${fn} '${fieldPath}': it is a ${type} field, not a number`);
+    }
+  });
+
+  const byKey = new Map();
+  items.forEach(item => {
+    // Every combination of the values found for each group field
+    let keys = [[]];
+    groups.forEach(group => {
+      let values = present(resolvePath(item, group.path));
+      if (group.bucket) values = present(values.map(value => bucketDate(value, group.bucket)));
+      values = values.length > 0 ? [...new Set(values)] : [null];
+      keys = keys.flatMap(key => values.map(value => [...key, value]));
+    });
+
+    keys.forEach(key => {
+      const id = JSON.stringify(key);
+      if (!byKey.has(id)) byKey.set(id, { key, items: [] });
+      byKey.get(id).items.push(item);
+    });
+  });
+
+  // Without groups there is always one row, even for no items
+  if (groups.length === 0 && byKey.size === 0) {
+    byKey.set('[]', { key: [], items: [] });
+  }
+
+  const types = {};
+  aggregations.filter(({ path: fieldPath }) => fieldPath).forEach(({ path: fieldPath }) => {
+    types[fieldPath] = typeOf(fieldPath);
+  });
+
+  return [...byKey.values()]
+    .sort((a, b) => {
+      for (let i = 0; i < a.key.length; i++) {
+        const order = compareKeys(a.key[i], b.key[i]);
+        if (order !== 0) return order;
+      }
+      return 0;
+    })
+    .map(({ key, items: groupItems }) => {
+      const row = {};
+      groups.forEach((group, i) => { row[group.column] = key[i]; });
+      aggregations.forEach(aggregation => {
+        row[aggregation.column] = applyAggregation(aggregation, groupItems, types[aggregation.path]);
+      });
+      return row;
+    });
+}
+
+// Plain-text table for the console; numbers are right-aligned
+function formatTable(rows, columns) {
+  const text = value => (value === null || value === undefined ? '-' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => text(row[column]).length)));
+  const line = cells => cells.join('  ').trimEnd();
+
+  return [
+    line(columns.map((column, i) => column.padEnd(widths[i]))),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map((column, i) => (typeof row[column] === 'number'
+      ? text(row[column]).padStart(widths[i])
+      : text(row[column]).padEnd(widths[i])))))
+  ];
+}
+
+module.exports = { parseGroupBy, parseAggregations, bucketDate, aggregate, formatTable, BUCKETS, AGGREGATIONS };
@@ -0,0 +1,48 @@
+// Field map for anonymizeProfiles: profile property -> replacement value.
+// String replacements may use {id} for the profile ID (so anonymized emails
+// stay unique); any other JSON value, null included, is written as is. Only
+// properties the profile actually has are touched. The map comes from the
+// environment's `anonymizeFields` in environments.json or from --field-map.
+
+const fs = require('fs');
+
+const DEFAULT_FIELD_MAP = {
+  firstName: 'Anonymized',
+  lastName: 'Anonymized',
+  email: 'anonymized+{id}@example.invalid',
+  login: 'anonymized+{id}@example.invalid',
+  phoneNumber: null,
+  dateOfBirth: null,
+  shippingAddress: null
+};
+
+function validateFieldMap(fieldMap, source) {
+  if (!fieldMap || typeof fieldMap !== 'object' || Array.isArray(fieldMap) || Object.keys(fieldMap).length === 0) {
+    throw new Error(`${source} must map profile properties to replacement values`);
+  }
+  return fieldMap;
+}
+
+function loadFieldMap(filepath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read field map ${filepath}: ${error.message}`);
+  }
+  return validateFieldMap(parsed, filepath);
+}
+
+// New values for the properties of `profile` that the map covers
+function anonymizedValues(profile, fieldMap) {
+  const values = {};
+  Object.entries(fieldMap).forEach(([field, replacement]) => {
+    if (profile[field] === undefined) return;
+    values[field] = typeof replacement === 'string'
+      ? replacement.replace(/\{id\}/g, profile.id)
+      : replacement;
+  });
+  return values;
+}
+
+module.exports = { DEFAULT_FIELD_MAP, validateFieldMap, loadFieldMap, anonymizedValues };
@@ -0,0 +1,34 @@
+// Typed confirmation for destructive commands in protected environments.
+// The operator has to type the environment name back; anything else (or
+// closing the input) cancels.
+
+const readline = require('readline');
+
+// Resolves with the line typed, or '' when the input closes first
+function ask(question, { input = process.stdin, output = process.stderr } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, output, terminal: false });
+    let answered = false;
+
+    rl.once('close', () => {
+      if (!answered) resolve('');
+    });
+    rl.question(question, answer => {
+      answered = true;
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function confirmByTypingName(name, streams = {}) {
+  const answer = await ask(`Type the environment name (${name}) to continue: `, streams);
+  return answer.trim() === name;
+}
+
+// First `size` IDs, plus how many were left out
+function sampleIds(ids, size = 10) {
+  return { sample: ids.slice(0, size), more: Math.max(0, ids.length - size) };
+}
+
+module.exports = { ask, confirmByTypingName, sampleIds };
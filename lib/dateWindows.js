@@ -0,0 +1,60 @@
+// Date-window pagination.
+// Instead of walking one query with ever larger offsets (which OCC stops
+// serving reliably deep into big collections), the query is split into
+// half-open windows [start, end) on a date field. Each window is counted
+// first and split in two until it holds no more than `maxResults` items, so
+// every window can then be paged with small offsets.
+
+function toIso(ms) {
+  return new Date(ms).toISOString();
+}
+
+// Adds a condition to a SCIM query, keeping the original query intact in parentheses
+function andQuery(query, condition) {
+  return query ? `(${query}) and ${condition}` : condition;
+}
+
+function windowQuery(query, field, window) {
+  return andQuery(query, `${field} ge "${toIso(window.start)}" and ${field} lt "${toIso(window.end)}"`);
+}
+
+// Items that have no value for the window field fall outside every window
+function undatedQuery(query, field) {
+  return andQuery(query, `not (${field} pr)`);
+}
+
+// Splits [start, end) until every window holds at most maxResults items.
+// count(window) resolves with the number of items in a window. Windows are
+// returned in time order with their counts; empty windows are dropped. A
+// window one millisecond wide cannot be split further and is returned with
+// `oversized: true`.
+async function planWindows(range, maxResults, count, onSplit = null) {
+  const windows = [];
+
+  const visit = async window => {
+    const total = await count(window);
+    if (total === 0) return;
+
+    if (total <= maxResults) {
+      windows.push({ ...window, total });
+      return;
+    }
+
+    if (window.end - window.start <= 1) {
+      windows.push({ ...window, total, oversized: true });
+      return;
+    }
+
+    const middle = window.start + Math.floor((window.end - window.start) / 2);
+    if (onSplit) onSplit(window, total);
+    await visit({ start: window.start, end: middle });
+    await visit({ start: middle, end: window.end });
+  };
+
+  if (range.end > range.start) {
+    await visit(range);
+  }
+  return windows;
+}
+
+module.exports = { andQuery, windowQuery, undatedQuery, planWindows, toIso };
@@ -0,0 +1,165 @@
+// Environment registry.
+// Environments are discovered from every <NAME>_BASE_URL / <NAME>_BEARER_TOKEN
+// pair in the process environment (.env) and from an optional profile file
+// (environments.json, environments.yml or environments.yaml) that can add
+// per-environment limits, HTTP settings, default fields, the ID policy, the
+// anonymizeProfiles field map and the read-only and protected flags.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const yaml = require('js-yaml');
+
+const PROFILE_FILENAMES = ['environments.json', 'environments.yml', 'environments.yaml'];
+const BASE_URL_SUFFIX = '_BASE_URL';
+
+// Always protected, whatever the profile file says
+const PROTECTED_NAMES = ['prod', 'production'];
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function discoverFromEnv(env) {
+  const environments = {};
+
+  Object.keys(env)
+    .filter(key => key.endsWith(BASE_URL_SUFFIX) && key.length > BASE_URL_SUFFIX.length)
+    .forEach(key => {
+      const prefix = key.slice(0, -BASE_URL_SUFFIX.length);
+      // Only complete pairs count, so unrelated *_BASE_URL variables are ignored
+      if (env[`${prefix}_BEARER_TOKEN`] === undefined) return;
+      environments[normalizeName(prefix)] = {
+        baseUrl: env[key],
+        bearerToken: env[`${prefix}_BEARER_TOKEN`],
+        source: '.env',
+        variables: { baseUrl: key, bearerToken: `${prefix}_BEARER_TOKEN` }
+      };
+    });
+
+  return environments;
+}
+
+function findProfileFile(directories, explicitFile) {
+  if (explicitFile) {
+    if (!fs.existsSync(explicitFile)) {
+      throw new Error(`Environments file not found: ${explicitFile}`);
+    }
+    return explicitFile;
+  }
+
+  for (const directory of directories) {
+    for (const filename of PROFILE_FILENAMES) {
+      const candidate = path.join(directory, filename);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function readProfileFile(filepath) {
+  const content = fs.readFileSync(filepath, 'utf8');
+  let parsed;
+  try {
+    parsed = filepath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filepath)}: ${error.message}`);
+  }
+
+  // Accept both { environments: { ... } } and a bare map of environments
+  const entries = parsed && parsed.environments ? parsed.environments : parsed;
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`${path.basename(filepath)} must map environment names to settings`);
+  }
+  return entries;
+}
+
+function discoverFromFile(filepath, env, discovered) {
+  const environments = {};
+  const entries = readProfileFile(filepath);
+  const source = path.basename(filepath);
+
+  Object.entries(entries).forEach(([rawName, settings]) => {
+    const name = normalizeName(rawName);
+    const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const existing = discovered[name] || {};
+    const entry = settings || {};
+
+    // Secrets stay out of the file: read the token from the variable it names,
+    // or from the usual <NAME>_BEARER_TOKEN
+    if (entry.bearerToken !== undefined) {
+      throw new Error(`${source}: '${rawName}' sets bearerToken inline; move the token to .env and name it with bearerTokenEnv (or use ${prefix}_BEARER_TOKEN)`);
+    }
+    const tokenVariable = entry.bearerTokenEnv || `${prefix}_BEARER_TOKEN`;
+
+    environments[name] = {
+      ...existing,
+      baseUrl: entry.baseUrl || existing.baseUrl,
+      bearerToken: env[tokenVariable] || existing.bearerToken,
+      readOnly: entry.readOnly === true,
+      protected: entry.protected === true,
+      limits: entry.limits || {},
+      http: entry.http || {},
+      defaultFields: entry.defaultFields || {},
+      idPolicy: entry.idPolicy || {},
+      anonymizeFields: entry.anonymizeFields || null,
+      description: entry.description,
+      source: existing.source ? `${existing.source} + ${source}` : source,
+      variables: { ...(existing.variables || {}), bearerToken: tokenVariable }
+    };
+  });
+
+  return environments;
+}
+
+function loadEnvironments({ env = process.env, directories = [], file = env.ENVIRONMENTS_FILE } = {}) {
+  const fromEnv = discoverFromEnv(env);
+  const profileFile = findProfileFile(directories, file);
+  const fromFile = profileFile ? discoverFromFile(profileFile, env, fromEnv) : {};
+
+  const environments = { ...fromEnv, ...fromFile };
+  Object.entries(environments).forEach(([name, environment]) => {
+    environment.readOnly = environment.readOnly === true;
+    // Destructive commands in protected environments need a typed confirmation
+    environment.protected = environment.protected === true || PROTECTED_NAMES.includes(name);
+    environment.limits = environment.limits || {};
+    environment.http = environment.http || {};
+    environment.defaultFields = environment.defaultFields || {};
+    environment.idPolicy = environment.idPolicy || {};
+    environment.anonymizeFields = environment.anonymizeFields || null;
+  });
+
+  return { environments, profileFile };
+}
+
+async function checkReachability(environment, loginPath, timeout = 10000) {
+  if (!environment.baseUrl) {
+    return { status: 'misconfigured', message: 'Missing base URL' };
+  }
+  if (!environment.bearerToken) {
+    return { status: 'misconfigured', message: 'Missing bearer token' };
+  }
+
+  const startedAt = Date.now();
+  try {
+    await axios.post(`${environment.baseUrl}${loginPath}`, 'grant_type=client_credentials', {
+      timeout,
+      headers: {
+        'Authorization': `Bearer ${environment.bearerToken}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return { status: 'ok', message: 'Login succeeded', latency: Date.now() - startedAt };
+  } catch (error) {
+    if (error.response) {
+      return {
+        status: 'auth-failed',
+        message: `Reachable, but login returned HTTP ${error.response.status}`,
+        latency: Date.now() - startedAt
+      };
+    }
+    return { status: 'unreachable', message: error.code || error.message };
+  }
+}
+
+module.exports = { loadEnvironments, checkReachability, normalizeName, PROTECTED_NAMES };
@@ -0,0 +1,145 @@
+// Field profiling for the inspect command. Walks every item of a result file
+// once (items may be a lazy NDJSON iterator) and records, for every path it
+// meets, how often it holds a value, is null or is missing, the types of its
+// values, distinct and most frequent values, and the range of numbers and
+// dates. Paths are written as in filter expressions: shippingAddress.state,
+// and childSKUs[*].repositoryId for the elements of an array.
+//
+// Types are taken as stored: a number sent as "50" is a string, so a field
+// that mixes 50 and "50" shows up as a type conflict. Strings that parse as
+// dates (isDate) are dates. To bound memory, distinct values stop being
+// tracked per field after DISTINCT_LIMIT; distinct is then a lower bound and
+// top values only count the values seen before the limit.
+
+const DISTINCT_LIMIT = 10000;
+const DOMINANT_SHARE = 0.7; // Same threshold analyzeFieldType uses
+const SCALAR_TYPES = ['boolean', 'number', 'date', 'string'];
+
+function typeOfValue(value, isDate) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  if (typeof value === 'string') return isDate(value) ? 'date' : 'string';
+  return typeof value;
+}
+
+// Every path in an item with the values found there
+function collectPaths(item) {
+  const found = new Map();
+  const visit = (value, fieldPath) => {
+    if (!found.has(fieldPath)) found.set(fieldPath, []);
+    found.get(fieldPath).push(value);
+    if (Array.isArray(value)) {
+      value.forEach(element => visit(element, `${fieldPath}[*]`));
+    } else if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => visit(child, `${fieldPath}.${key}`));
+    }
+  };
+  Object.entries(item).forEach(([key, value]) => visit(value, key));
+  return found;
+}
+
+function newStats() {
+  return {
+    present: 0,
+    nulls: 0,
+    values: 0,
+    types: {},
+    counts: new Map(),
+    distinctCapped: false,
+    ranges: {}
+  };
+}
+
+// Kept per type so a field mixing numbers and dates never compares the two
+function trackRange(stats, value, type) {
+  const key = type === 'number' ? value : Date.parse(value);
+  const range = stats.ranges[type] || (stats.ranges[type] = { min: null, max: null });
+  if (range.min === null || key < range.min.key) range.min = { key, value };
+  if (range.max === null || key > range.max.key) range.max = { key, value };
+}
+
+function share(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 10000) / 100;
+}
+
+function summarize(fieldPath, stats, total, top) {
+  const typeCounts = Object.entries(stats.types).sort((a, b) => b[1] - a[1]);
+  let type = 'null';
+  if (typeCounts.length > 0) {
+    type = typeCounts[0][1] >= stats.values * DOMINANT_SHARE ? typeCounts[0][0] : 'mixed';
+  }
+
+  const summary = {
+    field: fieldPath,
+    type,
+    presentRate: share(stats.present - stats.nulls, total),
+    nullRate: share(stats.nulls, total),
+    missingRate: share(total - stats.present, total),
+    values: stats.values,
+    types: Object.fromEntries(typeCounts),
+    typeConflict: typeCounts.length > 1
+  };
+
+  if (stats.counts.size > 0) {
+    summary.distinct = stats.counts.size;
+    if (stats.distinctCapped) summary.distinctCapped = true;
+    summary.top = [...stats.counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([key, count]) => ({ value: JSON.parse(key), count }));
+  }
+  if (stats.ranges[type]) {
+    summary.min = stats.ranges[type].min.value;
+    summary.max = stats.ranges[type].max.value;
+  }
+  return summary;
+}
+
+// Profiles every path of items. Rates are percentages of the items: present
+// (holds a value), null (only null there) and missing (path absent). For
+// paths inside arrays an item counts once, however many elements it has.
+function profileFields(items, { top = 5, isDate = () => false } = {}) {
+  const fields = new Map();
+  let total = 0;
+
+  for (const item of items) {
+    total++;
+    collectPaths(item).forEach((values, fieldPath) => {
+      if (!fields.has(fieldPath)) fields.set(fieldPath, newStats());
+      const stats = fields.get(fieldPath);
+      stats.present++;
+
+      const nonNull = values.filter(value => value !== null && value !== undefined);
+      if (nonNull.length === 0) {
+        stats.nulls++;
+        return;
+      }
+
+      nonNull.forEach(value => {
+        const type = typeOfValue(value, isDate);
+        stats.values++;
+        stats.types[type] = (stats.types[type] || 0) + 1;
+        if (!SCALAR_TYPES.includes(type)) return;
+
+        const key = JSON.stringify(value);
+        if (stats.counts.has(key)) {
+          stats.counts.set(key, stats.counts.get(key) + 1);
+        } else if (stats.counts.size < DISTINCT_LIMIT) {
+          stats.counts.set(key, 1);
+        } else {
+          stats.distinctCapped = true;
+        }
+        if (type === 'number' || type === 'date') trackRange(stats, value, type);
+      });
+    });
+  }
+
+  return {
+    total,
+    fields: [...fields.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([fieldPath, stats]) => summarize(fieldPath, stats, total, top))
+  };
+}
+
+module.exports = { profileFields, collectPaths, DISTINCT_LIMIT };
@@ -0,0 +1,398 @@
+// Filter expressions for mineResult, e.g.
+//
+//   active = true and lastPurchaseAmount > 100 and email ew "@gmail.com"
+//
+// Paths use dots into nested objects (shippingAddress.state). Arrays are
+// searched element by element, implicitly or with [*] (childSKUs[*].repositoryId);
+// [n] picks one element. A comparison holds when any value at the path
+// matches (!= when none does). Operators: = != > >= < <=, the SCIM names
+// eq ne gt ge lt le co sw ew, `in (a, b)`, `between a and b`, `regex "..."`
+// (or /.../flags) and `exists`. `not` negates a group or a comparison, and
+// `not in`, `not between`, `not regex` and `not exists` read naturally.
+//
+// How values compare is up to the caller: compileExpression() asks for the
+// type of each path (boolean, number, date or string, as detected from the
+// data) and coerces both sides to it. A date written without a time stands
+// for that whole day.
+
+const COMPARISONS = {
+  '=': 'eq', '==': 'eq', '!=': 'ne', '>': 'gt', '>=': 'ge', '<': 'lt', '<=': 'le',
+  eq: 'eq', ne: 'ne', gt: 'gt', ge: 'ge', lt: 'lt', le: 'le',
+  co: 'co', contains: 'co', sw: 'sw', ew: 'ew'
+};
+const STRING_COMPARISONS = ['co', 'sw', 'ew'];
+const PATH_PATTERN = /^[A-Za-z_$][\w$-]*(\[(\*|\d+)\]|\.[A-Za-z_$][\w$-]*)*$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+    const previous = tokens[tokens.length - 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"' || char === '\'') {
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) i++;
+        value += expression[i];
+        i++;
+      }
+      if (i >= expression.length) throw new Error('Unterminated string');
+      tokens.push({ type: 'string', value });
+      i++;
+    } else if (char === '/' && previous && previous.type === 'word' && previous.value.toLowerCase() === 'regex') {
+      // /pattern/flags, only right after regex
+      const match = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(expression.slice(i));
+      if (!match) throw new Error('Unterminated regular expression');
+      tokens.push({ type: 'regex', pattern: match[1], flags: match[2] });
+      i += match[0].length;
+    } else if (/[=!<>]/.test(char)) {
+      const operator = /^(==|!=|>=|<=|=|>|<)/.exec(expression.slice(i));
+      if (!operator) throw new Error(`Unexpected character: ${char}`);
+      tokens.push({ type: 'operator', value: operator[1] });
+      i += operator[1].length;
+    } else {
+      let word = '';
+      while (i < expression.length && !/[\s(),"'=!<>]/.test(expression[i])) {
+        word += expression[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+// Grammar: or := and ("or" and)*; and := unary ("and" unary)*;
+// unary := "not" unary | "(" or ")" | path condition
+function parseExpression(expression) {
+  if (!expression || !String(expression).trim()) {
+    throw new Error('Invalid filter expression: expression is empty');
+  }
+
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isKeyword = (token, ...keywords) => token && token.type === 'word' && keywords.includes(token.value.toLowerCase());
+  const expect = (type, description) => {
+    const token = peek();
+    if (!token || token.type !== type) throw new Error(`Expected ${description}`);
+    position++;
+    return token;
+  };
+
+  const parseLiteral = () => {
+    const token = peek();
+    if (!token || (token.type !== 'string' && token.type !== 'word')) throw new Error('Expected a value');
+    position++;
+    if (token.type === 'string') return token.value;
+
+    const lower = token.value.toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+    if (lower === 'null') return null;
+    if (token.value !== '' && !isNaN(Number(token.value))) return Number(token.value);
+    return token.value;
+  };
+
+  const parseCondition = (path) => {
+    const token = peek();
+    if (!token) throw new Error(`Missing operator after ${path}`);
+
+    if (isKeyword(token, 'not') && isKeyword(peek(1), 'in', 'between', 'regex', 'exists')) {
+      position++;
+      return { type: 'not', expr: parseCondition(path) };
+    }
+    if (isKeyword(token, 'exists')) {
+      position++;
+      return { type: 'exists', path };
+    }
+    if (isKeyword(token, 'in')) {
+      position++;
+      expect('(', `( after ${path} in`);
+      const values = [parseLiteral()];
+      while (peek() && peek().type === ',') {
+        position++;
+        values.push(parseLiteral());
+      }
+      expect(')', 'closing parenthesis of the in list');
+      return { type: 'in', path, values };
+    }
+    if (isKeyword(token, 'between')) {
+      position++;
+      const low = parseLiteral();
+      if (!isKeyword(peek(), 'and')) throw new Error(`Expected and in ${path} between`);
+      position++;
+      return { type: 'between', path, low, high: parseLiteral() };
+    }
+    if (isKeyword(token, 'regex')) {
+      position++;
+      const next = peek();
+      if (next && next.type === 'regex') {
+        position++;
+        return { type: 'regex', path, pattern: next.pattern, flags: next.flags };
+      }
+      if (!next || next.type !== 'string') throw new Error(`Expected a pattern after ${path} regex`);
+      position++;
+      return { type: 'regex', path, pattern: next.value, flags: '' };
+    }
+
+    const operator = (token.type === 'operator' || token.type === 'word') && COMPARISONS[token.value.toLowerCase()];
+    if (!operator) throw new Error(`Unsupported operator: ${token.value || token.type}`);
+    position++;
+    return { type: 'compare', path, operator, value: parseLiteral() };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      expect(')', 'closing parenthesis');
+      return node;
+    }
+    if (isKeyword(token, 'not')) {
+      position++;
+      return { type: 'not', expr: parseUnary() };
+    }
+
+    if (token.type !== 'word') throw new Error('Expected a field path');
+    if (!PATH_PATTERN.test(token.value)) throw new Error(`Invalid field path: ${token.value}`);
+    position++;
+    return parseCondition(token.value);
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (isKeyword(peek(), 'and')) {
+      position++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  try {
+    const ast = parseOr();
+    if (position < tokens.length) {
+      const token = tokens[position];
+      throw new Error(`Unexpected token: ${token.value || token.pattern || token.type}`);
+    }
+    return ast;
+  } catch (error) {
+    throw new Error(`Invalid filter expression '${expression}': ${error.message}`);
+  }
+}
+
+// Values at a path; arrays along the way (and at the end) are flattened
+function resolvePath(item, path) {
+  const segments = [];
+  path.replace(/\[(\*|\d+)\]|([^.[\]]+)/g, (match, index, name) => {
+    segments.push(name !== undefined ? { name } : { index });
+  });
+
+  let values = [item];
+  for (const segment of segments) {
+    const next = [];
+    values.forEach(value => {
+      if (value === null || value === undefined) return;
+      if (segment.name !== undefined) {
+        (Array.isArray(value) ? value : [value]).forEach(target => {
+          if (target !== null && target !== undefined && target[segment.name] !== undefined) {
+            next.push(target[segment.name]);
+          }
+        });
+      } else if (Array.isArray(value)) {
+        if (segment.index === '*') next.push(...value);
+        else if (value[segment.index] !== undefined) next.push(value[segment.index]);
+      }
+    });
+    values = next;
+  }
+  return values.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
+
+// Field paths an expression uses, in order of first use
+function expressionPaths(node, paths = []) {
+  if (node.type === 'and' || node.type === 'or') {
+    expressionPaths(node.left, paths);
+    expressionPaths(node.right, paths);
+  } else if (node.type === 'not') {
+    expressionPaths(node.expr, paths);
+  } else if (!paths.includes(node.path)) {
+    paths.push(node.path);
+  }
+  return paths;
+}
+
+// A value as a [low, high] range of the given type, or null when it is not of
+// that type. Only dates without a time make a real range (the whole day)
+function toRange(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'boolean': {
+      const text = String(value).toLowerCase();
+      if (text !== 'true' && text !== 'false') return null;
+      return [text === 'true', text === 'true'];
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return isNaN(number) ? null : [number, number];
+    }
+    case 'date': {
+      const time = Date.parse(value);
+      if (isNaN(time)) return null;
+      return typeof value === 'string' && DATE_ONLY.test(value) ? [time, time + DAY_MS - 1] : [time, time];
+    }
+    default: {
+      const text = String(value).toLowerCase();
+      return [text, text];
+    }
+  }
+}
+
+// Compiles an expression into a predicate over items. typeOf(path) gives the
+// detected type of a path; a literal that does not fit it (say, text against
+// a number field) makes that comparison fall back to strings, with a warning
+function compileExpression(ast, typeOf) {
+  const warnings = [];
+
+  const comparisonType = (path, literals) => {
+    const type = typeOf(path);
+    if (!['boolean', 'number', 'date'].includes(type)) return 'string';
+    const misfit = literals.find(literal => toRange(literal, type) === null);
+    if (misfit !== undefined) {
+      warnings.push(`${path} holds ${type} values but ${JSON.stringify(misfit)} is not one; comparing as text`);
+      return 'string';
+    }
+    return type;
+  };
+
+  const compileValueTest = (node) => {
+    switch (node.type) {
+      case 'compare': {
+        if (node.value === null) {
+          if (node.operator === 'eq') return { none: true, test: () => true };
+          if (node.operator === 'ne') return { test: () => true };
+          throw new Error(`null can only be compared with = or != (${node.path})`);
+        }
+        if (STRING_COMPARISONS.includes(node.operator)) {
+          const text = String(node.value).toLowerCase();
+          const check = {
+            co: value => value.includes(text),
+            sw: value => value.startsWith(text),
+            ew: value => value.endsWith(text)
+          }[node.operator];
+          return { test: value => check(String(value).toLowerCase()) };
+        }
+
+        const type = comparisonType(node.path, [node.value]);
+        const [low, high] = toRange(node.value, type);
+        const within = value => {
+          const range = toRange(value, type);
+          return range !== null && range[0] >= low && range[0] <= high;
+        };
+        switch (node.operator) {
+          case 'eq': return { test: within };
+          case 'ne': return { none: true, test: within };
+          case 'gt': return { test: value => { const range = toRange(value, type); return range !== null && range[0] > high; } };
+          case 'ge': return { test: value => { const range = toRange(value, type); return range !== null && range[0] >= low; } };
+          case 'lt': return { test: value => { const range = toRange(value, type); return range !== null && range[0] < low; } };
+          case 'le': return { test: value => { const range = toRange(value, type); return range !== null && range[0] <= high; } };
+        }
+        break;
+      }
+      case 'in': {
+        const type = comparisonType(node.path, node.values);
+        const ranges = node.values.map(literal => toRange(literal, type)).filter(Boolean);
+        return {
+          test: value => {
+            const range = toRange(value, type);
+            return range !== null && ranges.some(([low, high]) => range[0] >= low && range[0] <= high);
+          }
+        };
+      }
+      case 'between': {
+        const type = comparisonType(node.path, [node.low, node.high]);
+        const low = toRange(node.low, type)[0];
+        const high = toRange(node.high, type)[1];
+        return {
+          test: value => {
+            const range = toRange(value, type);
+            return range !== null && range[0] >= low && range[0] <= high;
+          }
+        };
+      }
+      case 'regex': {
+        let regex;
+        try {
+          regex = new RegExp(node.pattern, node.flags);
+        } catch (error) {
+          throw new Error(`Invalid regex for ${node.path}: ${error.message}`);
+        }
+        return {
+          test: value => {
+            // One RegExp tests every item: with g or y, lastIndex would carry over
+            regex.lastIndex = 0;
+            return regex.test(typeof value === 'object' ? JSON.stringify(value) : String(value));
+          }
+        };
+      }
+      case 'exists':
+        return { test: () => true };
+    }
+    throw new Error(`Unknown expression node: ${node.type}`);
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const left = compile(node.left);
+        const right = compile(node.right);
+        return item => left(item) && right(item);
+      }
+      case 'or': {
+        const left = compile(node.left);
+        const right = compile(node.right);
+        return item => left(item) || right(item);
+      }
+      case 'not': {
+        const expr = compile(node.expr);
+        return item => !expr(item);
+      }
+    }
+
+    // `none` tests (!=, = null) hold when no value passes
+    const { test, none = false } = compileValueTest(node);
+    return item => {
+      const values = resolvePath(item, node.path).filter(value => value !== null && value !== undefined);
+      const matched = values.some(test);
+      return none ? !matched : matched;
+    };
+  };
+
+  return { predicate: compile(ast), warnings };
+}
+
+module.exports = { parseExpression, resolvePath, expressionPaths, compileExpression, PATH_PATTERN };
@@ -0,0 +1,135 @@
+// Single request layer for every OCC call made after login.
+// Adds the bearer token, retries transient failures with exponential backoff
+// and jitter, honors 429 Retry-After, and re-authenticates once on a 401.
+
+const axios = require('axios');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses where the server may have done part of the work: only idempotent
+// requests can be sent again safely
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+
+// Statuses/codes where the request was never processed, so any method can retry
+const ALWAYS_RETRYABLE_STATUSES = [429];
+const ALWAYS_RETRYABLE_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// Statuses that mean OCC is overloaded and callers should slow down
+const THROTTLE_STATUSES = [429, 503];
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  maxRetryAfter: 120000,
+  timeout: 30000
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error, method, idempotent = IDEMPOTENT_METHODS.includes(method)) {
+  const status = error.response?.status;
+
+  if (status) {
+    if (ALWAYS_RETRYABLE_STATUSES.includes(status)) return true;
+    return idempotent && RETRYABLE_STATUSES.includes(status);
+  }
+  if (ALWAYS_RETRYABLE_CODES.includes(error.code)) return true;
+  return idempotent && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+class HttpClient {
+  // getToken(): resolves a valid access token
+  // refreshToken(rejectedToken): forces a new login after the server rejected a token
+  // hooks.beforeRequest(): awaited before every attempt (rate limiting)
+  // hooks.onThrottle(status) / hooks.onSuccess(): feedback for adaptive concurrency
+  constructor({ baseUrl, getToken, refreshToken, options = {}, hooks = {} }) {
+    this.baseUrl = baseUrl;
+    this.getToken = getToken;
+    this.refreshToken = refreshToken;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.hooks = hooks;
+  }
+
+  backoffDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.maxRetryAfter);
+    }
+    // "Equal jitter": half the exponential delay plus a random half
+    const exponential = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // request({ method, path, params, data, headers, timeout, maxRetries, idempotent, onRetry })
+  // `idempotent: true` marks a POST as safe to send twice (e.g. a read-only search)
+  async request(requestOptions) {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const maxRetries = requestOptions.maxRetries ?? this.options.maxRetries;
+    let reauthenticated = false;
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      const token = await this.getToken();
+      if (this.hooks.beforeRequest) await this.hooks.beforeRequest();
+
+      try {
+        const response = await axios.request({
+          method,
+          url: `${this.baseUrl}${requestOptions.path}`,
+          params: requestOptions.params,
+          data: requestOptions.data,
+          timeout: requestOptions.timeout ?? this.options.timeout,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            ...requestOptions.headers
+          }
+        });
+        if (this.hooks.onSuccess) this.hooks.onSuccess();
+        return response;
+      } catch (error) {
+        error.attempts = attempt;
+
+        if (this.hooks.onThrottle && THROTTLE_STATUSES.includes(error.response?.status)) {
+          this.hooks.onThrottle(error.response.status);
+        }
+
+        // A rejected token is refreshed once per request and does not use up a retry
+        if (error.response?.status === 401 && !reauthenticated && this.refreshToken) {
+          reauthenticated = true;
+          attempt--;
+          await this.refreshToken(token);
+          continue;
+        }
+
+        const retryable = isRetryable(error, method, requestOptions.idempotent ?? IDEMPOTENT_METHODS.includes(method));
+        if (!retryable || attempt > maxRetries) {
+          throw error;
+        }
+
+        const delay = this.backoffDelay(attempt, error);
+        if (requestOptions.onRetry) {
+          requestOptions.onRetry({ attempt, maxRetries, delay, error });
+        }
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = { HttpClient, isRetryable, parseRetryAfter };
@@ -0,0 +1,84 @@
+// Which IDs a command may act on.
+// A policy has allow patterns (an ID must match at least one), deny patterns
+// (an ID matching any of them is rejected) and a list of protected IDs that
+// are rejected whatever the patterns say. Environments set it under
+// `idPolicy` in environments.json, optionally per command:
+//
+//   "idPolicy": {
+//     "allow": ["^PA"], "deny": ["^PA0000000"], "protected": ["PA0000110124"],
+//     "commands": { "deleteProducts": { "deny": ["_KEEP$"] } }
+//   }
+//
+// A command entry replaces the allow list and adds to the deny and protected
+// lists, so it can narrow the environment's policy but never unprotect an ID.
+// --id-pattern replaces the allow list for a single run. Commands acting on
+// something other than products (deleteSkus) pass their own default allow
+// list and skip the environment's, which is about product IDs.
+
+const DEFAULT_ALLOW = ['^PA'];
+
+function compilePatterns(patterns, kind) {
+  if (!Array.isArray(patterns)) {
+    throw new Error(`ID policy: ${kind} must be a list of patterns`);
+  }
+  return patterns.map(pattern => {
+    try {
+      return { pattern, regex: new RegExp(pattern) };
+    } catch (error) {
+      throw new Error(`ID policy: invalid ${kind} pattern '${pattern}': ${error.message}`);
+    }
+  });
+}
+
+class IdPolicy {
+  constructor({ allow = DEFAULT_ALLOW, deny = [], protected: protectedIds = [] } = {}) {
+    this.allow = compilePatterns(allow, 'allow');
+    this.deny = compilePatterns(deny, 'deny');
+    this.protectedIds = new Set(protectedIds.map(String));
+  }
+
+  // Environment settings, then the command's entry, then --id-pattern
+  static resolve(settings = {}, { command = null, idPattern = null, defaultAllow = null } = {}) {
+    const commandSettings = (command && settings.commands && settings.commands[command]) || {};
+    const inherited = defaultAllow || settings.allow || DEFAULT_ALLOW;
+    return new IdPolicy({
+      allow: idPattern ? [idPattern] : (commandSettings.allow || inherited),
+      deny: [...(settings.deny || []), ...(commandSettings.deny || [])],
+      protected: [...(settings.protected || []), ...(commandSettings.protected || [])]
+    });
+  }
+
+  // Allow and deny patterns only: for filtering listings, where a protected
+  // ID is still a perfectly good item
+  matchPatterns(id) {
+    const denied = this.deny.find(({ regex }) => regex.test(id));
+    if (denied) {
+      return { rule: 'deny', pattern: denied.pattern, reason: `matches deny pattern /${denied.pattern}/` };
+    }
+    if (this.allow.length > 0 && !this.allow.some(({ regex }) => regex.test(id))) {
+      return { rule: 'allow', pattern: this.describeAllow(), reason: `matches no allow pattern (${this.describeAllow()})` };
+    }
+    return null;
+  }
+
+  // null when the ID may be acted on, otherwise the rule that rejected it
+  check(id) {
+    if (this.protectedIds.has(id)) {
+      return { rule: 'protected', reason: 'protected ID' };
+    }
+    return this.matchPatterns(id);
+  }
+
+  describeAllow() {
+    return this.allow.map(({ pattern }) => `/${pattern}/`).join(', ');
+  }
+
+  describe() {
+    const parts = [`allow ${this.describeAllow() || 'any'}`];
+    if (this.deny.length > 0) parts.push(`deny ${this.deny.map(({ pattern }) => `/${pattern}/`).join(', ')}`);
+    if (this.protectedIds.size > 0) parts.push(`${this.protectedIds.size} protected ID(s)`);
+    return parts.join('; ');
+  }
+}
+
+module.exports = { IdPolicy, DEFAULT_ALLOW };
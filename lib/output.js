@@ -0,0 +1,156 @@
+// Streaming output pipeline for large listings.
+// Items are appended to an NDJSON spool file page by page (one JSON object per
+// line) and only then turned into the { ...header, items } JSON envelope and
+// the CSV, reading the spool back line by line. Nothing ever needs the whole
+// item list in memory, only the set of CSV columns seen so far.
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+const WRITE_BATCH_SIZE = 1024 * 1024;
+
+class NdjsonWriter {
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.fd = fs.openSync(filepath, 'w');
+    this.out = createBufferedWriter(this.fd);
+    this.count = 0;
+    this.fields = new Set();
+  }
+
+  write(item) {
+    Object.keys(item).forEach(key => this.fields.add(key));
+    this.out.write(JSON.stringify(item) + '\n');
+    this.count++;
+  }
+
+  writeAll(items) {
+    items.forEach(item => this.write(item));
+  }
+
+  close() {
+    if (this.fd === null) return;
+    this.out.flush();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+// Yields the items of an NDJSON file one at a time, reading it in chunks
+function* readNdjson(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  // Holds back multi-byte characters split across chunks
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+
+  try {
+    while (true) {
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null);
+      if (bytesRead === 0) break;
+
+      const lines = (rest + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+      }
+    }
+    rest += decoder.end();
+    if (rest.trim()) yield JSON.parse(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Batches small writes to an open file descriptor
+function createBufferedWriter(fd) {
+  let pending = '';
+  return {
+    write(text) {
+      pending += text;
+      if (pending.length >= WRITE_BATCH_SIZE) {
+        fs.writeSync(fd, pending);
+        pending = '';
+      }
+    },
+    flush() {
+      if (pending) fs.writeSync(fd, pending);
+      pending = '';
+    }
+  };
+}
+
+function indent(json, spaces) {
+  return json.replace(/\n/g, `\n${' '.repeat(spaces)}`);
+}
+
+// Same layout as JSON.stringify({ ...header, items }, null, 2), written item by item
+function writeJsonEnvelope(ndjsonPath, jsonPath, header) {
+  const fd = fs.openSync(jsonPath, 'w');
+  const out = createBufferedWriter(fd);
+
+  try {
+    out.write('{\n');
+    Object.entries(header)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => {
+        out.write(`  ${JSON.stringify(key)}: ${indent(JSON.stringify(value, null, 2), 2)},\n`);
+      });
+
+    let count = 0;
+    for (const item of readNdjson(ndjsonPath)) {
+      out.write(count === 0 ? '  "items": [\n' : ',\n');
+      out.write(`    ${indent(JSON.stringify(item, null, 2), 4)}`);
+      count++;
+    }
+    out.write(count === 0 ? '  "items": []\n}' : '\n  ]\n}');
+    out.flush();
+    return count;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  // Convert objects/arrays to JSON string
+  if (typeof value === 'object') {
+    value = JSON.stringify(value);
+  }
+
+  // Escape quotes and wrap in quotes if contains comma or quotes
+  value = String(value);
+  if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+    value = '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+function csvLine(item, fields) {
+  return fields.map(field => csvValue(item[field])).join(',');
+}
+
+// Streams an NDJSON file into a CSV with the given columns; returns the row count
+function writeCsv(ndjsonPath, csvPath, fields) {
+  const fd = fs.openSync(csvPath, 'w');
+  const out = createBufferedWriter(fd);
+  let count = 0;
+
+  try {
+    out.write(fields.join(',') + '\n');
+    for (const item of readNdjson(ndjsonPath)) {
+      out.write(csvLine(item, fields) + '\n');
+      count++;
+    }
+    out.flush();
+    return count;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { NdjsonWriter, readNdjson, writeJsonEnvelope, writeCsv, csvLine, csvValue };
@@ -0,0 +1,64 @@
+// Helpers for fetching offset-paginated OCC collections out of order:
+// the offsets still to fetch, progress/ETA reporting across concurrent pages
+// and de-duplication when pages are stitched back together.
+
+// Offsets from `start` up to `total`, one per page
+function pageOffsets(start, total, limit) {
+  const offsets = [];
+  for (let offset = start; offset < total; offset += limit) {
+    offsets.push(offset);
+  }
+  return offsets;
+}
+
+// Returns a predicate that is true only for the first item seen with each id;
+// items without an id always pass. Pages can overlap when OCC shifts offsets
+// mid-run or a resumed run refetches a page that was already saved
+function uniqueById() {
+  const seen = new Set();
+  return item => {
+    const key = item.id ?? item.repositoryId;
+    if (key === undefined || key === null) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+class PageProgress {
+  constructor(totalPages, donePages = 0) {
+    this.totalPages = totalPages;
+    this.donePages = donePages;
+    this.initialPages = donePages;
+    this.startedAt = Date.now();
+  }
+
+  tick() {
+    this.donePages++;
+  }
+
+  // Based on the average time per page completed in this run
+  eta() {
+    const completed = this.donePages - this.initialPages;
+    if (completed === 0) return null;
+    const perPage = (Date.now() - this.startedAt) / completed;
+    return perPage * (this.totalPages - this.donePages);
+  }
+
+  describe() {
+    const percent = this.totalPages ? Math.floor(this.donePages / this.totalPages * 100) : 100;
+    const eta = this.eta();
+    const etaText = eta === null ? '' : ` - ETA ${formatDuration(eta)}`;
+    return `Pages ${this.donePages}/${this.totalPages} (${percent}%)${etaText}`;
+  }
+}
+
+module.exports = { pageOffsets, uniqueById, formatDuration, PageProgress };
@@ -0,0 +1,166 @@
+// Update patches for updateProducts/updateSkus.
+// A patch file is either a CSV with an ID column (`id` or `repositoryId`)
+// plus one column per property, or NDJSON with one { id, properties } object
+// per line (a bare { id, ...properties } object works too). CSV cells are
+// text, so they are converted to the type of the value already in OCC by
+// coerceValue(); an empty cell leaves the property alone. Callers can name
+// other ID columns (updateProfiles also takes `email`); the first one present wins.
+
+const fs = require('fs');
+const { isDeepStrictEqual } = require('util');
+
+const ID_COLUMNS = ['id', 'repositoryId'];
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function patchesFromCsv(text, idColumns) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  const idIndex = idColumns
+    .map(idColumn => columns.findIndex(column => column.toLowerCase() === idColumn.toLowerCase()))
+    .find(index => index !== -1);
+  if (idIndex === undefined) {
+    throw new Error(`CSV needs an ID column (${idColumns.join(' or ')}); found: ${columns.join(', ')}`);
+  }
+
+  return rows.map((cells, index) => {
+    const id = (cells[idIndex] || '').trim();
+    if (!id) throw new Error(`Row ${index + 2}: missing ID`);
+
+    const properties = {};
+    columns.forEach((column, columnIndex) => {
+      if (columnIndex === idIndex || !column) return;
+      const value = cells[columnIndex];
+      if (value !== undefined && value !== '') properties[column] = value;
+    });
+    return { id, properties, line: index + 2, fromCsv: true };
+  });
+}
+
+function patchesFromNdjson(text, idColumns) {
+  const patches = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: invalid JSON (${error.message})`);
+    }
+    const idColumn = entry && typeof entry === 'object' && !Array.isArray(entry) && idColumns.find(column => entry[column]);
+    if (!idColumn) {
+      throw new Error(`Line ${index + 1}: expected an object with an ${idColumns.join(' or ')}`);
+    }
+
+    const { [idColumn]: id, properties, ...rest } = entry;
+    patches.push({ id: String(id), properties: properties || rest, line: index + 1, fromCsv: false });
+  });
+  return patches;
+}
+
+// .ndjson/.jsonl files are patches; anything else is read as CSV
+function readPatches(filepath, { idColumns = ID_COLUMNS } = {}) {
+  const text = fs.readFileSync(filepath, 'utf8').replace(/^\uFEFF/, '');
+  const format = /\.(ndjson|jsonl)$/i.test(filepath) ? 'ndjson' : 'csv';
+  const patches = format === 'ndjson' ? patchesFromNdjson(text, idColumns) : patchesFromCsv(text, idColumns);
+
+  const seen = new Map();
+  patches.forEach(patch => {
+    if (seen.has(patch.id)) {
+      throw new Error(`ID ${patch.id} appears more than once (lines ${seen.get(patch.id)} and ${patch.line})`);
+    }
+    seen.set(patch.id, patch.line);
+  });
+
+  return { format, patches };
+}
+
+// Converts a CSV cell to the type of the current value. `null` clears a
+// property; values of properties that do not exist yet stay text
+function coerceValue(raw, current) {
+  const text = String(raw).trim();
+  if (text === 'null') return null;
+
+  if (typeof current === 'boolean') {
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    throw new Error(`expected true or false, got '${raw}'`);
+  }
+  if (typeof current === 'number') {
+    const number = Number(text);
+    if (text === '' || !Number.isFinite(number)) throw new Error(`expected a number, got '${raw}'`);
+    return number;
+  }
+  if (current !== null && typeof current === 'object') {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`expected JSON, got '${raw}'`);
+    }
+  }
+  return raw;
+}
+
+// { property: { before, after } } for every property the patch changes
+function diffProperties(current, properties) {
+  const changes = {};
+  Object.entries(properties).forEach(([property, after]) => {
+    const before = current[property] === undefined ? null : current[property];
+    if (!isDeepStrictEqual(before, after)) {
+      changes[property] = { before, after };
+    }
+  });
+  return changes;
+}
+
+module.exports = { parseCsv, readPatches, coerceValue, diffProperties };
@@ -0,0 +1,37 @@
+// Token-bucket rate limiter expressed in requests per second.
+// Callers reserve a token up front; when the bucket is empty the reservation
+// goes into debt and the caller waits its turn, which keeps waiters in FIFO
+// order without polling.
+
+class TokenBucket {
+  constructor(rps = 0, burst = 1) {
+    this.setRate(rps, burst);
+  }
+
+  setRate(rps, burst = this.burst || 1) {
+    this.rps = rps > 0 ? rps : 0;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rps / 1000);
+    this.updatedAt = now;
+  }
+
+  // Resolves when the caller may send its request; 0 rps means unlimited
+  take() {
+    if (!this.rps) return Promise.resolve();
+
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return Promise.resolve();
+
+    const wait = Math.ceil(-this.tokens * 1000 / this.rps);
+    return new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,102 @@
+// Record-level diff of two exports for the diff command. Records are matched
+// by a key path (id by default). Nested objects are compared field by field
+// and changes are reported under dotted paths (shippingAddress.state); arrays
+// are compared as whole values. A field missing on one side reads as null, so
+// a property absent from one export and null in the other is not a change.
+
+const { isDeepStrictEqual } = require('util');
+const { resolvePath } = require('./filterExpression');
+
+// { 'shippingAddress.state': 'SP', ... } for every leaf of a record
+function flatten(record, prefix = '', flat = {}) {
+  Object.entries(record).forEach(([property, value]) => {
+    const fieldPath = prefix ? `${prefix}.${property}` : property;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flatten(value, fieldPath, flat);
+    } else {
+      flat[fieldPath] = value;
+    }
+  });
+  return flat;
+}
+
+function isIgnored(fieldPath, ignore) {
+  return ignore.some(ignored => fieldPath === ignored || fieldPath.startsWith(`${ignored}.`));
+}
+
+// { field: { before, after } } for every field that differs
+function compareRecords(before, after, ignore = []) {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const changes = {};
+  new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]).forEach(fieldPath => {
+    if (isIgnored(fieldPath, ignore)) return;
+    const valueBefore = flatBefore[fieldPath] === undefined ? null : flatBefore[fieldPath];
+    const valueAfter = flatAfter[fieldPath] === undefined ? null : flatAfter[fieldPath];
+    if (!isDeepStrictEqual(valueBefore, valueAfter)) {
+      changes[fieldPath] = { before: valueBefore, after: valueAfter };
+    }
+  });
+  return changes;
+}
+
+// Records by key, in file order. When a key repeats the last record wins and
+// the key is listed in duplicates; records without a key are only counted.
+function indexRecords(items, key) {
+  const records = new Map();
+  const duplicates = new Set();
+  let total = 0;
+  let missingKey = 0;
+
+  for (const item of items) {
+    total++;
+    const [value] = resolvePath(item, key);
+    if (value === undefined || value === null || value === '') {
+      missingKey++;
+      continue;
+    }
+    const id = String(value);
+    if (records.has(id)) duplicates.add(id);
+    records.set(id, item);
+  }
+  return { records, total, duplicates: [...duplicates], missingKey };
+}
+
+// Keys only in B (added), only in A (removed), and the records in both whose
+// fields differ (changed), with the number of records each field changed in
+function diffExports(itemsA, itemsB, { key = 'id', ignore = [] } = {}) {
+  const a = indexRecords(itemsA, key);
+  const b = indexRecords(itemsB, key);
+
+  const removed = [...a.records.keys()].filter(id => !b.records.has(id));
+  const added = [...b.records.keys()].filter(id => !a.records.has(id));
+  const changed = [];
+  const fieldCounts = {};
+  let unchanged = 0;
+
+  a.records.forEach((record, id) => {
+    if (!b.records.has(id)) return;
+    const changes = compareRecords(record, b.records.get(id), ignore);
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      return;
+    }
+    changed.push({ key: id, changes });
+    Object.keys(changes).forEach(fieldPath => {
+      fieldCounts[fieldPath] = (fieldCounts[fieldPath] || 0) + 1;
+    });
+  });
+
+  const summary = side => ({ total: side.total, records: side.records.size, duplicates: side.duplicates, missingKey: side.missingKey });
+  return {
+    a: summary(a),
+    b: summary(b),
+    added,
+    removed,
+    changed,
+    unchanged,
+    fieldChanges: Object.fromEntries(Object.entries(fieldCounts).sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0])))
+  };
+}
+
+module.exports = { flatten, compareRecords, indexRecords, diffExports };
@@ -0,0 +1,76 @@
+// Registry of OCC collection endpoints that `list <resource>` can export.
+// Each entry names the endpoint, the response field that carries the total
+// (OCC answers with `total`, `totalResults` or both depending on the
+// endpoint) and the fields requested when neither --f nor the environment's
+// defaultFields say otherwise. Adding a collection here is enough for paging,
+// resume, retryFailed and JSON/CSV output to work with it.
+
+const RESOURCES = {
+  products: {
+    endpoint: '/ccadmin/v1/products',
+    totalField: 'totalResults',
+    defaultFields: 'id,creationDate'
+  },
+  skus: {
+    endpoint: '/ccagent/v1/skus',
+    totalField: 'totalResults',
+    defaultFields: 'id,displayName,creationDate,active'
+  },
+  profiles: {
+    endpoint: '/ccadmin/v1/profiles',
+    totalField: 'total',
+    defaultFields: 'id,email,firstName,lastName'
+  },
+  orders: {
+    endpoint: '/ccadmin/v1/orders',
+    totalField: 'total',
+    defaultFields: 'id,state,creationTime,submittedDate'
+  },
+  collections: {
+    endpoint: '/ccadmin/v1/collections',
+    totalField: 'totalResults',
+    defaultFields: 'id,displayName,active'
+  },
+  priceListGroups: {
+    endpoint: '/ccadmin/v1/priceListGroups',
+    totalField: 'totalResults',
+    defaultFields: 'id,displayName,currency.currencyCode,active'
+  },
+  inventories: {
+    endpoint: '/ccadmin/v1/inventories',
+    totalField: 'totalResults',
+    defaultFields: 'id,skuNumber,stockLevel,availabilityStatusMsg'
+  },
+  promotions: {
+    endpoint: '/ccadmin/v1/promotions',
+    totalField: 'totalResults',
+    defaultFields: 'id,displayName,enabled,startDate,endDate'
+  },
+  shippingMethods: {
+    endpoint: '/ccadmin/v1/shippingMethods',
+    totalField: 'totalResults',
+    defaultFields: 'id,displayName,enabled'
+  },
+  organizations: {
+    endpoint: '/ccadmin/v1/organizations',
+    totalField: 'total',
+    defaultFields: 'id,name,active'
+  }
+};
+
+// Case-insensitive lookup; the entry comes back with its registry name
+function findResource(name) {
+  const key = Object.keys(RESOURCES).find(resource => resource.toLowerCase() === String(name).toLowerCase());
+  if (!key) {
+    throw new Error(`Unknown resource '${name}'. Available: ${Object.keys(RESOURCES).join(', ')}`);
+  }
+  return { name: key, ...RESOURCES[key] };
+}
+
+// Falls back to the other total field, and to the page size for endpoints
+// that return everything in one unpaged response
+function readTotal(resource, data) {
+  return data[resource.totalField] ?? data.totalResults ?? data.total ?? (data.items || []).length;
+}
+
+module.exports = { RESOURCES, findResource, readTotal };
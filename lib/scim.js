@@ -0,0 +1,367 @@
+// SCIM filter expressions, as accepted by OCC's `q` parameter.
+// Parses queries into a small AST (so --q can be validated before anything is
+// sent), evaluates that AST against items for client-side post-filtering, and
+// builds queries back from user input with values quoted and escaped.
+// The mock server uses the same parser and evaluator to answer `q`.
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+const OPERATORS = [...COMPARISON_OPERATORS, 'pr'];
+
+const ATTRIBUTE_PATTERN = /^[A-Za-z_$][\w$-]*(\.[A-Za-z_$][\w$-]*)*$/;
+
+function tokenizeScim(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        if (query[i] === '\\' && i + 1 < query.length) i++;
+        value += query[i];
+        i++;
+      }
+      if (i >= query.length) throw new Error('Unterminated string in query');
+      tokens.push({ type: 'value', value });
+      i++;
+    } else {
+      let word = '';
+      while (i < query.length && !/[\s()"]/.test(query[i])) {
+        word += query[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+// Grammar: or := and ("or" and)*; and := primary ("and" primary)*;
+// primary := "(" or ")" | "not" primary | attribute "pr" | attribute op value
+function parseScim(query) {
+  const tokens = tokenizeScim(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toLowerCase() === keyword;
+
+  const parseLiteral = (token) => {
+    if (!token) throw new Error('Expected a value');
+    if (token.type === 'value') return token.value;
+    if (token.type !== 'word') throw new Error('Expected a value');
+    const lower = token.value.toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+    if (lower === 'null') return null;
+    if (!isNaN(Number(token.value))) return Number(token.value);
+    throw new Error(`Invalid value: ${token.value} (quote string values)`);
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of query');
+
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error('Missing closing parenthesis');
+      position++;
+      return node;
+    }
+
+    if (isKeyword(token, 'not')) {
+      position++;
+      return { type: 'not', expr: parsePrimary() };
+    }
+
+    if (token.type !== 'word') throw new Error('Expected an attribute name');
+    if (!ATTRIBUTE_PATTERN.test(token.value)) throw new Error(`Invalid attribute name: ${token.value}`);
+    position++;
+
+    const operatorToken = peek();
+    if (!operatorToken || operatorToken.type !== 'word') {
+      throw new Error(`Missing operator after ${token.value}`);
+    }
+    const operator = operatorToken.value.toLowerCase();
+    position++;
+
+    if (operator === 'pr') {
+      return { type: 'compare', attribute: token.value, operator };
+    }
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported operator: ${operatorToken.value}`);
+    }
+
+    const value = parseLiteral(peek());
+    position++;
+    return { type: 'compare', attribute: token.value, operator, value };
+  };
+
+  const parseAnd = () => {
+    let node = parsePrimary();
+    while (isKeyword(peek(), 'and')) {
+      position++;
+      node = { type: 'and', left: node, right: parsePrimary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token: ${tokens[position].value || tokens[position].type}`);
+  }
+  return ast;
+}
+
+// Same as parseScim, with the query in the message so CLI errors point at it
+function validateScim(query) {
+  if (!query || !query.trim()) {
+    throw new Error('Invalid SCIM query: query is empty');
+  }
+  try {
+    return parseScim(query);
+  } catch (error) {
+    throw new Error(`Invalid SCIM query '${query}': ${error.message}`);
+  }
+}
+
+// Resolve a dotted path, flattening arrays along the way
+function resolvePath(item, attribute) {
+  let values = [item];
+  for (const part of attribute.split('.')) {
+    const next = [];
+    values.forEach(value => {
+      if (value === null || value === undefined) return;
+      const child = value[part];
+      if (Array.isArray(child)) next.push(...child);
+      else if (child !== undefined) next.push(child);
+    });
+    values = next;
+  }
+  return values;
+}
+
+// Only ISO dates compare as dates: Date.parse also accepts '999' (year 999),
+// which would order numeric strings by year instead of as strings
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+function isIsoDate(value) {
+  return ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+function compareValues(actual, operator, expected) {
+  if (actual === null || actual === undefined) {
+    return operator === 'eq' ? expected === null : operator === 'ne' ? expected !== null : false;
+  }
+
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    const a = actual.toLowerCase();
+    const b = expected.toLowerCase();
+    switch (operator) {
+      case 'eq': return a === b;
+      case 'ne': return a !== b;
+      case 'co': return a.includes(b);
+      case 'sw': return a.startsWith(b);
+      case 'ew': return a.endsWith(b);
+    }
+    const bothDates = isIsoDate(actual) && isIsoDate(expected);
+    const left = bothDates ? Date.parse(actual) : a;
+    const right = bothDates ? Date.parse(expected) : b;
+    switch (operator) {
+      case 'gt': return left > right;
+      case 'ge': return left >= right;
+      case 'lt': return left < right;
+      case 'le': return left <= right;
+    }
+    return false;
+  }
+
+  switch (operator) {
+    case 'eq': return String(actual) === String(expected);
+    case 'ne': return String(actual) !== String(expected);
+    case 'co': return String(actual).includes(String(expected));
+    case 'sw': return String(actual).startsWith(String(expected));
+    case 'ew': return String(actual).endsWith(String(expected));
+    case 'gt': return Number(actual) > Number(expected);
+    case 'ge': return Number(actual) >= Number(expected);
+    case 'lt': return Number(actual) < Number(expected);
+    case 'le': return Number(actual) <= Number(expected);
+  }
+  return false;
+}
+
+function evaluateScim(node, item) {
+  switch (node.type) {
+    case 'and': return evaluateScim(node.left, item) && evaluateScim(node.right, item);
+    case 'or': return evaluateScim(node.left, item) || evaluateScim(node.right, item);
+    case 'not': return !evaluateScim(node.expr, item);
+    case 'compare': {
+      const values = resolvePath(item, node.attribute);
+      if (node.operator === 'pr') {
+        return values.some(value => value !== null && value !== '');
+      }
+      if (values.length === 0) return compareValues(null, node.operator, node.value);
+      if (node.operator === 'ne') return values.every(value => compareValues(value, 'ne', node.value));
+      return values.some(value => compareValues(value, node.operator, node.value));
+    }
+  }
+  return false;
+}
+
+// Attribute paths a query refers to, in order of first use
+function scimAttributes(node, attributes = []) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      scimAttributes(node.left, attributes);
+      scimAttributes(node.right, attributes);
+      break;
+    case 'not':
+      scimAttributes(node.expr, attributes);
+      break;
+    case 'compare':
+      if (!attributes.includes(node.attribute)) attributes.push(node.attribute);
+      break;
+  }
+  return attributes;
+}
+
+// ---------------------------------------------------------------------------
+// Building queries
+// ---------------------------------------------------------------------------
+
+// Strings are quoted with backslash escapes; booleans, numbers and null are bare
+function formatValue(value) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') {
+    return String(value);
+  }
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function compare(attribute, operator, value) {
+  const op = String(operator).toLowerCase();
+  if (!ATTRIBUTE_PATTERN.test(attribute)) {
+    throw new Error(`Invalid attribute name: ${attribute}`);
+  }
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Unsupported operator: ${operator} (use ${OPERATORS.join(', ')})`);
+  }
+  return op === 'pr' ? { type: 'compare', attribute, operator: op } : { type: 'compare', attribute, operator: op, value };
+}
+
+const combine = type => (...nodes) => nodes.filter(Boolean).reduce((left, right) => (left ? { type, left, right } : right), null);
+const and = combine('and');
+const or = combine('or');
+
+function not(node) {
+  return { type: 'not', expr: node };
+}
+
+// --where criteria: "field:op:value", where op is a SCIM operator or one of the
+// names below. The value is everything after the second colon, so times keep
+// their colons. true, false, null and plain numbers are sent bare, except to
+// the string operators (co, sw, ew)
+const CRITERION_OPERATORS = {
+  exact: 'eq',
+  not: 'ne',
+  contains: 'co',
+  prefix: 'sw',
+  suffix: 'ew',
+  after: 'gt',
+  before: 'lt'
+};
+const STRING_OPERATORS = ['co', 'sw', 'ew'];
+
+function criterionValue(raw, operator) {
+  if (STRING_OPERATORS.includes(operator)) return raw;
+  if (/^(true|false|null)$/i.test(raw)) return JSON.parse(raw.toLowerCase());
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(raw)) return Number(raw);
+  return raw;
+}
+
+function parseCriterion(text) {
+  const match = /^([^:]+):([^:]+)(?::([\s\S]*))?$/.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Invalid criterion '${text}' (use field:op:value, e.g. email:suffix:@company.com)`);
+  }
+
+  const [, attribute, name, raw] = match;
+  const operator = CRITERION_OPERATORS[name.toLowerCase()] || name.toLowerCase();
+  if (!OPERATORS.includes(operator)) {
+    throw new Error(`Invalid criterion '${text}': unknown operator '${name}' (use ${[...Object.keys(CRITERION_OPERATORS), ...OPERATORS].join(', ')})`);
+  }
+  if (operator !== 'pr' && raw === undefined) {
+    throw new Error(`Invalid criterion '${text}': missing value`);
+  }
+
+  try {
+    return compare(attribute.trim(), operator, operator === 'pr' ? undefined : criterionValue(raw, operator));
+  } catch (error) {
+    throw new Error(`Invalid criterion '${text}': ${error.message}`);
+  }
+}
+
+// Joins criteria with and (match 'all') or or (match 'any'); null when there are none
+function combineCriteria(nodes, match = 'all') {
+  const mode = String(match).toLowerCase();
+  if (mode !== 'all' && mode !== 'any') {
+    throw new Error(`Invalid match '${match}' (use all or any)`);
+  }
+  return (mode === 'any' ? or : and)(...nodes);
+}
+
+// Renders an AST back to a query string, adding parentheses only where needed
+function toScim(node) {
+  const wrap = (child, parentType) => {
+    const text = toScim(child);
+    return (child.type === 'or' && parentType === 'and') ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+    case 'and': return `${wrap(node.left, 'and')} and ${wrap(node.right, 'and')}`;
+    case 'or': return `${toScim(node.left)} or ${toScim(node.right)}`;
+    case 'not': return `not (${toScim(node.expr)})`;
+    case 'compare':
+      return node.operator === 'pr'
+        ? `${node.attribute} pr`
+        : `${node.attribute} ${node.operator} ${formatValue(node.value)}`;
+  }
+  throw new Error(`Unknown SCIM node: ${node.type}`);
+}
+
+module.exports = {
+  COMPARISON_OPERATORS,
+  OPERATORS,
+  parseScim,
+  validateScim,
+  evaluateScim,
+  resolvePath,
+  scimAttributes,
+  formatValue,
+  compare,
+  and,
+  or,
+  not,
+  toScim,
+  CRITERION_OPERATORS,
+  parseCriterion,
+  combineCriteria
+};
@@ -0,0 +1,90 @@
+// On-disk cache of OCC access tokens, keyed by environment, so chained CLI
+// invocations can reuse a still-valid token instead of logging in again.
+// The file only ever holds short-lived access tokens (never application keys)
+// and is written readable by the current user only.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_FILE = path.join(os.homedir(), '.profile-fetcher', 'token-cache.json');
+
+// Tokens expiring within this window are treated as already expired
+const EXPIRY_BUFFER_MS = 30000;
+
+class TokenCache {
+  constructor(filepath = process.env.TOKEN_CACHE_FILE || DEFAULT_CACHE_FILE) {
+    this.filepath = filepath;
+  }
+
+  // Ties a cached token to the credentials that produced it
+  fingerprint(baseUrl, bearerToken) {
+    return crypto.createHash('sha256').update(`${baseUrl}\n${bearerToken}`).digest('hex').slice(0, 16);
+  }
+
+  read() {
+    if (!fs.existsSync(this.filepath)) return {};
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  write(entries) {
+    const directory = path.dirname(this.filepath);
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+    // Write to a temp file and rename so concurrent runs never read half a file
+    const tempPath = `${this.filepath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filepath);
+    fs.chmodSync(this.filepath, 0o600);
+  }
+
+  get(environment, baseUrl, bearerToken) {
+    const entry = this.read()[environment];
+    if (!entry || !entry.accessToken || !entry.tokenExpiresAt) return null;
+    if (entry.fingerprint !== this.fingerprint(baseUrl, bearerToken)) return null;
+    if (Date.now() >= entry.tokenExpiresAt - EXPIRY_BUFFER_MS) return null;
+    return entry;
+  }
+
+  set(environment, baseUrl, bearerToken, accessToken, tokenExpiresAt) {
+    const entries = this.read();
+    entries[environment] = {
+      baseUrl,
+      fingerprint: this.fingerprint(baseUrl, bearerToken),
+      accessToken,
+      tokenExpiresAt,
+      savedAt: Date.now()
+    };
+    this.write(entries);
+  }
+
+  clear(environment = null) {
+    if (!environment) {
+      if (fs.existsSync(this.filepath)) fs.unlinkSync(this.filepath);
+      return;
+    }
+    const entries = this.read();
+    if (!entries[environment]) return;
+    delete entries[environment];
+    this.write(entries);
+  }
+
+  status() {
+    const now = Date.now();
+    return Object.entries(this.read()).map(([environment, entry]) => ({
+      environment,
+      baseUrl: entry.baseUrl,
+      tokenExpiresAt: entry.tokenExpiresAt,
+      expiresIn: Math.max(0, Math.round((entry.tokenExpiresAt - now) / 1000)),
+      valid: now < entry.tokenExpiresAt - EXPIRY_BUFFER_MS
+    }));
+  }
+}
+
+module.exports = { TokenCache, EXPIRY_BUFFER_MS };
@@ -0,0 +1,97 @@
+// Worker pool that keeps up to N tasks in flight and adapts N to how OCC is
+// coping: the limit is halved when the server throttles (429/503) and grows
+// back by one after a run of successes (AIMD, like TCP congestion control).
+
+class AdaptivePool {
+  constructor({ concurrency = 1, minConcurrency = 1, rampUpAfter = 20, cooldown = 2000, onChange = null } = {}) {
+    this.maxConcurrency = Math.max(1, concurrency);
+    this.minConcurrency = Math.min(Math.max(1, minConcurrency), this.maxConcurrency);
+    this.limit = this.maxConcurrency;
+    this.rampUpAfter = rampUpAfter;
+    this.cooldown = cooldown;
+    this.onChange = onChange;
+    this.successStreak = 0;
+    this.lastThrottleAt = 0;
+    this.stopped = false;
+    this.wake = null;
+  }
+
+  onThrottle(status) {
+    this.successStreak = 0;
+    const now = Date.now();
+    // One burst of throttled responses counts as a single signal
+    if (now - this.lastThrottleAt < this.cooldown) return;
+    this.lastThrottleAt = now;
+
+    const next = Math.max(this.minConcurrency, Math.floor(this.limit / 2));
+    if (next !== this.limit) {
+      this.limit = next;
+      if (this.onChange) this.onChange(this.limit, `HTTP ${status}`);
+    }
+  }
+
+  onSuccess() {
+    this.successStreak++;
+    if (this.limit >= this.maxConcurrency) return;
+    if (this.successStreak < this.rampUpAfter) return;
+    if (Date.now() - this.lastThrottleAt < this.cooldown) return;
+
+    this.successStreak = 0;
+    this.limit++;
+    if (this.onChange) this.onChange(this.limit, 'recovered');
+    if (this.wake) this.wake();
+  }
+
+  // Stop launching new tasks; run() resolves once in-flight tasks finish
+  stop() {
+    this.stopped = true;
+    if (this.wake) this.wake();
+  }
+
+  // Runs worker(item, index) for every item and resolves with the results in
+  // input order. A worker that throws rejects the whole run.
+  run(items, worker) {
+    return new Promise((resolve, reject) => {
+      const results = new Array(items.length);
+      let next = 0;
+      let active = 0;
+      let failed = false;
+
+      const settle = () => {
+        if (active === 0 && (next >= items.length || this.stopped)) {
+          this.wake = null;
+          resolve(results);
+          return true;
+        }
+        return false;
+      };
+
+      const launch = () => {
+        while (!failed && !this.stopped && active < this.limit && next < items.length) {
+          const index = next++;
+          active++;
+          Promise.resolve()
+            .then(() => worker(items[index], index))
+            .then(result => {
+              results[index] = result;
+            })
+            .catch(error => {
+              failed = true;
+              reject(error);
+            })
+            .finally(() => {
+              active--;
+              if (!failed && !settle()) launch();
+            });
+        }
+      };
+
+      this.wake = () => {
+        if (!failed && !settle()) launch();
+      };
+      this.wake();
+    });
+  }
+}
+
+module.exports = { AdaptivePool };
@@ -2,10 +2,14 @@
 
 # Profile Data Mining Script
 # Usage: ./mine.sh <inputFile> --f=<field> <condition>
+#        ./mine.sh <inputFile> <expression>
+#        ./mine.sh <inputFile> [expression] --group-by=<fields> --agg=<aggregations>
 # Examples:
 #   ./mine.sh profile_03-10-2025_consolidated.json --f=active true
 #   ./mine.sh profile_03-10-2025_consolidated.json --f=registrationDate "2020-01-01 2023-12-31"
 #   ./mine.sh profile_03-10-2025_consolidated.json --f=firstName "Pedro"
 #   ./mine.sh profile_03-10-2025_consolidated.json --f=lastPurchaseAmount ">20"
+#   ./mine.sh profile_03-10-2025_consolidated.json 'active = true and shippingAddress.state in (SP, RJ)'
+#   ./mine.sh profile_03-10-2025_consolidated.json --group-by=lastPurchaseDate:month --agg=count,sum:lastPurchaseAmount
 
 node index.js mineResult "$@"
\ No newline at end of file
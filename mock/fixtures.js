@@ -0,0 +1,206 @@
+// Deterministic seed data for the mock OCC admin server.
+// Every run with the same counts produces the same records, so tests can
+// assert exact totals and IDs.
+
+const FIRST_NAMES = ['Pedro', 'Carlos', 'Sarah', 'Ana', 'João', 'Maria', 'Lucas', 'Julia', 'Rafael', 'Beatriz'];
+const LAST_NAMES = ['Carvalho', 'Silva', 'Souza', 'Franco', 'Oliveira', 'Costa', 'Pereira', 'Almeida'];
+const DOMAINS = ['gmail.com', 'objectedge.com', 'hotmail.com', 'company.com'];
+const STATES = ['SP', 'RJ', 'MG', 'PR', 'SC', 'BA'];
+const ORDER_STATES = ['INCOMPLETE', 'SUBMITTED', 'PENDING_PAYMENT', 'NO_PENDING_ACTION'];
+const NON_PA_PRODUCT_IDS = ['9999999', '0015379', '123', 'beerbell', 'beermug'];
+
+// Small seeded PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function dateBetween(random, start, end) {
+  const from = Date.parse(start);
+  const to = Date.parse(end);
+  return new Date(from + Math.floor(random() * (to - from) / 1000) * 1000).toISOString();
+}
+
+function generateProfiles(count, random) {
+  const profiles = [];
+  for (let i = 1; i <= count; i++) {
+    const firstName = pick(random, FIRST_NAMES);
+    const lastName = pick(random, LAST_NAMES);
+    const email = `${firstName}.${lastName}${i}@${pick(random, DOMAINS)}`
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+
+    profiles.push({
+      id: `pr${String(100000 + i)}`,
+      email,
+      login: email,
+      firstName,
+      lastName,
+      active: random() > 0.2,
+      registrationDate: dateBetween(random, '2019-01-01T00:00:00.000Z', '2025-12-31T00:00:00.000Z'),
+      lastPurchaseDate: dateBetween(random, '2024-01-01T00:00:00.000Z', '2026-06-30T00:00:00.000Z'),
+      lastPurchaseAmount: Math.round(random() * 50000) / 100,
+      shippingAddress: {
+        city: pick(random, ['São Paulo', 'Rio de Janeiro', 'Curitiba', 'Salvador']),
+        state: pick(random, STATES)
+      }
+    });
+  }
+  return profiles;
+}
+
+function generateProducts(count, random) {
+  const products = [];
+  for (let i = 0; i < count; i++) {
+    const id = i < NON_PA_PRODUCT_IDS.length
+      ? NON_PA_PRODUCT_IDS[i]
+      : `PA${String(8000000 + i).padStart(10, '0')}`;
+    const skuCount = i % 7 === 0 ? 0 : 1 + Math.floor(random() * 3);
+    const childSKUs = [];
+    for (let s = 1; s <= skuCount; s++) {
+      childSKUs.push({ repositoryId: `${id}-${s}` });
+    }
+
+    products.push({
+      id,
+      repositoryId: id,
+      displayName: `Product ${id}`,
+      active: random() > 0.1,
+      creationDate: dateBetween(random, '2019-07-01T00:00:00.000Z', '2026-03-01T00:00:00.000Z'),
+      listPrice: Math.round(random() * 100000) / 100,
+      childSKUs,
+      parentCategories: [{ repositoryId: `cat${1 + (i % 12)}` }]
+    });
+  }
+  return products;
+}
+
+function generateSkus(products) {
+  const skus = [];
+  products.forEach(product => {
+    product.childSKUs.forEach(({ repositoryId }) => {
+      skus.push({
+        id: repositoryId,
+        repositoryId,
+        displayName: `${product.displayName} - SKU ${repositoryId.split('-').pop()}`,
+        active: product.active,
+        creationDate: product.creationDate,
+        parentProducts: [{ repositoryId: product.id }]
+      });
+    });
+  });
+  return skus;
+}
+
+function generateOrders(count, random, profiles) {
+  const orders = [];
+  for (let i = 1; i <= count; i++) {
+    const profile = profiles.length > 0 ? profiles[i % profiles.length] : null;
+    const creationTime = dateBetween(random, '2025-01-01T00:00:00.000Z', '2026-06-30T00:00:00.000Z');
+    const state = pick(random, ORDER_STATES);
+
+    orders.push({
+      id: `so${2700000 + i}`,
+      orderId: `so${2700000 + i}`,
+      state,
+      creationTime,
+      submittedDate: state === 'INCOMPLETE' ? null : creationTime,
+      profile: profile
+        ? { id: profile.id, email: profile.email, login: profile.login, firstName: profile.firstName, lastName: profile.lastName }
+        : null,
+      priceInfo: {
+        total: Math.round(random() * 200000) / 100,
+        shipping: Math.round(random() * 5000) / 100
+      },
+      shippingGroups: [{ shippingAddress: { email: profile?.email, state: pick(random, STATES) } }]
+    });
+  }
+  return orders;
+}
+
+// Smaller catalog/admin collections, only used by the generic `list` command
+function generateCatalogCollections(random, products, skus) {
+  const collections = [];
+  for (let i = 1; i <= 12; i++) {
+    collections.push({
+      id: `cat${i}`,
+      displayName: `Category ${i}`,
+      active: random() > 0.2,
+      creationDate: dateBetween(random, '2019-01-01T00:00:00.000Z', '2025-12-31T00:00:00.000Z'),
+      childProducts: products.filter((product, index) => index % 12 === i - 1).length
+    });
+  }
+
+  const promotions = [];
+  for (let i = 1; i <= 30; i++) {
+    const startDate = dateBetween(random, '2024-01-01T00:00:00.000Z', '2026-06-30T00:00:00.000Z');
+    promotions.push({
+      id: `promo${1000 + i}`,
+      displayName: `Promotion ${i}`,
+      enabled: random() > 0.3,
+      startDate,
+      endDate: new Date(Date.parse(startDate) + (7 + Math.floor(random() * 60)) * 86400000).toISOString()
+    });
+  }
+
+  const organizations = [];
+  for (let i = 1; i <= 25; i++) {
+    organizations.push({
+      id: `or-${100000 + i}`,
+      name: `${pick(random, LAST_NAMES)} ${pick(random, ['Ltda', 'S.A.', 'Comércio', 'Distribuidora'])} ${i}`,
+      active: random() > 0.1
+    });
+  }
+
+  return {
+    collections,
+    priceListGroups: [
+      { id: 'defaultPriceGroup', displayName: 'Default Price Group', currency: { currencyCode: 'BRL' }, active: true },
+      { id: 'usPriceGroup', displayName: 'US Price Group', currency: { currencyCode: 'USD' }, active: true },
+      { id: 'b2bPriceGroup', displayName: 'B2B Price Group', currency: { currencyCode: 'BRL' }, active: false }
+    ],
+    inventories: skus.map(sku => ({
+      id: sku.id,
+      skuNumber: sku.id,
+      stockLevel: Math.floor(random() * 500),
+      availabilityStatusMsg: random() > 0.2 ? 'inStock' : 'outOfStock'
+    })),
+    promotions,
+    shippingMethods: [
+      { id: 'standard', displayName: 'Standard', enabled: true },
+      { id: 'express', displayName: 'Express', enabled: true },
+      { id: 'pickup', displayName: 'Store Pickup', enabled: true },
+      { id: 'sameDay', displayName: 'Same Day', enabled: false }
+    ],
+    organizations
+  };
+}
+
+function generateFixtures({ profiles = 600, products = 600, orders = 300, seed = 42 } = {}) {
+  const random = createRandom(seed);
+  const profileList = generateProfiles(profiles, random);
+  const productList = generateProducts(products, random);
+  const skuList = generateSkus(productList);
+
+  return {
+    profiles: profileList,
+    products: productList,
+    skus: skuList,
+    orders: generateOrders(orders, random, profileList),
+    // Generated last so the collections above keep the same records
+    ...generateCatalogCollections(random, productList, skuList)
+  };
+}
+
+module.exports = { generateFixtures };
@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Oracle Commerce Cloud admin API.
+// Implements the endpoints used by index.js (login, profiles, products,
+// orders, agent skus and the other collections in COLLECTIONS) with SCIM
+// filtering, offset/limit paging and injectable failures, so every command
+// can be run offline.
+//
+// Usage:
+//   node mock/occ_server.js --port 4010
+//   LOCAL_BASE_URL=http://localhost:4010 LOCAL_BEARER_TOKEN=mock-app-key node index.js countOrders --env=local
+
+const http = require('http');
+const { URL } = require('url');
+const crypto = require('crypto');
+const { generateFixtures } = require('./fixtures');
+const { parseScim, evaluateScim, resolvePath } = require('../lib/scim');
+
+const COLLECTIONS = {
+  '/ccadmin/v1/profiles': { name: 'profiles', totalFields: ['total', 'totalResults'] },
+  '/ccadmin/v1/products': { name: 'products', totalFields: ['totalResults'] },
+  '/ccadmin/v1/orders': { name: 'orders', totalFields: ['total', 'totalResults'] },
+  '/ccagent/v1/skus': { name: 'skus', totalFields: ['totalResults'] },
+  '/ccadmin/v1/skus': { name: 'skus', totalFields: ['totalResults'] },
+  '/ccadmin/v1/collections': { name: 'collections', totalFields: ['totalResults'] },
+  '/ccadmin/v1/priceListGroups': { name: 'priceListGroups', totalFields: ['totalResults'] },
+  '/ccadmin/v1/inventories': { name: 'inventories', totalFields: ['totalResults'] },
+  '/ccadmin/v1/promotions': { name: 'promotions', totalFields: ['totalResults'] },
+  '/ccadmin/v1/shippingMethods': { name: 'shippingMethods', totalFields: ['totalResults'] },
+  '/ccadmin/v1/organizations': { name: 'organizations', totalFields: ['total', 'totalResults'] }
+};
+
+const LOGIN_PATH = '/ccadmin/v1/login';
+const CONTROL_PREFIX = '/__mock';
+
+// ---------------------------------------------------------------------------
+// Field projection and sorting
+// ---------------------------------------------------------------------------
+
+function projectPath(source, parts, target) {
+  if (source === null || source === undefined) return;
+  const [head, ...rest] = parts;
+  if (!(head in source)) return;
+
+  const value = source[head];
+  if (rest.length === 0) {
+    target[head] = value;
+  } else if (Array.isArray(value)) {
+    const existing = Array.isArray(target[head]) ? target[head] : value.map(() => ({}));
+    value.forEach((element, index) => projectPath(element, rest, existing[index]));
+    target[head] = existing;
+  } else if (value !== null && typeof value === 'object') {
+    target[head] = target[head] || {};
+    projectPath(value, rest, target[head]);
+  } else {
+    target[head] = value;
+  }
+}
+
+function projectItem(item, fields) {
+  if (!fields || fields.length === 0) return item;
+  const projected = {};
+  fields.forEach(field => projectPath(item, field.split('.'), projected));
+  return projected;
+}
+
+function parseFields(fieldsParam) {
+  if (!fieldsParam) return [];
+  return fieldsParam
+    .split(',')
+    .map(field => field.trim().replace(/^items\./, ''))
+    .filter(field => field.length > 0);
+}
+
+function sortItems(items, sortBy, sortOrder) {
+  if (!sortBy) return items;
+  const direction = String(sortOrder || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+  return [...items].sort((a, b) => {
+    const left = resolvePath(a, sortBy)[0];
+    const right = resolvePath(b, sortBy)[0];
+    if (left === right) return 0;
+    if (left === undefined || left === null) return 1;
+    if (right === undefined || right === null) return -1;
+    return left < right ? -direction : direction;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+class MockOccServer {
+  constructor(options = {}) {
+    this.options = {
+      appKey: 'mock-app-key',
+      tokenTtl: 300,
+      maxLimit: 250,
+      // Like OCC, list requests past this offset fail (Infinity = no limit)
+      maxOffset: Infinity,
+      ...options
+    };
+    this.server = null;
+    this.url = null;
+    this.reset();
+  }
+
+  reset() {
+    this.data = this.options.data
+      ? JSON.parse(JSON.stringify(this.options.data))
+      : generateFixtures(this.options.fixtures);
+    this.tokens = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.loginCount = 0;
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+  }
+
+  // Fault rule: { method, path, query, status, body, headers, delay, timeout, expireToken, times }
+  addFault(rule) {
+    this.faults.push({ times: Infinity, ...rule, hits: 0 });
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  matchFault(method, pathname, query) {
+    return this.faults.find(rule => {
+      if (rule.hits >= rule.times) return false;
+      if (rule.method && rule.method.toUpperCase() !== method) return false;
+      if (rule.path && !pathname.startsWith(rule.path)) return false;
+      if (rule.query) {
+        const queryMatches = Object.entries(rule.query).every(([key, value]) => query.get(key) === String(value));
+        if (!queryMatches) return false;
+      }
+      return true;
+    });
+  }
+
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch(error => {
+          this.send(res, 500, { errorCode: '500', message: error.message, status: '500' });
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+    });
+  }
+
+  send(res, status, body, headers = {}) {
+    if (res.writableEnded || res.destroyed) return;
+    if (status === 204 || body === undefined) {
+      res.writeHead(status, headers);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  issueToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(token, Date.now() + this.options.tokenTtl * 1000);
+    this.loginCount++;
+    return token;
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = header.replace(/^Bearer\s+/i, '');
+    const expiresAt = this.tokens.get(token);
+    return expiresAt !== undefined && Date.now() < expiresAt;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname, searchParams } = url;
+    const body = await this.readBody(req);
+
+    if (pathname.startsWith(CONTROL_PREFIX)) {
+      return this.handleControl(req, res, pathname, body);
+    }
+
+    const entry = { method: req.method, path: pathname, query: Object.fromEntries(searchParams), time: Date.now() };
+    this.requests.push(entry);
+
+    // Lets tests check how many requests a client keeps open at once
+    this.inFlight++;
+    this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+    res.once('close', () => { this.inFlight = Math.max(0, this.inFlight - 1); });
+
+    const fault = this.matchFault(req.method, pathname, searchParams);
+    if (fault) {
+      fault.hits++;
+      if (fault.delay) await new Promise(resolve => setTimeout(resolve, fault.delay));
+      // Timeouts never answer; the client has to give up on its own
+      if (fault.timeout) {
+        entry.status = 'timeout';
+        return;
+      }
+      if (fault.expireToken) {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        this.tokens.delete(token);
+      }
+      if (fault.status) {
+        entry.status = fault.status;
+        return this.send(res, fault.status, fault.body || {
+          errorCode: String(fault.status),
+          message: fault.message || `Injected failure (${fault.status})`,
+          status: String(fault.status)
+        }, fault.headers);
+      }
+    }
+
+    if (pathname === LOGIN_PATH && req.method === 'POST') {
+      entry.status = await this.handleLogin(req, res, body);
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      entry.status = 401;
+      return this.send(res, 401, { errorCode: '31000004', message: 'Unauthorized access', status: '401' });
+    }
+
+    entry.status = this.handleResource(req, res, pathname, searchParams, body);
+  }
+
+  async handleLogin(req, res, body) {
+    const header = req.headers.authorization || '';
+    const appKey = header.replace(/^Bearer\s+/i, '');
+    const params = new URLSearchParams(body);
+
+    if (appKey !== this.options.appKey || params.get('grant_type') !== 'client_credentials') {
+      this.send(res, 401, { error: 'invalid_client', message: 'Invalid application key', status: '401' });
+      return 401;
+    }
+
+    this.send(res, 200, {
+      access_token: this.issueToken(),
+      token_type: 'bearer',
+      expires_in: this.options.tokenTtl
+    });
+    return 200;
+  }
+
+  handleResource(req, res, pathname, searchParams, body = '') {
+    const basePath = Object.keys(COLLECTIONS).find(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`));
+    if (!basePath) {
+      this.send(res, 404, { errorCode: '404', message: `No route for ${pathname}`, status: '404' });
+      return 404;
+    }
+
+    const collection = COLLECTIONS[basePath];
+    // Custom data sets passed in options may leave collections out
+    const items = this.data[collection.name] || [];
+    const id = pathname.length > basePath.length ? decodeURIComponent(pathname.slice(basePath.length + 1)) : null;
+    const fields = parseFields(searchParams.get('fields'));
+
+    if (id) {
+      const index = items.findIndex(item => item.id === id);
+      if (index === -1) {
+        this.send(res, 404, { errorCode: '20031', message: `${collection.name} item ${id} not found`, status: '404' });
+        return 404;
+      }
+      if (req.method === 'GET') {
+        this.send(res, 200, projectItem(items[index], fields));
+        return 200;
+      }
+      if (req.method === 'DELETE') {
+        items.splice(index, 1);
+        // Like OCC, a deleted SKU drops out of its product; deleting a product leaves its SKUs
+        if (collection.name === 'skus') {
+          (this.data.products || []).forEach(product => {
+            if (product.childSKUs) product.childSKUs = product.childSKUs.filter(sku => sku.repositoryId !== id);
+          });
+        }
+        this.send(res, 204);
+        return 204;
+      }
+      if (req.method === 'PUT') {
+        return this.updateItem(res, items[index], body);
+      }
+      this.send(res, 405, { errorCode: '405', message: `Method ${req.method} not allowed`, status: '405' });
+      return 405;
+    }
+
+    if (req.method === 'POST') {
+      return this.createItem(res, collection, body);
+    }
+
+    if (req.method !== 'GET') {
+      this.send(res, 405, { errorCode: '405', message: `Method ${req.method} not allowed`, status: '405' });
+      return 405;
+    }
+
+    let filtered = items;
+    const query = searchParams.get('q');
+    if (query) {
+      let ast;
+      try {
+        ast = parseScim(query);
+      } catch (error) {
+        this.send(res, 400, { errorCode: '200100', message: `Invalid query: ${error.message}`, status: '400' });
+        return 400;
+      }
+      filtered = items.filter(item => evaluateScim(ast, item));
+    }
+
+    filtered = sortItems(filtered, searchParams.get('sortBy'), searchParams.get('sortOrder'));
+
+    const offset = Math.max(0, parseInt(searchParams.get('offset')) || 0);
+    const requestedLimit = parseInt(searchParams.get('limit')) || this.options.maxLimit;
+    const limit = Math.min(Math.max(1, requestedLimit), this.options.maxLimit);
+
+    if (offset >= this.options.maxOffset) {
+      this.send(res, 500, { errorCode: '500', message: `Offset ${offset} is beyond the supported range`, status: '500' });
+      return 500;
+    }
+
+    const page = {};
+    collection.totalFields.forEach(field => { page[field] = filtered.length; });
+    page.offset = offset;
+    page.limit = limit;
+    page.items = filtered.slice(offset, offset + limit).map(item => projectItem(item, fields));
+
+    this.send(res, 200, page);
+    return 200;
+  }
+
+  // POST on a collection. Like OCC's create endpoints the new item comes in
+  // `properties` (or as the body itself). Products may carry full child SKU
+  // objects, which are created in the skus collection as well
+  createItem(res, collection, body) {
+    let payload;
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch (error) {
+      this.send(res, 400, { errorCode: '400', message: `Invalid JSON body: ${error.message}`, status: '400' });
+      return 400;
+    }
+
+    const items = this.data[collection.name] = this.data[collection.name] || [];
+    const properties = payload.properties || payload;
+    const id = properties.id || `${collection.name}${crypto.randomBytes(4).toString('hex')}`;
+    if (items.some(item => item.id === id)) {
+      this.send(res, 400, { errorCode: '20005', message: `${collection.name} item ${id} already exists`, status: '400' });
+      return 400;
+    }
+
+    const item = { ...properties, id };
+    if (collection.name === 'products') {
+      const skus = this.data.skus = this.data.skus || [];
+      item.repositoryId = id;
+      item.creationDate = item.creationDate || new Date().toISOString();
+      item.parentCategories = item.parentCategories || [];
+      item.childSKUs = (item.childSKUs || []).map(sku => {
+        const skuId = sku.repositoryId || sku.id;
+        if (Object.keys(sku).some(key => key !== 'repositoryId') && !skus.some(existing => existing.id === skuId)) {
+          skus.push({ ...sku, id: skuId, repositoryId: skuId });
+        }
+        return { repositoryId: skuId };
+      });
+    }
+
+    items.push(item);
+    this.send(res, 201, item);
+    return 201;
+  }
+
+  // PUT merges the given properties into the item; the ID cannot change
+  updateItem(res, item, body) {
+    let payload;
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch (error) {
+      this.send(res, 400, { errorCode: '400', message: `Invalid JSON body: ${error.message}`, status: '400' });
+      return 400;
+    }
+
+    const { id, repositoryId, ...properties } = payload.properties || payload;
+    Object.assign(item, properties);
+    this.send(res, 200, item);
+    return 200;
+  }
+
+  handleControl(req, res, pathname, body) {
+    const route = `${req.method} ${pathname.slice(CONTROL_PREFIX.length)}`;
+
+    switch (route) {
+      case 'GET /state':
+        return this.send(res, 200, {
+          loginCount: this.loginCount,
+          inFlight: this.inFlight,
+          maxInFlight: this.maxInFlight,
+          counts: Object.fromEntries(Object.entries(this.data).map(([name, list]) => [name, list.length])),
+          faults: this.faults
+        });
+      case 'GET /requests':
+        return this.send(res, 200, this.requests);
+      case 'POST /faults':
+        try {
+          const rules = JSON.parse(body || '{}');
+          (Array.isArray(rules) ? rules : [rules]).forEach(rule => this.addFault(rule));
+          return this.send(res, 201, { faults: this.faults });
+        } catch (error) {
+          return this.send(res, 400, { message: `Invalid fault rule: ${error.message}` });
+        }
+      case 'DELETE /faults':
+        this.clearFaults();
+        return this.send(res, 204);
+      case 'POST /reset':
+        this.reset();
+        return this.send(res, 204);
+      default:
+        return this.send(res, 404, { message: `Unknown control route: ${route}` });
+    }
+  }
+}
+
+module.exports = { MockOccServer, COLLECTIONS };
+
+if (require.main === module) {
+  const { Command } = require('commander');
+  const chalk = require('chalk');
+
+  const program = new Command();
+  program
+    .name('occ-mock')
+    .description('Local mock of the Oracle Commerce Cloud admin API')
+    .option('--port <port>', 'Port to listen on', '4010')
+    .option('--app-key <key>', 'Application key accepted by /ccadmin/v1/login', 'mock-app-key')
+    .option('--token-ttl <seconds>', 'Access token lifetime in seconds', '300')
+    .option('--profiles <count>', 'Number of seeded profiles', '600')
+    .option('--products <count>', 'Number of seeded products', '600')
+    .option('--orders <count>', 'Number of seeded orders', '300')
+    .option('--max-offset <offset>', 'Fail list requests at or beyond this offset, like OCC on deep pages')
+    .parse();
+
+  const options = program.opts();
+  const server = new MockOccServer({
+    appKey: options.appKey,
+    tokenTtl: parseInt(options.tokenTtl),
+    maxOffset: options.maxOffset ? parseInt(options.maxOffset) : Infinity,
+    fixtures: {
+      profiles: parseInt(options.profiles),
+      products: parseInt(options.products),
+      orders: parseInt(options.orders)
+    }
+  });
+
+  server.start(parseInt(options.port)).then(url => {
+    console.log(chalk.green.bold(`🧪 Mock OCC server listening on ${url}`));
+    console.log(chalk.gray(`   Add to your .env:`));
+    console.log(chalk.gray(`   LOCAL_BASE_URL=${url}`));
+    console.log(chalk.gray(`   LOCAL_BEARER_TOKEN=${options.appKey}`));
+    console.log(chalk.gray(`   Then run commands with --env=local\n`));
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseGroupBy, parseAggregations, bucketDate, aggregate, formatTable } = require('../lib/aggregate');
+
+const ITEMS = [
+  { email: 'ana@gmail.com', amount: 100.1, date: '2024-03-04T10:00:00Z', address: { state: 'SP' }, tags: ['a', 'b'] },
+  { email: 'bia@gmail.com', amount: '50.2', date: '2024-03-10T23:00:00-03:00', address: { state: 'RJ' }, tags: ['a'] },
+  { email: 'ana@gmail.com', amount: 200, date: '2024-04-01', address: { state: 'SP' } },
+  { email: 'caio@yahoo.com', amount: null, date: null, address: null }
+];
+const TYPES = { amount: 'number', date: 'date' };
+const typeOf = path => TYPES[path] || 'string';
+
+function run(groupBy, agg) {
+  return aggregate(ITEMS, groupBy ? parseGroupBy(groupBy) : [], parseAggregations(agg), typeOf);
+}
+
+describe('aggregations', () => {
+  it('parses group and aggregation specs', () => {
+    assert.deepStrictEqual(parseGroupBy('address.state, date:month'), [
+      { path: 'address.state', bucket: null, column: 'address.state' },
+      { path: 'date', bucket: 'month', column: 'date_month' }
+    ]);
+    assert.deepStrictEqual(parseAggregations('count,avg:amount').map(({ column }) => column), ['count', 'avg_amount']);
+    assert.throws(() => parseGroupBy('date:year'), /Invalid group 'date:year'/);
+    assert.throws(() => parseAggregations('median:amount'), /Invalid aggregation 'median:amount'/);
+    assert.throws(() => parseAggregations('sum'), /Aggregation 'sum' needs a field/);
+    assert.throws(() => parseAggregations('count,count'), /listed twice/);
+  });
+
+  it('buckets dates by day, Monday of the week or month', () => {
+    assert.strictEqual(bucketDate('2024-03-10T23:00:00-03:00', 'day'), '2024-03-10');
+    assert.strictEqual(bucketDate('2024-03-10T23:00:00-03:00', 'week'), '2024-03-04');
+    assert.strictEqual(bucketDate('2024-03-04', 'week'), '2024-03-04');
+    assert.strictEqual(bucketDate('2024-03-10', 'month'), '2024-03');
+    assert.strictEqual(bucketDate('not a date', 'day'), null);
+  });
+
+  it('summarizes each group, with items lacking the field last', () => {
+    assert.deepStrictEqual(run('address.state', 'count,sum:amount,avg:amount,min:amount,max:email,distinct:email'), [
+      { 'address.state': 'RJ', count: 1, sum_amount: 50.2, avg_amount: 50.2, min_amount: 50.2, max_email: 'bia@gmail.com', distinct_email: 1 },
+      { 'address.state': 'SP', count: 2, sum_amount: 300.1, avg_amount: 150.05, min_amount: 100.1, max_email: 'ana@gmail.com', distinct_email: 1 },
+      { 'address.state': null, count: 1, sum_amount: 0, avg_amount: null, min_amount: null, max_email: 'caio@yahoo.com', distinct_email: 1 }
+    ]);
+    assert.deepStrictEqual(run('date:week', 'count').map(row => [row.date_week, row.count]), [
+      ['2024-03-04', 2], ['2024-04-01', 1], [null, 1]
+    ]);
+    // An item counts towards every value of a multi-valued path
+    assert.deepStrictEqual(run('tags', 'count').map(row => [row.tags, row.count]), [['a', 2], ['b', 1], [null, 2]]);
+  });
+
+  it('aggregates everything into one row without groups', () => {
+    assert.deepStrictEqual(run(null, 'count,count:address.state,distinct:email'), [
+      { count: 4, 'count_address.state': 3, distinct_email: 3 }
+    ]);
+    assert.deepStrictEqual(aggregate([], [], parseAggregations('count'), typeOf), [{ count: 0 }]);
+  });
+
+  it('refuses buckets and sums on fields of the wrong type', () => {
+    assert.throws(() => run('email:month', 'count'), /Cannot bucket 'email' by month: it is a string field/);
+    assert.throws(() => run(null, 'sum:email'), /Cannot sum 'email': it is a string field/);
+  });
+
+  it('formats a table with numbers aligned right', () => {
+    assert.deepStrictEqual(formatTable([{ state: 'SP', count: 12 }, { state: null, count: 3 }], ['state', 'count']), [
+      'state  count',
+      '-----  -----',
+      'SP        12',
+      '-          3'
+    ]);
+  });
+});
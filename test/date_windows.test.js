@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { windowQuery, undatedQuery, planWindows } = require('../lib/dateWindows');
+
+describe('date windows', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const start = Date.parse('2026-01-01T00:00:00.000Z');
+
+  // One item per hour for ten days, plus 60 items sharing the same millisecond
+  const times = [
+    ...Array.from({ length: 240 }, (_, i) => start + i * 60 * 60 * 1000),
+    ...Array.from({ length: 60 }, () => start + 5 * day)
+  ];
+  const count = async window => times.filter(time => time >= window.start && time < window.end).length;
+
+  it('builds windowed SCIM queries around the original query', () => {
+    const window = { start, end: start + day };
+    assert.strictEqual(
+      windowQuery('active eq true', 'creationDate', window),
+      '(active eq true) and creationDate ge "2026-01-01T00:00:00.000Z" and creationDate lt "2026-01-02T00:00:00.000Z"'
+    );
+    assert.strictEqual(undatedQuery('', 'creationDate'), 'not (creationDate pr)');
+  });
+
+  it('splits windows until each fits, keeping time order and every item', async () => {
+    const windows = await planWindows({ start, end: start + 10 * day }, 50, count);
+
+    assert.ok(windows.every(window => window.total <= 50 || window.oversized));
+    assert.strictEqual(windows.reduce((sum, window) => sum + window.total, 0), times.length);
+    windows.slice(1).forEach((window, i) => assert.ok(window.start >= windows[i].end));
+
+    // The 61 items at the same instant cannot be split below one millisecond
+    const oversized = windows.filter(window => window.oversized);
+    assert.strictEqual(oversized.length, 1);
+    assert.strictEqual(oversized[0].start, start + 5 * day);
+    assert.strictEqual(oversized[0].total, 61);
+  });
+
+  it('returns no windows for an empty range', async () => {
+    assert.deepStrictEqual(await planWindows({ start, end: start }, 50, count), []);
+  });
+});
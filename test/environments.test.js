@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { loadEnvironments } = require('../lib/environments');
+const { confirmByTypingName } = require('../lib/confirm');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, writeInput
+} = require('./helpers');
+
+describe('environment registry', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('discovers every <NAME>_BASE_URL/<NAME>_BEARER_TOKEN pair', () => {
+    const { environments } = loadEnvironments({
+      env: {
+        STAGE_BR_BASE_URL: 'https://stage-br',
+        STAGE_BR_BEARER_TOKEN: 'key',
+        API_BASE_URL: 'https://unrelated'
+      }
+    });
+    assert.deepStrictEqual(Object.keys(environments), ['stage_br']);
+    assert.strictEqual(environments.stage_br.baseUrl, 'https://stage-br');
+    assert.strictEqual(environments.stage_br.readOnly, false);
+    assert.strictEqual(environments.stage_br.protected, false);
+  });
+
+  it('always protects prod and protects environments flagged in the profile file', () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({ stage: { protected: true }, prod: { protected: false } }));
+    const { environments } = loadEnvironments({
+      env: { PROD_BASE_URL: 'https://prod', PROD_BEARER_TOKEN: 'key', STAGE_BASE_URL: 'https://stage', STAGE_BEARER_TOKEN: 'key', DEV_BASE_URL: 'https://dev', DEV_BEARER_TOKEN: 'key' },
+      directories: [workDir]
+    });
+    assert.strictEqual(environments.prod.protected, true);
+    assert.strictEqual(environments.stage.protected, true);
+    assert.strictEqual(environments.dev.protected, false);
+  });
+
+  it('confirms only when the environment name is typed back', async () => {
+    const answer = async text => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const confirmed = confirmByTypingName('prod', { input, output });
+      input.end(text);
+      return confirmed;
+    };
+    assert.strictEqual(await answer('prod\n'), true);
+    assert.strictEqual(await answer('  prod  \n'), true);
+    assert.strictEqual(await answer('PROD\n'), false);
+    assert.strictEqual(await answer('yes\n'), false);
+    assert.strictEqual(await answer(''), false);
+  });
+
+  it('reads limits, default fields and flags from a YAML profile file', () => {
+    fs.writeFileSync(path.join(workDir, 'environments.yml'), [
+      'environments:',
+      '  stage-us:',
+      '    baseUrl: https://stage-us',
+      '    bearerTokenEnv: STAGE_US_KEY',
+      '    readOnly: true',
+      '    limits:',
+      '      profilesPerRequest: 100',
+      '    defaultFields:',
+      '      products: id,displayName'
+    ].join('\n'));
+
+    const { environments, profileFile } = loadEnvironments({ env: { STAGE_US_KEY: 'secret' }, directories: [workDir] });
+    assert.strictEqual(path.basename(profileFile), 'environments.yml');
+    assert.deepStrictEqual(environments['stage-us'].limits, { profilesPerRequest: 100 });
+    assert.strictEqual(environments['stage-us'].bearerToken, 'secret');
+    assert.strictEqual(environments['stage-us'].readOnly, true);
+  });
+
+  it('rejects a bearer token written in the profile file', () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({
+      'stage-us': { baseUrl: 'https://stage-us', bearerToken: 'secret' }
+    }));
+
+    assert.throws(
+      () => loadEnvironments({ env: {}, directories: [workDir] }),
+      /environments\.json: 'stage-us' sets bearerToken inline.*STAGE_US_BEARER_TOKEN/
+    );
+  });
+
+  it('applies per-environment limits and default fields', async () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({
+      local: { limits: { profilesPerRequest: 100 }, defaultFields: { products: 'id,displayName' } }
+    }));
+
+    const result = await runCli(['listProducts', '--q=id pr', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const productRequest = server.requests.find(request => request.path === '/ccadmin/v1/products');
+    assert.strictEqual(productRequest.query.limit, '100');
+    assert.strictEqual(productRequest.query.fields, 'id,displayName');
+  });
+
+  it('lists discovered environments when the requested one is unknown', async () => {
+    const result = await runCli(['auth', '--env=nope'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /Environment 'nope' not found/);
+    assert.match(result.stderr, /local - http:\/\/127\.0\.0\.1/);
+  });
+
+  it('reports a malformed environments file as an error, without a stack trace', async () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), '{ bad json');
+
+    for (const args of [['auth', '--env=local'], ['envs', '--no-check']]) {
+      const result = await runCli(args, { server, workDir });
+      assert.strictEqual(result.code, 1);
+      assert.match(result.stderr, /❌ Error:.*Could not parse environments\.json/);
+      assert.doesNotMatch(result.stderr, /\n\s+at /);
+    }
+    assert.strictEqual(server.loginCount, 0);
+  });
+
+  it('envs checks that every environment is reachable', async () => {
+    const ok = await runCli(['envs'], { server, workDir });
+    assert.strictEqual(ok.code, 0, ok.stderr);
+    assert.match(ok.stderr, /local: Login succeeded/);
+
+    const broken = await runCli(['envs', '--timeout=2000'], {
+      server,
+      workDir,
+      env: { BROKEN_BASE_URL: 'http://127.0.0.1:1', BROKEN_BEARER_TOKEN: 'x' }
+    });
+    assert.strictEqual(broken.code, 1);
+    assert.match(broken.stderr, /broken: ECONNREFUSED/);
+  });
+
+  it('refuses to delete in read-only environments', async () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({ local: { readOnly: true } }));
+    writeInput(workDir, 'products.csv', 'PA0008000010');
+
+    const result = await runCli(['deleteProducts', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /read-only/);
+    assert.ok(!server.requests.some(request => request.method === 'DELETE'));
+  });
+
+  it('asks for a typed confirmation before deleting in protected environments', async () => {
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({ local: { protected: true } }));
+    const ids = server.data.products.filter(product => product.id.startsWith('PA')).slice(0, 12).map(product => product.id);
+    writeInput(workDir, 'products.csv', ids.join('\n'));
+
+    const refused = await runCli(['deleteProducts', '--env=local'], { server, workDir });
+    assert.strictEqual(refused.code, 1);
+    assert.match(refused.stdout, new RegExp(`Target   : ${server.url}`));
+    assert.match(refused.stdout, /Items    : 12/);
+    assert.match(refused.stdout, new RegExp(`Sample   : ${ids.slice(0, 10).join(', ')} \\(\\+2 more\\)`));
+    assert.match(refused.stderr, /no terminal to confirm in/);
+
+    const yesOnly = await runCli(['deleteProducts', '--yes', '--env=local'], { server, workDir });
+    assert.strictEqual(yesOnly.code, 1);
+    assert.match(yesOnly.stderr, /needs both --yes and --i-know-this-is-prod/);
+    assert.ok(!server.requests.some(request => request.method === 'DELETE'));
+
+    const confirmed = await runCli(['deleteProducts', '--yes', '--i-know-this-is-prod', '--env=local'], { server, workDir });
+    assert.strictEqual(confirmed.code, 0, confirmed.stderr);
+    assert.strictEqual(server.requests.filter(request => request.method === 'DELETE').length, 12);
+  });
+});
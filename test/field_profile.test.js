@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { profileFields, collectPaths } = require('../lib/fieldProfile');
+
+const ITEMS = [
+  { id: 'a', amount: 10, when: '2024-01-02T00:00:00Z', address: { state: 'SP' }, skus: [{ id: 's1' }, { id: 's2' }] },
+  { id: 'b', amount: '20', when: '2024-05-01', address: null, skus: [] },
+  { id: 'c', amount: 30, address: { state: 'SP' }, skus: [{ id: 's1' }] },
+  { id: 'd', amount: 5, when: null, address: { state: 'RJ' } }
+];
+const isDate = value => /^\d{4}-\d{2}-\d{2}/.test(value);
+
+function field(profile, name) {
+  return profile.fields.find(entry => entry.field === name);
+}
+
+describe('field profiling', () => {
+  it('collects nested and array element paths', () => {
+    assert.deepStrictEqual([...collectPaths(ITEMS[0]).keys()], ['id', 'amount', 'when', 'address', 'address.state', 'skus', 'skus[*]', 'skus[*].id']);
+    assert.deepStrictEqual(collectPaths(ITEMS[0]).get('skus[*].id'), ['s1', 's2']);
+  });
+
+  it('reports present, null and missing rates per item', () => {
+    const profile = profileFields(ITEMS, { isDate });
+    assert.strictEqual(profile.total, 4);
+    const when = field(profile, 'when');
+    assert.deepStrictEqual([when.presentRate, when.nullRate, when.missingRate], [50, 25, 25]);
+    // A null parent leaves its nested paths missing
+    const state = field(profile, 'address.state');
+    assert.deepStrictEqual([state.presentRate, state.nullRate, state.missingRate], [75, 0, 25]);
+    assert.deepStrictEqual(field(profile, 'skus[*].id').top, [{ value: 's1', count: 2 }, { value: 's2', count: 1 }]);
+    assert.strictEqual(field(profile, 'skus[*].id').values, 3);
+  });
+
+  it('flags type conflicts and keeps ranges to the detected type', () => {
+    const profile = profileFields(ITEMS, { top: 2, isDate });
+    const amount = field(profile, 'amount');
+    assert.strictEqual(amount.type, 'number');
+    assert.deepStrictEqual(amount.types, { number: 3, string: 1 });
+    assert.strictEqual(amount.typeConflict, true);
+    assert.deepStrictEqual([amount.min, amount.max], [5, 30]);
+    assert.strictEqual(amount.distinct, 4);
+    assert.strictEqual(amount.top.length, 2);
+
+    const when = field(profile, 'when');
+    assert.strictEqual(when.type, 'date');
+    assert.deepStrictEqual([when.min, when.max], ['2024-01-02T00:00:00Z', '2024-05-01']);
+    assert.strictEqual(field(profile, 'address').type, 'object');
+    assert.strictEqual(field(profile, 'address').distinct, undefined);
+  });
+
+  it('reads lazy iterators and an empty input', () => {
+    function* items() { yield* ITEMS; }
+    assert.strictEqual(profileFields(items()).total, 4);
+    assert.deepStrictEqual(profileFields([]), { total: 0, fields: [] });
+  });
+});
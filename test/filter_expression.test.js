@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseExpression, resolvePath, expressionPaths, compileExpression } = require('../lib/filterExpression');
+
+const ITEMS = [
+  { id: 1, active: true, amount: 150, email: 'ana@gmail.com', date: '2024-03-05T10:00:00Z', address: { state: 'SP' }, childSKUs: [{ repositoryId: 's1' }, { repositoryId: 's2' }] },
+  { id: 2, active: 'false', amount: '50', email: 'bia@yahoo.com', date: '2024-03-06T10:00:00Z', address: { state: 'RJ' }, childSKUs: [] },
+  { id: 3, active: true, amount: 300, email: 'caio@GMAIL.com', date: null, address: null }
+];
+const TYPES = { active: 'boolean', amount: 'number', date: 'date' };
+
+function matching(expression) {
+  const { predicate } = compileExpression(parseExpression(expression), path => TYPES[path] || 'string');
+  return ITEMS.filter(predicate).map(item => item.id);
+}
+
+describe('filter expressions', () => {
+  it('combines comparisons coerced to each field type', () => {
+    assert.deepStrictEqual(matching('active = true and amount > 100 and email ew "@gmail.com"'), [1, 3]);
+    assert.deepStrictEqual(matching('active = false or amount >= 300'), [2, 3]);
+    assert.deepStrictEqual(matching('not (active = true and amount < 200)'), [2, 3]);
+    assert.deepStrictEqual(matching('amount between 50 and 150'), [1, 2]);
+    assert.deepStrictEqual(matching('amount in (50, 300)'), [2, 3]);
+  });
+
+  it('treats a date without a time as the whole day', () => {
+    assert.deepStrictEqual(matching('date = 2024-03-05'), [1]);
+    assert.deepStrictEqual(matching('date <= "2024-03-05"'), [1]);
+    assert.deepStrictEqual(matching('date > 2024-03-05'), [2]);
+    assert.deepStrictEqual(matching('date not between 2024-03-06 and 2024-12-31'), [1, 3]);
+  });
+
+  it('follows dot paths into objects and arrays', () => {
+    assert.deepStrictEqual(resolvePath(ITEMS[0], 'childSKUs[*].repositoryId'), ['s1', 's2']);
+    assert.deepStrictEqual(resolvePath(ITEMS[0], 'childSKUs.repositoryId'), ['s1', 's2']);
+    assert.deepStrictEqual(resolvePath(ITEMS[0], 'childSKUs[1].repositoryId'), ['s2']);
+    assert.deepStrictEqual(resolvePath(ITEMS[2], 'address.state'), []);
+
+    assert.deepStrictEqual(matching('address.state in (SP, RJ)'), [1, 2]);
+    assert.deepStrictEqual(matching('childSKUs[*].repositoryId = s2'), [1]);
+    assert.deepStrictEqual(matching('childSKUs[*].repositoryId != s2'), [2, 3]);
+    assert.deepStrictEqual(expressionPaths(parseExpression('a = 1 and (b.c exists or a < 3)')), ['a', 'b.c']);
+  });
+
+  it('supports regex, exists, null and negation', () => {
+    assert.deepStrictEqual(matching('email regex /^bia@/i'), [2]);
+    assert.deepStrictEqual(matching('email not regex "gmail"'), [2, 3]);
+    assert.deepStrictEqual(matching('email regex /gmail/gi'), [1, 3]);
+    assert.deepStrictEqual(matching('email regex /m/y'), []);
+    assert.deepStrictEqual(matching('email regex /^[a-z]+@/gy'), [1, 2, 3]);
+    assert.deepStrictEqual(matching('date exists'), [1, 2]);
+    assert.deepStrictEqual(matching('date not exists'), [3]);
+    assert.deepStrictEqual(matching('address = null'), [3]);
+    assert.deepStrictEqual(matching('address != null'), [1, 2]);
+  });
+
+  it('falls back to text for literals that do not fit the field type', () => {
+    const { predicate, warnings } = compileExpression(parseExpression('amount = abc'), path => TYPES[path]);
+    assert.deepStrictEqual(ITEMS.filter(predicate), []);
+    assert.match(warnings[0], /amount holds number values but "abc" is not one/);
+  });
+
+  it('rejects malformed expressions with the expression in the message', () => {
+    assert.throws(() => parseExpression('active ='), /Invalid filter expression 'active =': Expected a value/);
+    assert.throws(() => parseExpression('x in (1'), /closing parenthesis of the in list/);
+    assert.throws(() => parseExpression('a between 1'), /Expected and/);
+    assert.throws(() => parseExpression('a ~ 2'), /Unsupported operator/);
+    assert.throws(() => parseExpression('1bad = 2'), /Invalid field path: 1bad/);
+    assert.throws(() => parseExpression('a = 1 b'), /Unexpected token: b/);
+    assert.throws(() => parseExpression('  '), /expression is empty/);
+    assert.throws(() => compileExpression(parseExpression('a regex "["'), () => 'string'), /Invalid regex for a/);
+    assert.throws(() => compileExpression(parseExpression('a > null'), () => 'string'), /null can only be compared/);
+  });
+});
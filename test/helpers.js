@@ -0,0 +1,77 @@
+// Shared helpers for the CLI test suite: start the mock OCC server, create a
+// throwaway working directory and run index.js against both.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { MockOccServer } = require('../mock/occ_server');
+
+const CLI_PATH = path.join(__dirname, '..', 'index.js');
+
+async function startMockServer(options = {}) {
+  const server = new MockOccServer(options);
+  await server.start();
+  return server;
+}
+
+function createWorkDir() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-fetcher-'));
+  fs.mkdirSync(path.join(workDir, 'inputs'));
+  return workDir;
+}
+
+function removeWorkDir(workDir) {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Runs the CLI asynchronously so the in-process mock server keeps serving.
+// onStart gets the child process, e.g. to send it a signal mid-run.
+function runCli(args, { server, workDir, env = {}, timeout = 60000, onStart = null } = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI_PATH, ...args], {
+      cwd: workDir,
+      timeout,
+      env: {
+        PATH: process.env.PATH,
+        WORK_DIR: workDir,
+        TOKEN_CACHE_FILE: path.join(workDir, '.token-cache.json'),
+        HTTP_RETRY_BASE_DELAY: '20',
+        LOCAL_BASE_URL: server.url,
+        LOCAL_BEARER_TOKEN: server.options.appKey,
+        DEV_BASE_URL: server.url,
+        DEV_BEARER_TOKEN: server.options.appKey,
+        ...env
+      }
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+    });
+    if (onStart) onStart(child);
+  });
+}
+
+function listOutputs(workDir, prefix = '') {
+  const outputsDir = path.join(workDir, 'outputs');
+  if (!fs.existsSync(outputsDir)) return [];
+  return fs.readdirSync(outputsDir).filter(file => file.startsWith(prefix)).sort();
+}
+
+function readOutput(workDir, filename) {
+  const filepath = path.join(workDir, 'outputs', filename);
+  const content = fs.readFileSync(filepath, 'utf8');
+  return filename.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+function writeInput(workDir, filename, content) {
+  fs.writeFileSync(path.join(workDir, 'inputs', filename), content, 'utf8');
+}
+
+module.exports = {
+  startMockServer,
+  createWorkDir,
+  removeWorkDir,
+  runCli,
+  listOutputs,
+  readOutput,
+  writeInput
+};
@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { isRetryable, parseRetryAfter } = require('../lib/httpClient');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+describe('HTTP client', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('only retries non-idempotent requests when the server never processed them', () => {
+    assert.strictEqual(isRetryable({ response: { status: 503 } }, 'GET'), true);
+    assert.strictEqual(isRetryable({ response: { status: 503 } }, 'POST'), false);
+    assert.strictEqual(isRetryable({ response: { status: 429 } }, 'POST'), true);
+    assert.strictEqual(isRetryable({ response: { status: 400 } }, 'GET'), false);
+    assert.strictEqual(isRetryable({ code: 'ECONNRESET' }, 'DELETE'), true);
+    assert.strictEqual(isRetryable({ code: 'ECONNREFUSED' }, 'POST'), true);
+  });
+
+  it('parses Retry-After seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('2'), 2000);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    assert.ok(parseRetryAfter(inFiveSeconds) > 3000);
+  });
+
+  it('waits for Retry-After on 429 before retrying', async () => {
+    server.addFault({ path: '/ccadmin/v1/orders', status: 429, headers: { 'Retry-After': '1' }, times: 1 });
+
+    const result = await runCli(['countOrders', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const orderRequests = server.requests.filter(request => request.path === '/ccadmin/v1/orders');
+    assert.strictEqual(orderRequests.length, 2);
+    assert.ok(orderRequests[1].time - orderRequests[0].time >= 900);
+  });
+
+  it('logs in again when a token is rejected mid-run', async () => {
+    server.addFault({ path: '/ccadmin/v1/profiles', query: { offset: 250 }, expireToken: true, status: 401, times: 1 });
+
+    const result = await runCli(['searchProfiles', '--q=email', 'a', '--c', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.loginCount, 2);
+
+    const expected = server.data.profiles.filter(profile => profile.email.includes('a'));
+    const [jsonFile] = listOutputs(workDir, 'profile_').filter(file => file.endsWith('.json'));
+    assert.strictEqual(readOutput(workDir, jsonFile).total, expected.length);
+  });
+
+  it('gives up on hung requests after the configured timeout', async () => {
+    server.addFault({ path: '/ccadmin/v1/orders', timeout: true, times: 1 });
+
+    const result = await runCli(['oldestOrder', '--env=local'], { server, workDir, env: { HTTP_TIMEOUT: '300' } });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.requests.filter(request => request.path === '/ccadmin/v1/orders').length, 2);
+  });
+
+  it('stops retrying after the configured number of attempts', async () => {
+    const [product] = server.data.products.filter(item => item.id.startsWith('PA'));
+    writeInput(workDir, 'products.csv', product.id);
+    server.addFault({ method: 'DELETE', status: 503 });
+
+    const result = await runCli(['deleteProducts', '--env=local'], { server, workDir, env: { HTTP_MAX_RETRIES: '2' } });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.requests.filter(request => request.method === 'DELETE').length, 3);
+
+    const [reportFile] = listOutputs(workDir, 'delete_report_');
+    assert.strictEqual(readOutput(workDir, reportFile).failed, 1);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { IdPolicy } = require('../lib/idPolicy');
+
+describe('ID policy', () => {
+  it('accepts IDs starting with PA by default', () => {
+    const policy = IdPolicy.resolve();
+    assert.strictEqual(policy.check('PA0000110124'), null);
+    assert.deepStrictEqual(policy.check('beermug'), {
+      rule: 'allow', pattern: '/^PA/', reason: 'matches no allow pattern (/^PA/)'
+    });
+  });
+
+  it('checks protected IDs first, then deny, then allow patterns', () => {
+    const policy = IdPolicy.resolve({ allow: ['^PA', '^SKU'], deny: ['^PA0{7}'], protected: ['PA1'] });
+    assert.deepStrictEqual(policy.check('PA1'), { rule: 'protected', reason: 'protected ID' });
+    assert.strictEqual(policy.matchPatterns('PA1'), null);
+    assert.deepStrictEqual(policy.check('PA0000000001'), {
+      rule: 'deny', pattern: '^PA0{7}', reason: 'matches deny pattern /^PA0{7}/'
+    });
+    assert.strictEqual(policy.check('SKU42'), null);
+    assert.strictEqual(policy.check('xSKU42').rule, 'allow');
+  });
+
+  it('lets a command narrow the environment policy but not unprotect IDs', () => {
+    const settings = {
+      deny: ['^PA9'],
+      protected: ['PA1'],
+      commands: { deleteProducts: { allow: ['^PB'], deny: ['_KEEP$'], protected: ['PB2'] } }
+    };
+
+    const policy = IdPolicy.resolve(settings, { command: 'deleteProducts' });
+    assert.strictEqual(policy.check('PA3').rule, 'allow');
+    assert.strictEqual(policy.check('PB3'), null);
+    assert.strictEqual(policy.check('PB3_KEEP').rule, 'deny');
+    assert.strictEqual(policy.check('PA1').rule, 'protected');
+    assert.strictEqual(policy.check('PB2').rule, 'protected');
+
+    // Other commands only see the environment entry
+    assert.strictEqual(IdPolicy.resolve(settings, { command: 'searchProducts' }).check('PA3'), null);
+  });
+
+  it('uses a command default allow list instead of the environment one', () => {
+    const settings = { allow: ['^PA'], protected: ['sku-1'], commands: { deleteSkus: { deny: ['^tmp'] } } };
+    const policy = IdPolicy.resolve(settings, { command: 'deleteSkus', defaultAllow: [] });
+    assert.strictEqual(policy.check('0015379-1'), null);
+    assert.strictEqual(policy.check('sku-1').rule, 'protected');
+    assert.strictEqual(policy.check('tmp-2').rule, 'deny');
+    assert.strictEqual(policy.describe(), 'allow any; deny /^tmp/; 1 protected ID(s)');
+  });
+
+  it('replaces the allow list with --id-pattern', () => {
+    const policy = IdPolicy.resolve({ allow: ['^PA'], deny: ['^X9'], protected: ['X1'] }, { idPattern: '^X' });
+    assert.strictEqual(policy.check('X2'), null);
+    assert.strictEqual(policy.check('PA2').rule, 'allow');
+    assert.strictEqual(policy.check('X99').rule, 'deny');
+    assert.strictEqual(policy.check('X1').rule, 'protected');
+    assert.strictEqual(policy.describe(), 'allow /^X/; deny /^X9/; 1 protected ID(s)');
+  });
+
+  it('rejects invalid patterns up front', () => {
+    assert.throws(() => IdPolicy.resolve({ deny: ['(PA'] }), /invalid deny pattern '\(PA'/);
+    assert.throws(() => IdPolicy.resolve({ allow: '^PA' }), /allow must be a list of patterns/);
+    assert.throws(() => IdPolicy.resolve({}, { idPattern: '[' }), /invalid allow pattern/);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput
+} = require('./helpers');
+const { RESOURCES } = require('../lib/resources');
+
+describe('generic list command', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('shows the registered resources when no resource is given', async () => {
+    const result = await runCli(['list'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    Object.entries(RESOURCES).forEach(([name, { endpoint }]) => {
+      assert.match(result.stdout, new RegExp(`${name}[\\s\\S]*${endpoint}`));
+    });
+  });
+
+  it('lists a collection without a query using the registry default fields', async () => {
+    const result = await runCli(['list', 'collections', '--all', '--env=local'], { server, workDir, env: { PROFILES_LIMIT: '5' } });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'collections_list_').filter(file => file.endsWith('.json'));
+    const list = readOutput(workDir, jsonFile);
+    assert.strictEqual(list.total, server.data.collections.length);
+    assert.strictEqual(list.totalInOCC, server.data.collections.length);
+    assert.deepStrictEqual(list.items.map(item => item.id), server.data.collections.map(collection => collection.id));
+    assert.deepStrictEqual(Object.keys(list.items[0]).sort(), ['active', 'displayName', 'id']);
+    assert.ok(listOutputs(workDir, 'collections_list_').some(file => file.endsWith('.csv')));
+    assert.ok(server.requests.every(request => request.path === '/ccadmin/v1/login' || !('q' in request.query)));
+  });
+
+  it('reads `total` for resources that report it and recovers failed offsets with retryFailed', async () => {
+    const expected = server.data.organizations.filter(organization => organization.active).map(organization => organization.id);
+    const env = { PROFILES_LIMIT: '10', HTTP_MAX_RETRIES: '0' };
+    server.addFault({ path: '/ccadmin/v1/organizations', query: { offset: 10 }, status: 500 });
+
+    const listed = await runCli(['list', 'organizations', '--q=active eq true', '--all', '--env=local'], { server, workDir, env });
+    assert.strictEqual(listed.code, 0, listed.stderr);
+
+    const [partialFile] = listOutputs(workDir, 'organizations_list_').filter(file => file.endsWith('_partial.json'));
+    const partial = readOutput(workDir, partialFile);
+    assert.strictEqual(partial.totalInOCC, expected.length);
+    assert.deepStrictEqual(partial.failedOffsets, [10]);
+
+    server.clearFaults();
+    const retried = await runCli(['retryFailed', '--file', partialFile, '--q=active eq true', '--env=local'], { server, workDir, env });
+    assert.strictEqual(retried.code, 0, retried.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'organizations_list_').filter(file => file.endsWith('.json') && !file.includes('_partial'));
+    assert.deepStrictEqual(readOutput(workDir, jsonFile).items.map(item => item.id).sort(), expected.sort());
+  });
+
+  it('retryFailed reuses the query and fields recorded in the partial file', async () => {
+    const expected = server.data.organizations.filter(organization => organization.active).map(organization => organization.id);
+    const env = { PROFILES_LIMIT: '10', HTTP_MAX_RETRIES: '0' };
+    server.addFault({ path: '/ccadmin/v1/organizations', query: { offset: 10 }, status: 500 });
+
+    const listed = await runCli(['list', 'organizations', '--q=active eq true', '--f=id,active', '--all', '--env=local'], { server, workDir, env });
+    assert.strictEqual(listed.code, 0, listed.stderr);
+    const [partialFile] = listOutputs(workDir, 'organizations_list_').filter(file => file.endsWith('_partial.json'));
+    const partial = readOutput(workDir, partialFile);
+    assert.strictEqual(partial.query, 'active eq true');
+    assert.strictEqual(partial.fields, 'id,active');
+
+    server.clearFaults();
+    const mismatch = await runCli(['retryFailed', '--file', partialFile, '--q=active eq false', '--env=local'], { server, workDir, env });
+    assert.strictEqual(mismatch.code, 1);
+    assert.match(mismatch.stderr, /--q does not match the query of the listing/);
+
+    server.requests = [];
+    const retried = await runCli(['retryFailed', '--file', partialFile, '--env=local'], { server, workDir, env });
+    assert.strictEqual(retried.code, 0, retried.stderr);
+    const retry = server.requests.find(request => request.path === '/ccadmin/v1/organizations');
+    assert.strictEqual(retry.query.q, 'active eq true');
+    assert.strictEqual(retry.query.fields, 'id,active');
+
+    const [jsonFile] = listOutputs(workDir, 'organizations_list_').filter(file => file.endsWith('.json') && !file.includes('_partial'));
+    assert.deepStrictEqual(readOutput(workDir, jsonFile).items.map(item => item.id).sort(), expected.sort());
+  });
+
+  it('rejects unknown resources', async () => {
+    const result = await runCli(['list', 'warehouses', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /Unknown resource 'warehouses'. Available: products, skus/);
+    assert.deepStrictEqual(server.requests, []);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startMockServer } = require('./helpers');
+
+describe('mock OCC server', () => {
+  let server;
+  let token;
+
+  const login = async () => {
+    const response = await axios.post(`${server.url}/ccadmin/v1/login`, 'grant_type=client_credentials', {
+      headers: { 'Authorization': `Bearer ${server.options.appKey}`, 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data.access_token;
+  };
+
+  const get = (path, params = {}) => axios.get(`${server.url}${path}`, {
+    params,
+    headers: { 'Authorization': `Bearer ${token}` },
+    validateStatus: () => true
+  });
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    token = await login();
+  });
+
+  it('rejects logins with an unknown application key', async () => {
+    const response = await axios.post(`${server.url}/ccadmin/v1/login`, 'grant_type=client_credentials', {
+      headers: { 'Authorization': 'Bearer wrong-key' },
+      validateStatus: () => true
+    });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('requires a valid access token', async () => {
+    token = 'not-a-token';
+    const response = await get('/ccadmin/v1/products');
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('pages collections with offset/limit and reports totals', async () => {
+    const response = await get('/ccadmin/v1/products', { offset: 500, limit: 250 });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.totalResults, server.data.products.length);
+    assert.strictEqual(response.data.items.length, server.data.products.length - 500);
+    assert.strictEqual(response.data.total, undefined);
+
+    const profiles = await get('/ccadmin/v1/profiles', { limit: 1 });
+    assert.strictEqual(profiles.data.total, server.data.profiles.length);
+  });
+
+  it('filters with SCIM queries and projects fields', async () => {
+    const response = await get('/ccadmin/v1/products', { q: 'not (childSKUs pr)', fields: 'id,childSKUs.repositoryId' });
+    const expected = server.data.products.filter(product => product.childSKUs.length === 0);
+    assert.strictEqual(response.data.totalResults, expected.length);
+    assert.deepStrictEqual(Object.keys(response.data.items[0]), ['id', 'childSKUs']);
+  });
+
+  it('returns 400 for malformed queries', async () => {
+    const response = await get('/ccadmin/v1/profiles', { q: 'email xx "a"' });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('injects failures a limited number of times', async () => {
+    server.addFault({ path: '/ccadmin/v1/orders', status: 503, times: 1 });
+    assert.strictEqual((await get('/ccadmin/v1/orders')).status, 503);
+    assert.strictEqual((await get('/ccadmin/v1/orders')).status, 200);
+  });
+
+  it('expires tokens on demand', async () => {
+    server.addFault({ path: '/ccadmin/v1/profiles', expireToken: true, times: 1 });
+    assert.strictEqual((await get('/ccadmin/v1/profiles')).status, 401);
+    assert.strictEqual((await get('/ccadmin/v1/orders')).status, 401);
+  });
+});
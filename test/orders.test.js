@@ -0,0 +1,71 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+describe('order commands', () => {
+  let server;
+  let workDir;
+
+  const incompleteOrders = () => server.data.orders
+    .filter(order => order.state === 'INCOMPLETE')
+    .sort((a, b) => a.creationTime.localeCompare(b.creationTime));
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('searchOrders fetches orders listed in a CSV', async () => {
+    const ids = server.data.orders.slice(0, 3).map(order => order.id);
+    writeInput(workDir, 'orders_test.csv', ['orderId', ...ids, 'so0000000'].join('\n'));
+
+    const result = await runCli(['searchOrders', '--f=id,state,profile.email', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [ordersFile] = listOutputs(workDir, 'orders_').filter(file => file.endsWith('.json') && !file.includes('report'));
+    const orders = readOutput(workDir, ordersFile);
+    assert.deepStrictEqual(orders.items.map(order => order.id), ids);
+    assert.deepStrictEqual(Object.keys(orders.items[0]).sort(), ['id', 'profile', 'state']);
+
+    const [reportFile] = listOutputs(workDir, 'orders_report_');
+    assert.strictEqual(readOutput(workDir, reportFile).failed, 1);
+  });
+
+  it('countOrders prints the number of INCOMPLETE orders', async () => {
+    const result = await runCli(['countOrders', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, new RegExp(`Total Orders: ${incompleteOrders().length}`));
+  });
+
+  it('oldestOrder prints the oldest INCOMPLETE order', async () => {
+    const result = await runCli(['oldestOrder', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, new RegExp(`Order ID\\s+: ${incompleteOrders()[0].id}`));
+  });
+
+  it('listOrders writes every INCOMPLETE order to CSV, oldest first', async () => {
+    const result = await runCli(['listOrders', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [csvFile] = listOutputs(workDir, 'incomplete_orders_');
+    const rows = readOutput(workDir, csvFile).trim().split('\n').slice(1);
+    assert.deepStrictEqual(rows.map(row => row.split(',')[0]), incompleteOrders().map(order => order.id));
+    assert.ok(!fs.existsSync(path.join(workDir, 'outputs', 'incomplete_orders_progress.json')));
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { NdjsonWriter, readNdjson, writeJsonEnvelope, writeCsv } = require('../lib/output');
+const { createWorkDir, removeWorkDir } = require('./helpers');
+
+describe('streaming output', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  function spool(items) {
+    const writer = new NdjsonWriter(path.join(workDir, 'spool.ndjson'));
+    writer.writeAll(items);
+    writer.close();
+    return writer;
+  }
+
+  it('writes the same JSON envelope as JSON.stringify', () => {
+    const items = [
+      { id: 'PA1', displayName: 'Caneca, "grande"', childSKUs: [{ repositoryId: 'PA1-1' }] },
+      { id: 'PA2', displayName: 'Cerveja São Paulo', active: false }
+    ];
+    const writer = spool(items);
+    const header = { total: 2, totalInOCC: 10, env: 'local', partial: true, failedOffsets: [250, 500] };
+
+    const jsonPath = path.join(workDir, 'out.json');
+    assert.strictEqual(writeJsonEnvelope(writer.filepath, jsonPath, header), 2);
+    assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), JSON.stringify({ ...header, items }, null, 2));
+
+    const emptyPath = path.join(workDir, 'empty.json');
+    writeJsonEnvelope(spool([]).filepath, emptyPath, { total: 0 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(emptyPath, 'utf8')), { total: 0, items: [] });
+  });
+
+  it('streams CSV rows with the columns seen while spooling', () => {
+    const writer = spool([{ id: 'a', tags: ['x', 'y'] }, { id: 'b', note: 'line\nbreak' }]);
+    assert.deepStrictEqual([...writer.fields].sort(), ['id', 'note', 'tags']);
+
+    const csvPath = path.join(workDir, 'out.csv');
+    writeCsv(writer.filepath, csvPath, [...writer.fields].sort());
+    assert.strictEqual(fs.readFileSync(csvPath, 'utf8'), 'id,note,tags\na,,"[""x"",""y""]"\nb,"line\nbreak",\n');
+  });
+
+  it('reads back multi-byte characters split across read chunks', () => {
+    // Enough items to cross the 1 MB read chunk several times
+    const items = Array.from({ length: 6000 }, (_, i) => ({ id: `pr${i}`, name: 'João Conceição ✓'.repeat(10) }));
+    const writer = spool(items);
+
+    let count = 0;
+    for (const item of readNdjson(writer.filepath)) {
+      assert.deepStrictEqual(item, items[count]);
+      count++;
+    }
+    assert.strictEqual(count, items.length);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, readPatches, coerceValue, diffProperties } = require('../lib/patches');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'patches-'));
+
+function writeTemp(name, content) {
+  const filepath = path.join(tempDir, name);
+  fs.writeFileSync(filepath, content);
+  return filepath;
+}
+
+describe('update patches', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('parses quoted CSV fields with commas, quotes and newlines', () => {
+    assert.deepStrictEqual(parseCsv('id,name\r\nPA1,"a, ""b""\nc"\n\nPA2,plain'), [
+      ['id', 'name'],
+      ['PA1', 'a, "b"\nc'],
+      ['PA2', 'plain']
+    ]);
+    assert.throws(() => parseCsv('id\n"PA1'), /Unterminated/);
+  });
+
+  it('reads CSV patches, skipping empty cells', () => {
+    const filepath = writeTemp('updates.csv', 'repositoryId,active,displayName\nPA1,false,\nPA2,,Name\n');
+    assert.deepStrictEqual(readPatches(filepath), {
+      format: 'csv',
+      patches: [
+        { id: 'PA1', properties: { active: 'false' }, line: 2, fromCsv: true },
+        { id: 'PA2', properties: { displayName: 'Name' }, line: 3, fromCsv: true }
+      ]
+    });
+    assert.throws(() => readPatches(writeTemp('bad.csv', 'name,active\nx,true')), /needs an ID column/);
+  });
+
+  it('reads NDJSON patches with or without a properties object', () => {
+    const filepath = writeTemp('updates.ndjson', '{"id":"PA1","properties":{"active":false}}\n\n{"id":"PA2","displayName":"x"}\n');
+    assert.deepStrictEqual(readPatches(filepath).patches.map(({ id, properties }) => ({ id, properties })), [
+      { id: 'PA1', properties: { active: false } },
+      { id: 'PA2', properties: { displayName: 'x' } }
+    ]);
+    assert.throws(() => readPatches(writeTemp('bad.ndjson', '{"active":false}')), /Line 1: expected an object with an id/);
+  });
+
+  it('types CSV cells after the current value', () => {
+    assert.strictEqual(coerceValue('FALSE', true), false);
+    assert.strictEqual(coerceValue('12.50', 3), 12.5);
+    assert.deepStrictEqual(coerceValue('["a"]', []), ['a']);
+    assert.strictEqual(coerceValue('007', 'x'), '007');
+    assert.strictEqual(coerceValue('007', undefined), '007');
+    assert.strictEqual(coerceValue('null', 'x'), null);
+    assert.throws(() => coerceValue('yes', true), /expected true or false/);
+    assert.throws(() => coerceValue('abc', 1), /expected a number/);
+  });
+
+  it('diffs only the properties that change', () => {
+    assert.deepStrictEqual(
+      diffProperties({ active: true, tags: ['a'], name: 'x' }, { active: true, tags: ['b'], note: 'new' }),
+      { tags: { before: ['a'], after: ['b'] }, note: { before: null, after: 'new' } }
+    );
+  });
+});
@@ -0,0 +1,607 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+const CUTOFF = '2024-01-01T00:00:00.000Z';
+const DATE_QUERY = `creationDate lt "${CUTOFF}"`;
+
+describe('product and SKU commands', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('searchProducts --id-list --pa-only exports PA product IDs', async () => {
+    const expected = server.data.products
+      .filter(product => product.childSKUs.length === 0 && product.id.startsWith('PA'))
+      .map(product => product.id);
+
+    const result = await runCli(
+      ['searchProducts', '--q=not (childSKUs pr)', '--f=id,displayName', '--id-list', '--pa-only', '--env=local'],
+      { server, workDir }
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [idFile] = listOutputs(workDir, 'products_').filter(file => file.endsWith('_ids.csv'));
+    assert.deepStrictEqual(readOutput(workDir, idFile).split('\n').sort(), expected.sort());
+  });
+
+  it('listProducts fetches the first page only without --all', async () => {
+    const result = await runCli(['listProducts', `--q=${DATE_QUERY}`, '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+    const list = readOutput(workDir, jsonFile);
+    assert.ok(list.items.length <= 250);
+    assert.ok(list.items.every(item => item.creationDate < CUTOFF));
+  });
+
+  it('listProducts --all walks every page and applies the date filter', async () => {
+    const expected = server.data.products.filter(product => product.creationDate < CUTOFF);
+    const result = await runCli(['listProducts', `--q=${DATE_QUERY}`, '--all', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+    const list = readOutput(workDir, jsonFile);
+    assert.strictEqual(list.partial, undefined);
+    assert.strictEqual(list.totalInOCC, expected.length);
+    assert.deepStrictEqual(list.items.map(item => item.id).sort(), expected.map(product => product.id).sort());
+    assert.deepStrictEqual(Object.keys(list.items[0]).sort(), ['creationDate', 'id']);
+  });
+
+  it('listProducts recovers from a transient 5xx', async () => {
+    server.addFault({ path: '/ccadmin/v1/products', query: { offset: 250 }, status: 503, times: 1 });
+    const result = await runCli(['listProducts', '--q=id pr', '--all', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+    assert.strictEqual(readOutput(workDir, jsonFile).total, server.data.products.length);
+  });
+
+  it('listProducts --all fetches pages in parallel and keeps offset order', async () => {
+    server.addFault({ path: '/ccadmin/v1/products', delay: 50 });
+    const result = await runCli(
+      ['listProducts', '--q=id pr', '--all', '--concurrency=4', '--rps=0', '--env=local'],
+      { server, workDir, env: { PROFILES_LIMIT: '50' } }
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stderr, /Pages 12\/12 fetched/);
+
+    assert.ok(server.maxInFlight > 1 && server.maxInFlight <= 4);
+    const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+    assert.deepStrictEqual(readOutput(workDir, jsonFile).items.map(item => item.id), server.data.products.map(product => product.id));
+  });
+
+  it('listProducts --resume fetches the offsets that failed in a parallel run', async () => {
+    server.addFault({ path: '/ccadmin/v1/products', query: { offset: 100 }, status: 500 });
+    const env = { PROFILES_LIMIT: '50', HTTP_MAX_RETRIES: '0' };
+
+    const first = await runCli(['listProducts', '--q=id pr', '--all', '--rps=0', '--env=local'], { server, workDir, env });
+    assert.strictEqual(first.code, 0, first.stderr);
+    const [partialFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('_partial.json'));
+    const partial = readOutput(workDir, partialFile);
+    assert.deepStrictEqual(partial.failedOffsets, [100]);
+    assert.strictEqual(partial.lastOffset, 600);
+    assert.strictEqual(partial.total, server.data.products.length - 50);
+
+    server.clearFaults();
+    const resumed = await runCli(['listProducts', '--q=id pr', `--resume=${partialFile}`, '--rps=0', '--env=local'], { server, workDir, env });
+    assert.strictEqual(resumed.code, 0, resumed.stderr);
+
+    const [completeFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json') && !file.includes('_partial'));
+    const ids = readOutput(workDir, completeFile).items.map(item => item.id);
+    assert.strictEqual(ids.length, server.data.products.length);
+    assert.strictEqual(new Set(ids).size, ids.length);
+  });
+
+  it('listProducts --format ndjson writes one item per line plus a meta file, and resumes from it', async () => {
+    server.addFault({ path: '/ccadmin/v1/products', query: { offset: 250 }, status: 500 });
+    const env = { HTTP_MAX_RETRIES: '0' };
+
+    const first = await runCli(['listProducts', '--q=id pr', '--all', '--format=ndjson', '--rps=0', '--env=local'], { server, workDir, env });
+    assert.strictEqual(first.code, 0, first.stderr);
+
+    const [partialFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('_partial.ndjson'));
+    const meta = readOutput(workDir, partialFile.replace('.ndjson', '.meta.json'));
+    assert.deepStrictEqual(meta.failedOffsets, [250]);
+    const lines = readOutput(workDir, partialFile).trim().split('\n');
+    assert.strictEqual(lines.length, meta.total);
+    assert.deepStrictEqual(Object.keys(JSON.parse(lines[0])).sort(), ['creationDate', 'id']);
+
+    server.clearFaults();
+    const resumed = await runCli(['listProducts', '--q=id pr', `--resume=${partialFile}`, '--format=ndjson', '--rps=0', '--env=local'], { server, workDir, env });
+    assert.strictEqual(resumed.code, 0, resumed.stderr);
+
+    const [completeFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.ndjson') && !file.includes('_partial'));
+    assert.strictEqual(readOutput(workDir, completeFile).trim().split('\n').length, server.data.products.length);
+    assert.ok(listOutputs(workDir, completeFile.replace('.ndjson', '.csv')).length === 1);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'responses')), []);
+  });
+
+  it('searchProducts --c consolidates pages through a spool and cleans up', async () => {
+    const result = await runCli(['searchProducts', '--q=id pr', '--f=id,displayName', '--c', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'products_').filter(file => file.endsWith('_consolidated.json'));
+    const consolidated = readOutput(workDir, jsonFile);
+    assert.strictEqual(consolidated.total, server.data.products.length);
+    assert.deepStrictEqual(consolidated.items.map(item => item.id), server.data.products.map(product => product.id));
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'responses')), []);
+  });
+
+  it('listProducts --window gets past the deep-offset limit with the same result as a full scan', async () => {
+    const deep = await startMockServer({ maxOffset: 200 });
+    try {
+      deep.data.products.push({ id: 'PAundated', repositoryId: 'PAundated', displayName: 'No date', childSKUs: [] });
+      const env = { PROFILES_LIMIT: '50', WINDOW_MAX_RESULTS: '100', HTTP_MAX_RETRIES: '0' };
+
+      const scan = await runCli(['listProducts', '--q=id pr', '--all', '--rps=0', '--env=local'], { server: deep, workDir, env });
+      assert.strictEqual(scan.code, 0, scan.stderr);
+      assert.strictEqual(listOutputs(workDir, 'products_list_').filter(file => file.endsWith('_partial.json')).length, 1);
+
+      deep.requests = [];
+      const windowed = await runCli(['listProducts', '--q=id pr', '--window=creationDate', '--rps=0', '--env=local'], { server: deep, workDir, env });
+      assert.strictEqual(windowed.code, 0, windowed.stderr);
+
+      const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json') && !file.includes('_partial'));
+      const list = readOutput(workDir, jsonFile);
+      assert.strictEqual(list.partial, undefined);
+      assert.deepStrictEqual(list.items.map(item => item.id).sort(), deep.data.products.map(product => product.id).sort());
+      assert.ok(deep.requests.every(request => !(Number(request.query.offset) >= 200)));
+    } finally {
+      await deep.stop();
+    }
+  });
+
+  it('listProducts --window applies the date filter of the query', async () => {
+    const expected = server.data.products.filter(product => product.creationDate < CUTOFF);
+    const result = await runCli(
+      ['listProducts', `--q=${DATE_QUERY}`, '--window=creationDate', '--rps=0', '--env=local'],
+      { server, workDir, env: { PROFILES_LIMIT: '50', WINDOW_MAX_RESULTS: '60' } }
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+    assert.deepStrictEqual(readOutput(workDir, jsonFile).items.map(item => item.id).sort(), expected.map(product => product.id).sort());
+  });
+
+  it('listProducts rejects an invalid --q before sending any request', async () => {
+    const result = await runCli(['listProducts', '--q=creationDate lt 2024-01-01', '--all', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /Invalid SCIM query .*Invalid value: 2024-01-01/);
+    assert.deepStrictEqual(server.requests, []);
+  });
+
+  it('listSkus lists SKUs from the agent endpoint', async () => {
+    const result = await runCli(['listSkus', '--q=active eq true', '--all', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'skus_list_').filter(file => file.endsWith('.json'));
+    const list = readOutput(workDir, jsonFile);
+    assert.strictEqual(list.total, server.data.skus.filter(sku => sku.active).length);
+    assert.ok(server.requests.some(request => request.path === '/ccagent/v1/skus'));
+  });
+
+  it('retryFailed fills in the offsets missing from a partial file', async () => {
+    const matching = server.data.products.filter(product => product.creationDate < CUTOFF);
+    const firstPage = matching.slice(0, 250).map(({ id, creationDate }) => ({ id, creationDate }));
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    fs.writeFileSync(path.join(workDir, 'outputs', 'products_list_2026-01-01-00-00-00_partial.json'), JSON.stringify({
+      total: firstPage.length,
+      totalInOCC: matching.length,
+      env: 'local',
+      items: firstPage,
+      partial: true,
+      lastOffset: 250,
+      failedOffsets: [250]
+    }));
+
+    // This file predates partial headers recording the query
+    const withoutQuery = await runCli(['retryFailed', '--file', 'products_list_2026-01-01-00-00-00_partial.json', '--env=local'], { server, workDir });
+    assert.strictEqual(withoutQuery.code, 1);
+    assert.match(withoutQuery.stderr, /does not record the query of its listing; pass it with --q/);
+
+    const result = await runCli(
+      ['retryFailed', '--file', 'products_list_2026-01-01-00-00-00_partial.json', '--q', DATE_QUERY, '--env=local'],
+      { server, workDir }
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const recovered = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json') && !file.includes('_partial'));
+    assert.strictEqual(recovered.length, 1);
+    assert.strictEqual(readOutput(workDir, recovered[0]).total, matching.length);
+  });
+
+  it('deleteProducts deletes PA products and reports failures', async () => {
+    const [first, second, third] = server.data.products.filter(product => product.id.startsWith('PA'));
+    writeInput(workDir, 'products.csv', [first.id, second.id, 'PA9999999999', 'beermug', third.id].join('\n'));
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/products/${third.id}`, status: 500 });
+
+    const result = await runCli(['deleteProducts', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const remainingIds = server.data.products.map(product => product.id);
+    assert.ok(!remainingIds.includes(first.id));
+    assert.ok(!remainingIds.includes(second.id));
+    assert.ok(remainingIds.includes(third.id));
+    assert.ok(remainingIds.includes('beermug'));
+
+    const [reportFile] = listOutputs(workDir, 'delete_report_');
+    const report = readOutput(workDir, reportFile);
+    assert.strictEqual(report.deleted, 2);
+    assert.strictEqual(report.failed, 2);
+    assert.strictEqual(report.skipped, 1);
+    assert.deepStrictEqual(report.errors.map(error => error.statusCode).sort(), [404, 500]);
+
+    // Backed up before the DELETE, including the one whose DELETE then failed
+    const backup = readOutput(workDir, report.backupFile).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(backup.map(record => record.id).sort(), [first.id, second.id, third.id].sort());
+    assert.deepStrictEqual(backup.find(record => record.id === first.id).product, first);
+    assert.strictEqual(report.backedUp, 3);
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), []);
+    assert.strictEqual(fs.readdirSync(path.join(workDir, 'processed')).length, 1);
+
+    // Only the 500 is worth retrying; the checkpoint goes once the run is complete
+    assert.strictEqual(readOutput(workDir, report.retryFile), `${third.id}\n`);
+    assert.deepStrictEqual(listOutputs(workDir, 'delete_checkpoint_'), []);
+
+    server.clearFaults();
+    const retry = await runCli(['deleteProducts', path.join('outputs', report.retryFile), '--env=local'], { server, workDir });
+    assert.strictEqual(retry.code, 0, retry.stderr);
+    assert.ok(!server.data.products.some(product => product.id === third.id));
+  });
+
+  it('deleteProducts resumes an interrupted run from its checkpoint', async () => {
+    const ids = server.data.products.filter(product => product.id.startsWith('PA')).slice(0, 4).map(product => product.id);
+    writeInput(workDir, 'products.csv', ['beermug', ...ids].join('\n'));
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/products/${ids[1]}`, delay: 1500 });
+
+    // Ctrl+C while the second DELETE is in flight: it still completes, nothing else starts
+    const interrupted = await runCli(['deleteProducts', '--env=local'], {
+      server,
+      workDir,
+      onStart: child => {
+        const timer = setInterval(() => {
+          if (server.requests.some(request => request.method === 'DELETE' && request.path.endsWith(ids[1]))) {
+            clearInterval(timer);
+            child.kill('SIGINT');
+          }
+        }, 20);
+      }
+    });
+    assert.strictEqual(interrupted.code, 130, interrupted.stderr);
+    assert.deepStrictEqual(server.requests.filter(request => request.method === 'DELETE').map(request => request.path.split('/').pop()), ids.slice(0, 2));
+
+    const [partialFile] = listOutputs(workDir, 'delete_report_');
+    const partial = readOutput(workDir, partialFile);
+    assert.strictEqual(partial.interrupted, true);
+    assert.strictEqual(partial.deleted, 2);
+    assert.strictEqual(partial.skipped, 1);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), ['products.csv']);
+    assert.strictEqual(listOutputs(workDir, 'delete_checkpoint_local_products').length, 1);
+
+    server.requests = [];
+    const resumed = await runCli(['deleteProducts', '--env=local'], { server, workDir });
+    assert.strictEqual(resumed.code, 0, resumed.stderr);
+    assert.match(resumed.stdout, /Resuming from delete_checkpoint_local_products\.ndjson/);
+    assert.deepStrictEqual(server.requests.filter(request => request.method === 'DELETE').map(request => request.path.split('/').pop()), ids.slice(2));
+    assert.ok(!server.data.products.some(product => ids.includes(product.id)));
+
+    const report = readOutput(workDir, listOutputs(workDir, 'delete_report_').find(file => file !== partialFile));
+    assert.strictEqual(report.resumed, 3);
+    assert.strictEqual(report.deleted, 4);
+    assert.strictEqual(report.skipped, 1);
+    assert.strictEqual(report.backedUp, 4);
+    assert.strictEqual(report.backupFile, partial.backupFile);
+    assert.strictEqual(report.retryFile, undefined);
+    assert.deepStrictEqual(listOutputs(workDir, 'delete_checkpoint_'), []);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), []);
+  });
+
+  it('deleteProducts follows the environment ID policy and reports the rule behind each skip', async () => {
+    const [kept, deleted] = server.data.products.filter(product => product.id.startsWith('PA'));
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({
+      local: { idPolicy: { deny: ['^PA9'], protected: [kept.id] } }
+    }));
+    writeInput(workDir, 'products.csv', [kept.id, deleted.id, 'PA9999999999', 'beermug'].join('\n'));
+
+    const result = await runCli(['deleteProducts', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /beermug - matches no allow pattern \(\/\^PA\/\)/);
+
+    const remainingIds = server.data.products.map(product => product.id);
+    assert.ok(remainingIds.includes(kept.id));
+    assert.ok(!remainingIds.includes(deleted.id));
+    assert.ok(server.requests.every(request => !request.path.endsWith(kept.id)));
+
+    const report = readOutput(workDir, listOutputs(workDir, 'delete_report_')[0]);
+    assert.strictEqual(report.deleted, 1);
+    assert.strictEqual(report.skipped, 3);
+    assert.deepStrictEqual(report.rejected.map(({ id, rule, pattern }) => [id, rule, pattern]), [
+      [kept.id, 'protected', undefined],
+      ['PA9999999999', 'deny', '^PA9'],
+      ['beermug', 'allow', '/^PA/']
+    ]);
+
+    // --id-pattern replaces the allow list for one run
+    writeInput(workDir, 'products.csv', ['beermug', kept.id].join('\n'));
+    const custom = await runCli(['deleteProducts', '--id-pattern=^beer', '--env=local'], { server, workDir });
+    assert.strictEqual(custom.code, 0, custom.stderr);
+    assert.ok(!server.data.products.some(product => product.id === 'beermug'));
+    assert.ok(server.data.products.some(product => product.id === kept.id));
+  });
+
+  it('deleteSkus deletes SKUs from a CSV with backups, a report and a retry file', async () => {
+    const product = server.data.products.find(item => item.childSKUs.length > 1);
+    const [first, second] = product.childSKUs.map(sku => sku.repositoryId);
+    const failing = server.data.skus.find(sku => sku.id !== first && sku.id !== second).id;
+    writeInput(workDir, 'skus.csv', [first, second, 'missing-sku', failing].join('\n'));
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/skus/${failing}`, status: 500 });
+
+    const result = await runCli(['deleteSkus', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const remainingIds = server.data.skus.map(sku => sku.id);
+    assert.ok(!remainingIds.includes(first) && !remainingIds.includes(second));
+    assert.ok(remainingIds.includes(failing));
+    assert.deepStrictEqual(product.childSKUs, []);
+
+    const [reportFile] = listOutputs(workDir, 'delete_skus_report_');
+    const report = readOutput(workDir, reportFile);
+    assert.strictEqual(report.deleted, 2);
+    assert.strictEqual(report.failed, 2);
+    assert.strictEqual(report.idPolicy, 'allow any');
+    assert.deepStrictEqual(report.errors.map(({ skuId, statusCode }) => [skuId, statusCode]), [['missing-sku', 404], [failing, 500]]);
+    assert.strictEqual(readOutput(workDir, report.retryFile), `${failing}\n`);
+
+    const backup = readOutput(workDir, report.backupFile).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(backup.map(record => [record.id, record.sku.id]), [[first, first], [second, second], [failing, failing]]);
+    assert.deepStrictEqual(listOutputs(workDir, 'delete_report_'), []);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), []);
+  });
+
+  it('deleteProducts --cascade deletes child SKUs first and keeps the product when one fails', async () => {
+    const [withSkus, blocked] = server.data.products.filter(product => product.id.startsWith('PA') && product.childSKUs.length > 1);
+    const skuIds = withSkus.childSKUs.map(sku => sku.repositoryId);
+    const blockedSku = blocked.childSKUs[1].repositoryId;
+    writeInput(workDir, 'products.csv', [withSkus.id, blocked.id].join('\n'));
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/skus/${blockedSku}`, status: 500 });
+
+    const result = await runCli(['deleteProducts', '--cascade', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    assert.ok(!server.data.products.some(product => product.id === withSkus.id));
+    assert.ok(!server.data.skus.some(sku => skuIds.includes(sku.id)));
+    assert.ok(server.data.products.some(product => product.id === blocked.id));
+    assert.ok(server.data.skus.some(sku => sku.id === blockedSku));
+    assert.ok(server.requests.every(request => !(request.method === 'DELETE' && request.path.endsWith(blocked.id))));
+
+    const report = readOutput(workDir, listOutputs(workDir, 'delete_report_')[0]);
+    assert.strictEqual(report.cascade, true);
+    assert.strictEqual(report.deleted, 1);
+    assert.strictEqual(report.skusDeleted, skuIds.length + 1);
+    assert.deepStrictEqual(report.errors.map(error => [error.productId, error.statusCode]), [[blocked.id, 500]]);
+    assert.match(report.errors[0].error, new RegExp(`child SKU ${blockedSku}`));
+
+    // The SKUs are always in the backup, so restoreProducts can bring everything back
+    const backup = readOutput(workDir, report.backupFile).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(backup[0].skus.map(sku => sku.id), skuIds);
+  });
+
+  it('restoreProducts recreates deleted products from the backup bundle', async () => {
+    const [withSkus, withoutSkus] = [
+      server.data.products.find(product => product.id.startsWith('PA') && product.childSKUs.length > 1),
+      server.data.products.find(product => product.id.startsWith('PA') && product.childSKUs.length === 0)
+    ];
+    const originals = JSON.parse(JSON.stringify([withSkus, withoutSkus]));
+    const skuIds = withSkus.childSKUs.map(sku => sku.repositoryId);
+    writeInput(workDir, 'products.csv', [withSkus.id, withoutSkus.id].join('\n'));
+
+    const deleted = await runCli(['deleteProducts', '--backup-include=skus,categories', '--env=local'], { server, workDir });
+    assert.strictEqual(deleted.code, 0, deleted.stderr);
+
+    const [backupFile] = listOutputs(workDir, 'delete_backup_');
+    const backup = readOutput(workDir, backupFile).trim().split('\n').map(line => JSON.parse(line));
+    const record = backup.find(entry => entry.id === withSkus.id);
+    assert.deepStrictEqual(record.skus.map(sku => sku.id), skuIds);
+    assert.deepStrictEqual(record.categories, withSkus.parentCategories.map(({ repositoryId }) => ({
+      id: repositoryId, displayName: server.data.collections.find(collection => collection.id === repositoryId).displayName
+    })));
+
+    // SKUs go away with their product in OCC
+    server.data.products = server.data.products.filter(product => !originals.some(original => original.id === product.id));
+    server.data.skus = server.data.skus.filter(sku => !skuIds.includes(sku.id));
+
+    const restored = await runCli(['restoreProducts', backupFile, '--env=local'], { server, workDir });
+    assert.strictEqual(restored.code, 0, restored.stderr);
+    originals.forEach(original => {
+      assert.deepStrictEqual(server.data.products.find(product => product.id === original.id), original);
+    });
+    assert.deepStrictEqual(server.data.skus.filter(sku => skuIds.includes(sku.id)).map(sku => sku.id), skuIds);
+
+    // A second run cannot recreate what already exists and says so
+    const again = await runCli(['restoreProducts', backupFile, '--env=local'], { server, workDir });
+    assert.strictEqual(again.code, 0, again.stderr);
+    const reports = listOutputs(workDir, 'restore_report_');
+    assert.strictEqual(reports.length, 2);
+    // Both runs can land in the same second, so tell the reports apart by content
+    const [firstReport, secondReport] = reports.map(file => readOutput(workDir, file))
+      .sort((a, b) => b.restored.length - a.restored.length);
+    assert.deepStrictEqual(firstReport.restored.sort(), originals.map(product => product.id).sort());
+    assert.deepStrictEqual(secondReport.restored, []);
+    assert.deepStrictEqual(secondReport.failed.map(failure => failure.statusCode), [400, 400]);
+    assert.match(secondReport.failed[0].error, /already exists/);
+  });
+
+  it('deleteProducts --dry-run writes a plan that a later --plan run deletes exactly', async () => {
+    const [withSkus, withoutSkus] = [
+      server.data.products.find(product => product.id.startsWith('PA') && product.childSKUs.length > 0),
+      server.data.products.find(product => product.id.startsWith('PA') && product.childSKUs.length === 0)
+    ];
+    writeInput(workDir, 'products.csv', [withSkus.id, 'PA9999999999', 'beermug', withoutSkus.id, withSkus.id].join('\n'));
+
+    const dryRun = await runCli(['deleteProducts', '--dry-run', '--env=local'], { server, workDir });
+    assert.strictEqual(dryRun.code, 0, dryRun.stderr);
+    assert.ok(server.requests.every(request => request.method !== 'DELETE'));
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), ['products.csv']);
+
+    const [planFile] = listOutputs(workDir, 'delete_plan_');
+    const plan = readOutput(workDir, planFile);
+    assert.strictEqual(plan.environment, 'local');
+    assert.deepStrictEqual(plan.products.map(product => product.id), [withSkus.id, withoutSkus.id]);
+    assert.deepStrictEqual(plan.products[0].childSKUs, withSkus.childSKUs.map(sku => sku.repositoryId));
+    assert.deepStrictEqual(plan.products[0].collections, withSkus.parentCategories.map(category => category.repositoryId));
+    assert.deepStrictEqual(plan.missing, ['PA9999999999']);
+    assert.deepStrictEqual(plan.invalidIds, ['beermug']);
+    assert.strictEqual(plan.summary.withChildSkus, 1);
+
+    // Only what was reviewed goes, even if the CSV changes afterwards
+    writeInput(workDir, 'products.csv', server.data.products.filter(product => product.id.startsWith('PA')).map(product => product.id).join('\n'));
+    const before = server.data.products.length;
+    const result = await runCli(['deleteProducts', '--plan', planFile, '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.data.products.length, before - 2);
+    assert.ok(!server.data.products.some(product => product.id === withSkus.id || product.id === withoutSkus.id));
+
+    const [reportFile] = listOutputs(workDir, 'delete_report_');
+    assert.strictEqual(readOutput(workDir, reportFile).plan, planFile);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), ['products.csv']);
+  });
+
+  it('deleteProducts --plan refuses a plan made for another environment', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    fs.writeFileSync(path.join(workDir, 'outputs', 'delete_plan_dev.json'), JSON.stringify({
+      type: 'delete-products-plan', environment: 'dev', products: [{ id: server.data.products[10].id }]
+    }));
+
+    const result = await runCli(['deleteProducts', '--plan', 'delete_plan_dev.json', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /made for 'dev', not 'local'/);
+    assert.ok(server.requests.every(request => request.method !== 'DELETE'));
+  });
+
+  it('re-authenticates when tokens are short-lived', async () => {
+    // A 4s token is refreshed after 2s: once, after the slow first page
+    const shortLived = await startMockServer({ tokenTtl: 4 });
+    shortLived.addFault({ path: '/ccadmin/v1/products', delay: 2500, times: 1 });
+    try {
+      const result = await runCli(['listProducts', '--q=id pr', '--all', '--env=local'], { server: shortLived, workDir });
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(shortLived.loginCount, 2);
+    } finally {
+      await shortLived.stop();
+    }
+  });
+
+  it('diff reports added, removed and changed products between two exports', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    const dev = server.data.products.slice(0, 5).map(product => ({ ...product, lastModifiedDate: '2026-01-01' }));
+    const prod = dev.slice(1).map(product => ({ ...product, lastModifiedDate: '2026-02-01' }));
+    prod[0] = { ...prod[0], listPrice: prod[0].listPrice + 1, parentCategories: [{ repositoryId: 'cat99' }] };
+    prod.push({ ...server.data.products[5] });
+    fs.writeFileSync(path.join(workDir, 'outputs', 'products_list_dev.json'), JSON.stringify({ total: dev.length, env: 'dev', items: dev }));
+    fs.writeFileSync(path.join(workDir, 'outputs', 'products_list_prod.ndjson'), prod.map(product => JSON.stringify(product)).join('\n') + '\n');
+    fs.writeFileSync(path.join(workDir, 'outputs', 'products_list_prod.meta.json'), JSON.stringify({ total: prod.length, env: 'prod' }));
+
+    const result = await runCli(
+      ['diff', 'products_list_dev.json', 'products_list_prod.ndjson', '--key=repositoryId', '--ignore=lastModifiedDate'],
+      // A file-only command needs no configured environment
+      { server, workDir, env: { DEV_BASE_URL: '', DEV_BEARER_TOKEN: '', LOCAL_BASE_URL: '', LOCAL_BEARER_TOKEN: '' } }
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Added \(only in B\): 1/);
+    assert.match(result.stdout, /Removed \(only in A\): 1/);
+    assert.match(result.stdout, /Changed: 1/);
+
+    const [jsonFile] = listOutputs(workDir, 'diff_products_list_dev_vs_products_list_prod_').filter(file => file.endsWith('.json'));
+    const diff = readOutput(workDir, jsonFile);
+    assert.deepStrictEqual([diff.envA, diff.envB], ['dev', 'prod']);
+    assert.deepStrictEqual(diff.addedKeys, [server.data.products[5].id]);
+    assert.deepStrictEqual(diff.removedKeys, [dev[0].id]);
+    assert.strictEqual(diff.unchanged, 3);
+    assert.deepStrictEqual(diff.changes, [{
+      key: dev[1].id,
+      changes: {
+        listPrice: { before: dev[1].listPrice, after: dev[1].listPrice + 1 },
+        parentCategories: { before: dev[1].parentCategories, after: [{ repositoryId: 'cat99' }] }
+      }
+    }]);
+
+    const csv = readOutput(workDir, jsonFile.replace(/\.json$/, '.csv')).trim().split('\n');
+    assert.strictEqual(csv[0], 'repositoryId,status,field,before,after');
+    assert.strictEqual(csv.length, 5);
+    assert.ok(csv.includes(`${dev[1].id},changed,listPrice,${dev[1].listPrice},${dev[1].listPrice + 1}`));
+
+    const missing = await runCli(['diff', 'products_list_dev.json', 'nope.json'], { server, workDir });
+    assert.strictEqual(missing.code, 1);
+    assert.match(missing.stderr, /File not found: nope\.json/);
+  });
+
+  it('compareEnvs reconciles a collection listed in two environments', async () => {
+    const prod = await startMockServer();
+    try {
+      const [gone, renamed, deactivated] = prod.data.products.slice(3, 6);
+      prod.data.products = prod.data.products.filter(product => product !== gone);
+      renamed.displayName = 'Renamed in prod';
+      deactivated.active = !deactivated.active;
+      const extra = { ...renamed, id: 'PAextra', repositoryId: 'PAextra' };
+      prod.data.products.push(extra);
+
+      const result = await runCli(
+        ['compareEnvs', '--resource=products', '--envs=local,prod', '--f=displayName,active', '-n', '2'],
+        { server, workDir, env: { PROD_BASE_URL: prod.url, PROD_BEARER_TOKEN: prod.options.appKey } }
+      );
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Missing in prod \(only in local\): 1/);
+      assert.match(result.stdout, /Missing in local \(only in prod\): 1/);
+      assert.match(result.stdout, /Field mismatches: 2/);
+
+      // Both listings are kept, tagged with their environment
+      const listings = listOutputs(workDir, 'products_list_').filter(file => file.endsWith('.json'));
+      assert.deepStrictEqual(listings.map(file => file.split('_')[2]).sort(), ['local', 'prod']);
+
+      const [reportFile] = listOutputs(workDir, 'products_reconciliation_local_vs_prod_').filter(file => file.endsWith('.json'));
+      const report = readOutput(workDir, reportFile);
+      assert.strictEqual(report.fields, 'id,displayName,active');
+      assert.deepStrictEqual(report.totals, { local: server.data.products.length, prod: prod.data.products.length });
+      assert.deepStrictEqual(report.missingIn, { local: ['PAextra'], prod: [gone.id] });
+      assert.strictEqual(report.matching, server.data.products.length - 3);
+      assert.deepStrictEqual(report.mismatches, [
+        { key: renamed.id, fields: { displayName: { local: `Product ${renamed.id}`, prod: 'Renamed in prod' } } },
+        { key: deactivated.id, fields: { active: { local: !deactivated.active, prod: deactivated.active } } }
+      ]);
+      assert.deepStrictEqual(report.fieldMismatches, { active: 1, displayName: 1 });
+
+      const csv = readOutput(workDir, reportFile.replace(/\.json$/, '.csv')).trim().split('\n');
+      assert.strictEqual(csv[0], 'id,status,field,local,prod');
+      assert.ok(csv.includes(`${gone.id},missing_in_prod,,,`));
+      assert.ok(csv.includes(`${renamed.id},mismatch,displayName,Product ${renamed.id},Renamed in prod`));
+
+      const same = await runCli(['compareEnvs', '--resource=products', '--envs=local,local'], { server, workDir });
+      assert.strictEqual(same.code, 1);
+      assert.match(same.stderr, /--envs needs two different environments/);
+    } finally {
+      await prod.stop();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+describe('bulk profile commands', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  const writes = () => server.requests.filter(request => request.method === 'PUT' || request.method === 'DELETE');
+  const findProfile = id => server.data.profiles.find(profile => profile.id === id);
+
+  it('anonymizeProfiles replaces the mapped fields of profiles given by ID or email, leaving protected ones alone', async () => {
+    const [byId, byEmail, kept] = server.data.profiles.map(profile => ({ ...profile }));
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({
+      local: { idPolicy: { protected: [kept.id] } }
+    }));
+    writeInput(workDir, 'profiles.csv', ['id', byId.id, byEmail.email, 'nobody@example.com', kept.id].join('\n'));
+
+    const dryRun = await runCli(['anonymizeProfiles', '--dry-run', '--env=local'], { server, workDir });
+    assert.strictEqual(dryRun.code, 0, dryRun.stderr);
+    assert.deepStrictEqual(writes(), []);
+    const planned = readOutput(workDir, listOutputs(workDir, 'anonymize_profiles_dry_run_')[0]);
+    assert.strictEqual(planned.planned, 2);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), ['profiles.csv']);
+
+    const result = await runCli(['anonymizeProfiles', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(writes().map(request => request.path), [byId.id, byEmail.id].map(id => `/ccadmin/v1/profiles/${id}`));
+
+    const anonymized = findProfile(byEmail.id);
+    assert.strictEqual(anonymized.firstName, 'Anonymized');
+    assert.strictEqual(anonymized.lastName, 'Anonymized');
+    assert.strictEqual(anonymized.email, `anonymized+${byEmail.id}@example.invalid`);
+    assert.strictEqual(anonymized.login, `anonymized+${byEmail.id}@example.invalid`);
+    assert.strictEqual(anonymized.shippingAddress, null);
+    assert.strictEqual(anonymized.lastPurchaseAmount, byEmail.lastPurchaseAmount);
+    assert.deepStrictEqual(findProfile(kept.id), kept);
+
+    const reportFile = listOutputs(workDir, 'anonymize_profiles_report_')[0];
+    const report = readOutput(workDir, reportFile);
+    assert.strictEqual(report.anonymized, 2);
+    assert.strictEqual(report.failed, 1);
+    assert.strictEqual(report.skipped, 1);
+    assert.deepStrictEqual(report.profiles.map(profile => [profile.id, profile.outcome]), [
+      [byId.id, 'anonymized'], [byEmail.id, 'anonymized'], [null, 'failed'], [kept.id, 'skipped']
+    ]);
+    assert.deepStrictEqual(report.profiles[1].fields, ['firstName', 'lastName', 'email', 'login', 'shippingAddress']);
+    assert.strictEqual(report.profiles[2].input, 'nobody@example.com');
+    assert.strictEqual(report.profiles[2].statusCode, 404);
+
+    // Neither the old values nor the email used to find the profile end up in the report
+    const reportText = fs.readFileSync(path.join(workDir, 'outputs', reportFile), 'utf8');
+    assert.ok(!reportText.includes(byEmail.email));
+    assert.ok(!reportText.includes(byEmail.lastName));
+
+    // Profiles that do not exist are not worth retrying; the input moves on
+    assert.strictEqual(report.retryFile, undefined);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), []);
+  });
+
+  it('anonymizeProfiles takes its field map from the environment or --field-map', async () => {
+    const [first, second] = server.data.profiles.map(profile => ({ ...profile }));
+    fs.writeFileSync(path.join(workDir, 'environments.json'), JSON.stringify({
+      local: { anonymizeFields: { firstName: 'X', email: 'gone-{id}@example.invalid' } }
+    }));
+    writeInput(workDir, 'profiles_env.csv', first.id);
+
+    const fromEnv = await runCli(['anonymizeProfiles', '--env=local'], { server, workDir });
+    assert.strictEqual(fromEnv.code, 0, fromEnv.stderr);
+    assert.strictEqual(findProfile(first.id).firstName, 'X');
+    assert.strictEqual(findProfile(first.id).email, `gone-${first.id}@example.invalid`);
+    assert.strictEqual(findProfile(first.id).lastName, first.lastName);
+
+    fs.writeFileSync(path.join(workDir, 'map.json'), JSON.stringify({ active: false, lastName: null }));
+    writeInput(workDir, 'profiles_file.csv', second.id);
+    const fromFile = await runCli(['anonymizeProfiles', 'profiles_file.csv', '--field-map=map.json', '--env=local'], { server, workDir });
+    assert.strictEqual(fromFile.code, 0, fromFile.stderr);
+    assert.strictEqual(findProfile(second.id).active, false);
+    assert.strictEqual(findProfile(second.id).lastName, null);
+    assert.strictEqual(findProfile(second.id).firstName, second.firstName);
+
+    fs.writeFileSync(path.join(workDir, 'bad.json'), '[]');
+    writeInput(workDir, 'profiles_bad.csv', second.id);
+    const bad = await runCli(['anonymizeProfiles', 'profiles_bad.csv', '--field-map=bad.json', '--env=local'], { server, workDir });
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /must map profile properties to replacement values/);
+  });
+
+  it('updateProfiles applies patches keyed by email or ID and records before/after', async () => {
+    const [byEmail, byId] = server.data.profiles.map(profile => ({ ...profile }));
+    writeInput(workDir, 'profile_updates.csv', [
+      'email,firstName,active',
+      `${byEmail.email},Maria,${!byEmail.active}`,
+      `${byId.email},${byId.firstName},`
+    ].join('\n'));
+
+    const result = await runCli(['updateProfiles', 'profile_updates.csv', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(writes().map(request => request.path), [`/ccadmin/v1/profiles/${byEmail.id}`]);
+    assert.strictEqual(findProfile(byEmail.id).firstName, 'Maria');
+    assert.strictEqual(findProfile(byEmail.id).active, !byEmail.active);
+
+    const report = readOutput(workDir, listOutputs(workDir, 'update_profiles_report_')[0]);
+    assert.strictEqual(report.updated, 1);
+    assert.strictEqual(report.unchanged, 1);
+    assert.deepStrictEqual(report.profiles[0], {
+      input: byEmail.email,
+      id: byEmail.id,
+      outcome: 'updated',
+      changes: {
+        firstName: { before: byEmail.firstName, after: 'Maria' },
+        active: { before: byEmail.active, after: !byEmail.active }
+      }
+    });
+
+    // NDJSON patches may be keyed by id
+    writeInput(workDir, 'profile_updates.ndjson', JSON.stringify({ id: byId.id, lastName: 'Souza' }));
+    const ndjson = await runCli(['updateProfiles', 'profile_updates.ndjson', '--dry-run', '--env=local'], { server, workDir });
+    assert.strictEqual(ndjson.code, 0, ndjson.stderr);
+    const planned = readOutput(workDir, listOutputs(workDir, 'update_profiles_dry_run_')[0]);
+    assert.deepStrictEqual(planned.profiles[0].changes, { lastName: { before: byId.lastName, after: 'Souza' } });
+    assert.strictEqual(findProfile(byId.id).lastName, byId.lastName);
+  });
+
+  it('deleteProfiles resumes an interrupted run and writes a retry file for failures', async () => {
+    const ids = server.data.profiles.slice(0, 4).map(profile => profile.id);
+    writeInput(workDir, 'profiles.csv', ids.join('\n'));
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/profiles/${ids[1]}`, delay: 1500 });
+    server.addFault({ method: 'DELETE', path: `/ccadmin/v1/profiles/${ids[3]}`, status: 500 });
+
+    const interrupted = await runCli(['deleteProfiles', '--env=local'], {
+      server,
+      workDir,
+      env: { HTTP_MAX_RETRIES: '0' },
+      onStart: child => {
+        const timer = setInterval(() => {
+          if (server.requests.some(request => request.method === 'DELETE' && request.path.endsWith(ids[1]))) {
+            clearInterval(timer);
+            child.kill('SIGINT');
+          }
+        }, 20);
+      }
+    });
+    assert.strictEqual(interrupted.code, 130, interrupted.stderr);
+    const partialFile = listOutputs(workDir, 'delete_profiles_report_')[0];
+    assert.match(partialFile, /_interrupted\.json$/);
+    assert.strictEqual(readOutput(workDir, partialFile).deleted, 2);
+    assert.strictEqual(listOutputs(workDir, 'delete_profiles_checkpoint_local_profiles').length, 1);
+
+    server.requests = [];
+    const resumed = await runCli(['deleteProfiles', '--env=local'], { server, workDir, env: { HTTP_MAX_RETRIES: '0' } });
+    assert.strictEqual(resumed.code, 0, resumed.stderr);
+    assert.match(resumed.stdout, /Resuming from delete_profiles_checkpoint_local_profiles\.ndjson/);
+    assert.deepStrictEqual(writes().map(request => request.path.split('/').pop()), ids.slice(2));
+
+    const report = readOutput(workDir, listOutputs(workDir, 'delete_profiles_report_').find(file => file !== partialFile));
+    assert.strictEqual(report.resumed, 2);
+    assert.strictEqual(report.deleted, 3);
+    assert.strictEqual(report.failed, 1);
+    assert.strictEqual(readOutput(workDir, report.retryFile), `${ids[3]}\n`);
+    assert.deepStrictEqual(listOutputs(workDir, 'delete_profiles_checkpoint_'), []);
+    assert.deepStrictEqual(server.data.profiles.filter(profile => ids.includes(profile.id)).map(profile => profile.id), [ids[3]]);
+  });
+});
@@ -0,0 +1,278 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+describe('profile commands', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('auth logs in against the local environment', async () => {
+    const result = await runCli(['auth', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.loginCount, 1);
+  });
+
+  it('auth fails with a wrong application key', async () => {
+    const result = await runCli(['auth', '--env=local'], { server, workDir, env: { LOCAL_BEARER_TOKEN: 'wrong' } });
+    assert.strictEqual(result.code, 1);
+  });
+
+  it('searchProfiles saves one response file per page', async () => {
+    const expected = server.data.profiles.filter(profile => profile.email.includes('a'));
+    const result = await runCli(['searchProfiles', '--q=email', 'a', '--f=id,email', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const responseFiles = fs.readdirSync(path.join(workDir, 'responses'));
+    const pages = responseFiles.filter(file => /_\d+\.json$/.test(file));
+    assert.strictEqual(pages.length, Math.ceil(expected.length / 250));
+
+    // The query that was sent is recorded next to the pages
+    const queryFiles = responseFiles.filter(file => file.endsWith('.meta.json'));
+    assert.strictEqual(responseFiles.length, pages.length + 1);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(workDir, 'responses', queryFiles[0]), 'utf8')),
+      { query: 'email co "a"', fields: 'id,email', env: 'local' });
+    assert.match(result.stdout, new RegExp(`Total profiles fetched: ${expected.length}/${expected.length}`));
+  });
+
+  it('searchProfiles --c consolidates only its own pages after runs that failed on the first page', async () => {
+    const expected = server.data.profiles.filter(profile => profile.email.includes('a'));
+    server.addFault({ path: '/ccadmin/v1/profiles', status: 400, times: 2 });
+    for (let run = 0; run < 2; run++) {
+      const failed = await runCli(['searchProfiles', '--where=email:co:a', '--env=local'], { server, workDir });
+      assert.strictEqual(failed.code, 1);
+    }
+    // Each failed run kept its query under its own name
+    assert.strictEqual(fs.readdirSync(path.join(workDir, 'responses')).filter(file => file.endsWith('.meta.json')).length, 2);
+
+    const result = await runCli(['searchProfiles', '--where=email:co:a', '--f=id,email', '--c', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    const [jsonFile] = listOutputs(workDir, 'profile_').filter(file => file.endsWith('.json'));
+    const consolidated = readOutput(workDir, jsonFile);
+    assert.strictEqual(consolidated.total, expected.length);
+    assert.strictEqual(consolidated.items.length, expected.length);
+  });
+
+  it('searchProfiles accepts a full SCIM expression', async () => {
+    const expected = server.data.profiles.filter(profile => profile.email.endsWith('@gmail.com') && profile.active);
+    const result = await runCli(['searchProfiles', '--q=email ew "@gmail.com" and active eq true', '--f=id,email', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, new RegExp(`Total profiles fetched: ${expected.length}/${expected.length}`));
+  });
+
+  it('searchProfiles combines --where criteria and echoes the query in the consolidated file', async () => {
+    const expected = server.data.profiles.filter(profile =>
+      profile.email.endsWith('@gmail.com') && (profile.lastPurchaseAmount > 400 || profile.lastPurchaseDate > '2026-06-01'));
+    const result = await runCli([
+      'searchProfiles', '--q=email ew "@gmail.com"',
+      '--where=lastPurchaseAmount:gt:400', '--where=lastPurchaseDate:after:2026-06-01', '--match=any',
+      '--f=id,email', '--c', '--env=local'
+    ], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const query = 'email ew "@gmail.com" and (lastPurchaseAmount gt 400 or lastPurchaseDate gt "2026-06-01")';
+    assert.strictEqual(server.requests.find(request => request.path === '/ccadmin/v1/profiles').query.q, query);
+    const [jsonFile] = listOutputs(workDir, 'profile_').filter(file => file.endsWith('.json'));
+    const consolidated = readOutput(workDir, jsonFile);
+    assert.strictEqual(consolidated.query, query);
+    assert.strictEqual(consolidated.total, expected.length);
+
+    const invalid = await runCli(['searchProfiles', '--where=email:like:x', '--env=local'], { server, workDir });
+    assert.strictEqual(invalid.code, 1);
+    assert.match(invalid.stderr, /unknown operator 'like'/);
+  });
+
+  it('searchProfiles rejects an invalid query before logging in', async () => {
+    const result = await runCli(['searchProfiles', '--q=email ew "@gmail.com" and', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /Invalid SCIM query/);
+    assert.strictEqual(server.loginCount, 0);
+    assert.deepStrictEqual(server.requests, []);
+  });
+
+  it('searchProfiles --c consolidates into JSON and CSV', async () => {
+    const expected = server.data.profiles.filter(profile => profile.email.includes('pedro'));
+    const result = await runCli(['searchProfiles', '--q=email', 'pedro', '--f=id,email', '--c', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [jsonFile] = listOutputs(workDir, 'profile_').filter(file => file.endsWith('.json'));
+    const consolidated = readOutput(workDir, jsonFile);
+    assert.strictEqual(consolidated.env, 'local');
+    assert.strictEqual(consolidated.total, expected.length);
+    assert.deepStrictEqual(Object.keys(consolidated.items[0]).sort(), ['email', 'id']);
+    assert.ok(listOutputs(workDir, 'profile_').some(file => file.endsWith('.csv')));
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'responses')), []);
+  });
+
+  it('lookupProfiles marks each email or ID as found, not found or ambiguous', async () => {
+    const [byEmail, byId, shared] = server.data.profiles;
+    server.data.profiles.push({ ...shared, id: 'pr900001', firstName: 'Twin' });
+    // A profile field named like a lookup column must not replace it
+    byEmail.status = 'disabled';
+    writeInput(workDir, 'profiles.csv', ['email', byEmail.email.toUpperCase(), byId.id, 'nobody@example.com', 'pr999999', shared.email].join('\n'));
+
+    const result = await runCli(['lookupProfiles', '--f=firstName,status', '--batch-size=2', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    // Three emails in two OR batches, two IDs fetched directly
+    const searches = server.requests.filter(request => request.path === '/ccadmin/v1/profiles');
+    assert.deepStrictEqual(searches.map(request => request.query.q), [
+      `email eq "${byEmail.email.toUpperCase()}" or email eq "nobody@example.com"`,
+      `email eq "${shared.email}"`
+    ]);
+    assert.strictEqual(server.requests.filter(request => request.path.startsWith('/ccadmin/v1/profiles/')).length, 2);
+
+    const [jsonFile] = listOutputs(workDir, 'profiles_lookup_').filter(file => file.endsWith('.json'));
+    const lookup = readOutput(workDir, jsonFile);
+    assert.strictEqual(lookup.inputs, 5);
+    assert.strictEqual(lookup.found, 2);
+    assert.strictEqual(lookup.notFound, 2);
+    assert.strictEqual(lookup.ambiguous, 1);
+    assert.deepStrictEqual(lookup.items.map(item => [item.input, item.status, item.id]), [
+      [byEmail.email.toUpperCase(), 'found', byEmail.id],
+      [byId.id, 'found', byId.id],
+      ['nobody@example.com', 'not_found', undefined],
+      ['pr999999', 'not_found', undefined],
+      [shared.email, 'ambiguous', shared.id],
+      [shared.email, 'ambiguous', 'pr900001']
+    ]);
+    assert.deepStrictEqual(Object.keys(lookup.items[0]).sort(), ['email', 'firstName', 'id', 'input', 'matches', 'status']);
+    assert.ok(listOutputs(workDir, 'profiles_lookup_').some(file => file.endsWith('.csv')));
+  });
+
+  it('mineResult filters a consolidated file', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    fs.writeFileSync(
+      path.join(workDir, 'outputs', 'profile_consolidated.json'),
+      JSON.stringify({ total: server.data.profiles.length, env: 'local', items: server.data.profiles })
+    );
+    const expected = server.data.profiles.filter(profile => profile.lastPurchaseAmount > 100);
+
+    const result = await runCli(['mineResult', '--f=lastPurchaseAmount', 'profile_consolidated.json', '>100'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [minedFile] = listOutputs(workDir, 'profiles_datamined_').filter(file => file.endsWith('.json'));
+    const mined = readOutput(workDir, minedFile);
+    assert.strictEqual(mined.filteredCount, expected.length);
+    assert.strictEqual(mined.fieldAnalysis.detectedType, 'number');
+  });
+
+  it('mineResult filters with an expression over several and nested fields', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    fs.writeFileSync(
+      path.join(workDir, 'outputs', 'profile_consolidated.json'),
+      JSON.stringify({ total: server.data.profiles.length, env: 'local', items: server.data.profiles })
+    );
+    const expected = server.data.profiles.filter(profile =>
+      profile.active && profile.lastPurchaseAmount > 100 && ['SP', 'RJ'].includes(profile.shippingAddress.state));
+
+    const expression = 'active = true and lastPurchaseAmount > 100 and shippingAddress.state in (SP, RJ)';
+    const result = await runCli(['mineResult', 'profile_consolidated.json', expression], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const [minedFile] = listOutputs(workDir, 'profiles_datamined_').filter(file => file.endsWith('.json'));
+    const mined = readOutput(workDir, minedFile);
+    assert.strictEqual(mined.filter, expression);
+    assert.strictEqual(mined.filteredCount, expected.length);
+    assert.deepStrictEqual(mined.items.map(item => item.id), expected.map(profile => profile.id));
+    assert.deepStrictEqual(mined.fieldAnalyses.map(analysis => [analysis.fieldName, analysis.detectedType]), [
+      ['active', 'boolean'], ['lastPurchaseAmount', 'number'], ['shippingAddress.state', 'string']
+    ]);
+
+    const invalid = await runCli(['mineResult', 'profile_consolidated.json', 'active = '], { server, workDir });
+    assert.strictEqual(invalid.code, 1);
+    assert.match(invalid.stderr, /Invalid filter expression 'active = ': Expected a value/);
+  });
+
+  it('mineResult --group-by summarizes filtered items per group and date bucket', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    fs.writeFileSync(
+      path.join(workDir, 'outputs', 'profile_consolidated.json'),
+      JSON.stringify({ total: server.data.profiles.length, env: 'local', items: server.data.profiles })
+    );
+    const active = server.data.profiles.filter(profile => profile.active);
+    const states = [...new Set(active.map(profile => profile.shippingAddress.state))].sort();
+
+    const result = await runCli([
+      'mineResult', 'profile_consolidated.json', 'active = true',
+      '--group-by=shippingAddress.state', '--agg=count,sum:lastPurchaseAmount,distinct:email'
+    ], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /shippingAddress\.state\s+count\s+sum_lastPurchaseAmount\s+distinct_email/);
+
+    const [jsonFile] = listOutputs(workDir, 'profiles_aggregated_').filter(file => file.endsWith('.json'));
+    const report = readOutput(workDir, jsonFile);
+    assert.strictEqual(report.filter, 'active = true');
+    assert.strictEqual(report.filteredCount, active.length);
+    assert.deepStrictEqual(report.items.map(row => row['shippingAddress.state']), states);
+    const sp = active.filter(profile => profile.shippingAddress.state === 'SP');
+    assert.deepStrictEqual(report.items.find(row => row['shippingAddress.state'] === 'SP'), {
+      'shippingAddress.state': 'SP',
+      count: sp.length,
+      sum_lastPurchaseAmount: Math.round(sp.reduce((sum, profile) => sum + profile.lastPurchaseAmount, 0) * 100) / 100,
+      distinct_email: new Set(sp.map(profile => profile.email)).size
+    });
+    const csv = readOutput(workDir, jsonFile.replace(/\.json$/, '.csv'));
+    assert.strictEqual(csv.split('\n')[0], 'shippingAddress.state,count,sum_lastPurchaseAmount,distinct_email');
+
+    const byMonth = await runCli(['mineResult', 'profile_consolidated.json', '--group-by=registrationDate:month'], { server, workDir });
+    assert.strictEqual(byMonth.code, 0, byMonth.stderr);
+    const [monthFile] = listOutputs(workDir, 'profiles_aggregated_').filter(file => file.endsWith('.json') && file !== jsonFile);
+    const months = readOutput(workDir, monthFile).items;
+    assert.ok(months.every(row => /^\d{4}-\d{2}$/.test(row.registrationDate_month)));
+    assert.strictEqual(months.reduce((sum, row) => sum + row.count, 0), server.data.profiles.length);
+
+    const wrongType = await runCli(['mineResult', 'profile_consolidated.json', '--group-by=email:week'], { server, workDir });
+    assert.strictEqual(wrongType.code, 1);
+    assert.match(wrongType.stderr, /Cannot bucket 'email' by week/);
+  });
+
+  it('inspect profiles every field of an NDJSON result file', async () => {
+    fs.mkdirSync(path.join(workDir, 'outputs'));
+    // One profile lost its state and another came back with the amount as text
+    const profiles = server.data.profiles.map(profile => ({ ...profile, shippingAddress: { ...profile.shippingAddress } }));
+    delete profiles[0].shippingAddress.state;
+    profiles[1].lastPurchaseAmount = String(profiles[1].lastPurchaseAmount);
+    fs.writeFileSync(path.join(workDir, 'outputs', 'profile_list.ndjson'), profiles.map(profile => JSON.stringify(profile)).join('\n') + '\n');
+
+    // A file-only command needs no configured environment
+    const offline = { DEV_BASE_URL: '', DEV_BEARER_TOKEN: '', LOCAL_BASE_URL: '', LOCAL_BEARER_TOKEN: '' };
+    const result = await runCli(['inspect', 'profile_list.ndjson', '--top=3'], { server, workDir, env: offline });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, new RegExp(`Items: ${profiles.length}\\b`));
+    assert.match(result.stdout, /Type conflicts: lastPurchaseAmount \(number \(\d+\) \| string \(1\)\)/);
+    assert.match(result.stdout, /Missing from some items: shippingAddress\.state/);
+
+    const [jsonFile] = listOutputs(workDir, 'profile_list_inspect_').filter(file => file.endsWith('.json'));
+    const report = readOutput(workDir, jsonFile);
+    assert.strictEqual(report.total, profiles.length);
+    const field = name => report.fields.find(entry => entry.field === name);
+    assert.strictEqual(field('shippingAddress.state').missingRate, Math.round(10000 / profiles.length) / 100);
+    assert.strictEqual(field('email').distinct, new Set(profiles.map(profile => profile.email)).size);
+    assert.strictEqual(field('registrationDate').type, 'date');
+    const amounts = profiles.map(profile => profile.lastPurchaseAmount).filter(amount => typeof amount === 'number');
+    assert.strictEqual(field('lastPurchaseAmount').max, Math.max(...amounts));
+    assert.strictEqual(field('active').top.length, 2);
+    assert.ok(listOutputs(workDir, 'profile_list_inspect_').some(file => file.endsWith('.csv')));
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { flatten, compareRecords, indexRecords, diffExports } = require('../lib/recordDiff');
+
+describe('record diff', () => {
+  it('flattens nested objects to dotted paths and keeps arrays whole', () => {
+    assert.deepStrictEqual(flatten({ id: 1, address: { state: 'SP', geo: { lat: 1 } }, tags: ['a'], meta: {} }), {
+      id: 1, 'address.state': 'SP', 'address.geo.lat': 1, tags: ['a'], meta: {}
+    });
+  });
+
+  it('compares records field by field, treating missing as null', () => {
+    const before = { id: 1, name: 'A', address: { state: 'SP', city: 'Santos' }, tags: ['a'], note: null, updated: '1' };
+    const after = { id: 1, name: 'A', address: { state: 'RJ', city: 'Santos' }, tags: ['a', 'b'], extra: 5, updated: '2' };
+    assert.deepStrictEqual(compareRecords(before, after, ['updated']), {
+      'address.state': { before: 'SP', after: 'RJ' },
+      tags: { before: ['a'], after: ['a', 'b'] },
+      extra: { before: null, after: 5 }
+    });
+    assert.deepStrictEqual(compareRecords(before, after, ['address', 'tags', 'extra', 'updated']), {});
+  });
+
+  it('indexes by a key path and reports duplicates and records without a key', () => {
+    const index = indexRecords([{ ref: { id: 1 }, v: 1 }, { ref: { id: 1 }, v: 2 }, { v: 3 }], 'ref.id');
+    assert.deepStrictEqual([...index.records.keys()], ['1']);
+    assert.strictEqual(index.records.get('1').v, 2);
+    assert.deepStrictEqual(index.duplicates, ['1']);
+    assert.strictEqual(index.missingKey, 1);
+    assert.strictEqual(index.total, 3);
+  });
+
+  it('finds added, removed and changed records', () => {
+    const a = [{ id: 'p1', price: 10 }, { id: 'p2', price: 20 }, { id: 'p3', price: 30, name: 'x' }];
+    const b = [{ id: 'p4', price: 40 }, { id: 'p3', price: 31, name: 'y' }, { id: 'p1', price: 10 }];
+    const diff = diffExports(a, b);
+    assert.deepStrictEqual(diff.added, ['p4']);
+    assert.deepStrictEqual(diff.removed, ['p2']);
+    assert.deepStrictEqual(diff.changed, [{ key: 'p3', changes: { price: { before: 30, after: 31 }, name: { before: 'x', after: 'y' } } }]);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.deepStrictEqual(diff.fieldChanges, { name: 1, price: 1 });
+    assert.deepStrictEqual(diff.a, { total: 3, records: 3, duplicates: [], missingKey: 0 });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseScim, validateScim, evaluateScim, scimAttributes, compare, and, or, not, toScim,
+  parseCriterion, combineCriteria
+} = require('../lib/scim');
+
+describe('SCIM queries', () => {
+  it('evaluates nested and boolean SCIM expressions', () => {
+    const ast = parseScim('(state eq "INCOMPLETE" or state eq "SUBMITTED") and profile.email ew "@gmail.com"');
+    assert.strictEqual(evaluateScim(ast, { state: 'SUBMITTED', profile: { email: 'a@gmail.com' } }), true);
+    assert.strictEqual(evaluateScim(ast, { state: 'SUBMITTED', profile: { email: 'a@company.com' } }), false);
+    assert.strictEqual(evaluateScim(parseScim('creationDate lt "2024-01-01T00:00:00.000Z"'), { creationDate: '2023-05-01T00:00:00.000Z' }), true);
+  });
+
+  it('evaluates every comparison operator', () => {
+    const item = { displayName: 'Caneca Grande', price: 10, creationDate: '2024-03-01T00:00:00.000Z', active: true };
+    const matches = query => evaluateScim(parseScim(query), item);
+
+    assert.ok(matches('displayName eq "caneca grande"'));
+    assert.ok(matches('displayName ne "Caneca"'));
+    assert.ok(matches('displayName co "neca"'));
+    assert.ok(matches('displayName sw "Can"'));
+    assert.ok(matches('displayName ew "de"'));
+    assert.ok(matches('price gt 9 and price ge 10 and price lt 11 and price le 10'));
+    assert.ok(matches('creationDate ge "2024-03-01T00:00:00.000Z" and creationDate le "2024-03-01T00:00:00.000Z"'));
+    assert.ok(matches('active eq true and not (childSKUs pr)'));
+    assert.ok(!matches('creationDate gt "2024-03-01T00:00:00.000Z"'));
+  });
+
+  it('compares ISO dates as instants and other strings as strings', () => {
+    const matches = (query, item) => evaluateScim(parseScim(query), item);
+
+    assert.ok(matches('creationDate lt "2024-03-01T00:00:00Z"', { creationDate: '2024-03-01T01:00:00+02:00' }));
+    assert.ok(matches('repositoryId gt "1000"', { repositoryId: '999' }));
+    assert.ok(!matches('code lt "100"', { code: '99' }));
+    assert.ok(matches('code lt "100"', { code: '0999' }));
+  });
+
+  it('rejects malformed queries with the query in the message', () => {
+    assert.throws(() => validateScim('creationDate lt'), /Invalid SCIM query 'creationDate lt': Expected a value/);
+    assert.throws(() => validateScim('(id pr'), /Missing closing parenthesis/);
+    assert.throws(() => validateScim('email co "pedro'), /Unterminated string/);
+    assert.throws(() => validateScim('email like "pedro"'), /Unsupported operator: like/);
+    assert.throws(() => validateScim('email co pedro'), /Invalid value: pedro/);
+    assert.throws(() => validateScim('id pr id pr'), /Unexpected token: id/);
+    assert.throws(() => validateScim('  '), /query is empty/);
+  });
+
+  it('builds queries with escaped values that parse back to the same tree', () => {
+    const ast = and(
+      compare('email', 'co', 'say "hi" \\ bye'),
+      or(compare('active', 'eq', true), not(compare('childSKUs', 'pr')))
+    );
+    const query = toScim(ast);
+
+    assert.strictEqual(query, 'email co "say \\"hi\\" \\\\ bye" and (active eq true or not (childSKUs pr))');
+    assert.deepStrictEqual(parseScim(query), ast);
+    assert.deepStrictEqual(scimAttributes(ast), ['email', 'active', 'childSKUs']);
+    assert.throws(() => compare('first name', 'co', 'x'), /Invalid attribute name/);
+    assert.throws(() => compare('email', 'like', 'x'), /Unsupported operator/);
+  });
+
+  it('turns --where criteria into comparisons joined by --match', () => {
+    const criteria = [
+      'email:suffix:@company.com',
+      'lastPurchaseDate:after:2025-01-01T10:00:00Z',
+      'lastPurchaseAmount:ge:100',
+      'postalCode:exact:01310',
+      'active:exact:true',
+      'phoneNumber:pr'
+    ].map(parseCriterion);
+
+    assert.deepStrictEqual(criteria[0], compare('email', 'ew', '@company.com'));
+    assert.strictEqual(
+      toScim(combineCriteria(criteria)),
+      'email ew "@company.com" and lastPurchaseDate gt "2025-01-01T10:00:00Z" and lastPurchaseAmount ge 100 and postalCode eq "01310" and active eq true and phoneNumber pr'
+    );
+    assert.strictEqual(toScim(combineCriteria(criteria.slice(0, 2), 'any')), 'email ew "@company.com" or lastPurchaseDate gt "2025-01-01T10:00:00Z"');
+    assert.strictEqual(toScim(parseCriterion('login:prefix:123')), 'login sw "123"');
+    assert.strictEqual(combineCriteria([]), null);
+
+    assert.throws(() => parseCriterion('email'), /use field:op:value/);
+    assert.throws(() => parseCriterion('email:like:x'), /unknown operator 'like'/);
+    assert.throws(() => parseCriterion('email:eq'), /missing value/);
+    assert.throws(() => parseCriterion('first name:eq:x'), /Invalid attribute name/);
+    assert.throws(() => combineCriteria(criteria, 'some'), /use all or any/);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket } = require('../lib/rateLimiter');
+const { AdaptivePool } = require('../lib/workerPool');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Rate limiting and adaptive concurrency', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('TokenBucket spaces requests out to the configured rate', async () => {
+    const bucket = new TokenBucket(20, 1);
+    const startedAt = Date.now();
+    for (let i = 0; i < 6; i++) {
+      await bucket.take();
+    }
+    // First token is free, the next five wait 50ms each
+    assert.ok(Date.now() - startedAt >= 230);
+
+    const unlimited = new TokenBucket(0);
+    const unlimitedStart = Date.now();
+    await Promise.all(Array.from({ length: 50 }, () => unlimited.take()));
+    assert.ok(Date.now() - unlimitedStart < 50);
+  });
+
+  it('AdaptivePool keeps N tasks in flight and returns results in input order', async () => {
+    const pool = new AdaptivePool({ concurrency: 3 });
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await pool.run([30, 10, 20, 5, 15, 25], async (delay, index) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(delay);
+      active--;
+      return index;
+    });
+
+    assert.strictEqual(maxActive, 3);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('AdaptivePool halves on throttling and ramps back up after successes', () => {
+    const changes = [];
+    const pool = new AdaptivePool({
+      concurrency: 8,
+      rampUpAfter: 2,
+      cooldown: 0,
+      onChange: (limit, reason) => changes.push([limit, reason])
+    });
+
+    pool.onThrottle(429);
+    pool.onThrottle(503);
+    assert.strictEqual(pool.limit, 2);
+
+    pool.onSuccess();
+    pool.onSuccess();
+    assert.strictEqual(pool.limit, 3);
+    assert.deepStrictEqual(changes, [[4, 'HTTP 429'], [2, 'HTTP 503'], [3, 'recovered']]);
+  });
+
+  it('deleteProducts keeps --concurrency requests in flight', async () => {
+    const ids = server.data.products.filter(product => product.id.startsWith('PA')).slice(0, 12).map(product => product.id);
+    writeInput(workDir, 'products.csv', ids.join('\n'));
+    server.addFault({ method: 'DELETE', path: '/ccadmin/v1/products/', delay: 100 });
+
+    const result = await runCli(['deleteProducts', '--concurrency=4', '--rps=0', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    assert.strictEqual(server.maxInFlight, 4);
+    const [reportFile] = listOutputs(workDir, 'delete_report_');
+    assert.strictEqual(readOutput(workDir, reportFile).deleted, 12);
+  });
+
+  it('deleteProducts backs off when OCC returns 429', async () => {
+    const ids = server.data.products.filter(product => product.id.startsWith('PA')).slice(0, 10).map(product => product.id);
+    writeInput(workDir, 'products.csv', ids.join('\n'));
+    server.addFault({ method: 'DELETE', path: '/ccadmin/v1/products/', status: 429, headers: { 'Retry-After': '0' }, times: 2 });
+
+    const result = await runCli(['deleteProducts', '--concurrency=8', '--rps=0', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Concurrency now 4 \(HTTP 429\)/);
+
+    const [reportFile] = listOutputs(workDir, 'delete_report_');
+    assert.strictEqual(readOutput(workDir, reportFile).deleted, 10);
+  });
+
+  it('searchOrders --rps paces requests', async () => {
+    const ids = server.data.orders.slice(0, 6).map(order => order.id);
+    writeInput(workDir, 'orders.csv', ['orderId', ...ids].join('\n'));
+
+    const result = await runCli(['searchOrders', '--rps=10', '--concurrency=6', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const orderRequests = server.requests.filter(request => request.path.startsWith('/ccadmin/v1/orders/'));
+    assert.strictEqual(orderRequests.length, 6);
+    assert.ok(orderRequests[5].time - orderRequests[0].time >= 450);
+
+    const [ordersFile] = listOutputs(workDir, 'orders_').filter(file => file.endsWith('.json') && !file.includes('report'));
+    assert.deepStrictEqual(readOutput(workDir, ordersFile).items.map(order => order.id), ids);
+  });
+});
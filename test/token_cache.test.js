@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, writeInput
+} = require('./helpers');
+
+describe('token cache', () => {
+  let server;
+  let workDir;
+
+  const cacheFile = () => path.join(workDir, '.token-cache.json');
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  it('reuses a still-valid token across invocations', async () => {
+    for (const command of ['countOrders', 'oldestOrder', 'listOrders']) {
+      const result = await runCli([command, '--env=local'], { server, workDir });
+      assert.strictEqual(result.code, 0, result.stderr);
+    }
+    assert.strictEqual(server.loginCount, 1);
+  });
+
+  it('writes the cache readable by the owner only and without the application key', async () => {
+    await runCli(['countOrders', '--env=local'], { server, workDir });
+
+    assert.strictEqual(fs.statSync(cacheFile()).mode & 0o777, 0o600);
+    const content = fs.readFileSync(cacheFile(), 'utf8');
+    assert.ok(!content.includes(server.options.appKey));
+    assert.ok(JSON.parse(content).local.accessToken);
+  });
+
+  it('ignores cached tokens issued for different credentials', async () => {
+    await runCli(['countOrders', '--env=local'], { server, workDir });
+    const cache = JSON.parse(fs.readFileSync(cacheFile(), 'utf8'));
+    cache.local.fingerprint = 'issued-for-another-app-key';
+    fs.writeFileSync(cacheFile(), JSON.stringify(cache));
+
+    const result = await runCli(['countOrders', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.loginCount, 2);
+  });
+
+  it('ignores tokens that are about to expire', async () => {
+    const shortLived = await startMockServer({ tokenTtl: 20 });
+    try {
+      await runCli(['countOrders', '--env=local'], { server: shortLived, workDir });
+      assert.strictEqual(shortLived.loginCount, 1);
+      await runCli(['countOrders', '--env=local'], { server: shortLived, workDir });
+      assert.strictEqual(shortLived.loginCount, 2);
+    } finally {
+      await shortLived.stop();
+    }
+  });
+
+  it('shares one login among concurrent workers refreshing an expiring token', async () => {
+    // A 10s token is refreshed after 5s; the first five deletes take longer,
+    // so all five workers want a new token while a slow login is in flight
+    const shortLived = await startMockServer({ tokenTtl: 10 });
+    try {
+      const ids = shortLived.data.products.filter(product => product.id.startsWith('PA')).slice(0, 10).map(product => product.id);
+      writeInput(workDir, 'products.csv', ids.join('\n'));
+      shortLived.addFault({ method: 'DELETE', delay: 5500, times: 5 });
+      shortLived.addFault({ path: '/ccadmin/v1/login', delay: 500 });
+
+      const result = await runCli(['deleteProducts', '-n', '5', '--env=local'], {
+        server: shortLived, workDir, env: { RATE_LIMIT_RPS: '0' }
+      });
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(shortLived.requests.filter(request => request.method === 'DELETE').length, 10);
+      assert.strictEqual(shortLived.loginCount, 2);
+    } finally {
+      await shortLived.stop();
+    }
+  });
+
+  it('auth --status and --clear inspect and wipe the cache', async () => {
+    await runCli(['countOrders', '--env=local'], { server, workDir });
+
+    const status = await runCli(['auth', '--status'], { server, workDir });
+    assert.match(status.stdout, /local \(http:\/\/127\.0\.0\.1:\d+\): valid, expires in \d+ seconds/);
+
+    const cleared = await runCli(['auth', '--clear', '--env=local'], { server, workDir });
+    assert.strictEqual(cleared.code, 0, cleared.stderr);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(cacheFile(), 'utf8')), {});
+
+    await runCli(['auth', '--clear', '--all'], { server, workDir });
+    assert.ok(!fs.existsSync(cacheFile()));
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  startMockServer, createWorkDir, removeWorkDir, runCli, listOutputs, readOutput, writeInput
+} = require('./helpers');
+
+describe('bulk update commands', () => {
+  let server;
+  let workDir;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    workDir = createWorkDir();
+  });
+
+  afterEach(() => {
+    removeWorkDir(workDir);
+  });
+
+  const puts = () => server.requests.filter(request => request.method === 'PUT');
+
+  it('updateProducts applies a CSV, typing cells like the current values and recording before/after', async () => {
+    const [changed, current, badType] = server.data.products.filter(product => product.id.startsWith('PA') && product.active);
+    const original = { ...changed };
+    writeInput(workDir, 'updates.csv', [
+      'id,active,displayName,listPrice,x_note',
+      `${changed.id},false,"Caneca, grande",12.5,hello`,
+      `${current.id},true,${current.displayName},,`,
+      `${badType.id},maybe,,,`,
+      'PA9999999999,false,,,',
+      'beermug,false,,,'
+    ].join('\n'));
+
+    // Dry run: same report, nothing sent
+    const dryRun = await runCli(['updateProducts', 'updates.csv', '--dry-run', '--env=local'], { server, workDir });
+    assert.strictEqual(dryRun.code, 0, dryRun.stderr);
+    assert.deepStrictEqual(puts(), []);
+    assert.deepStrictEqual(server.data.products.find(product => product.id === changed.id), original);
+    const [dryRunFile] = listOutputs(workDir, 'update_products_dry_run_');
+    const planned = readOutput(workDir, dryRunFile);
+    assert.strictEqual(planned.dryRun, true);
+    assert.strictEqual(planned.changed, 1);
+    assert.strictEqual(planned.updated, 0);
+    assert.deepStrictEqual(planned.changes.map(entry => entry.id), [changed.id]);
+
+    const result = await runCli(['updateProducts', 'updates.csv', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(puts().map(request => request.path), [`/ccadmin/v1/products/${changed.id}`]);
+
+    const saved = server.data.products.find(product => product.id === changed.id);
+    assert.strictEqual(saved.active, false);
+    assert.strictEqual(saved.displayName, 'Caneca, grande');
+    assert.strictEqual(saved.listPrice, 12.5);
+    assert.strictEqual(saved.x_note, 'hello');
+
+    const [reportFile] = listOutputs(workDir, 'update_products_report_');
+    const report = readOutput(workDir, reportFile);
+    assert.strictEqual(report.updated, 1);
+    assert.strictEqual(report.unchanged, 1);
+    assert.strictEqual(report.failed, 2);
+    assert.strictEqual(report.skipped, 1);
+    assert.deepStrictEqual(report.rejected.map(entry => [entry.id, entry.rule]), [['beermug', 'allow']]);
+    assert.deepStrictEqual(report.changes, [{
+      id: changed.id,
+      changes: {
+        active: { before: true, after: false },
+        displayName: { before: original.displayName, after: 'Caneca, grande' },
+        listPrice: { before: original.listPrice, after: 12.5 },
+        x_note: { before: null, after: 'hello' }
+      }
+    }]);
+    const errors = Object.fromEntries(report.errors.map(error => [error.productId, error]));
+    assert.match(errors[badType.id].error, /active: expected true or false, got 'maybe'/);
+    assert.strictEqual(errors.PA9999999999.statusCode, 404);
+
+    // Failures keep the file in inputs/; a rerun finds the applied change already there
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), ['updates.csv']);
+    server.requests = [];
+    const again = await runCli(['updateProducts', 'updates.csv', '--env=local'], { server, workDir });
+    assert.strictEqual(again.code, 0, again.stderr);
+    assert.deepStrictEqual(puts(), []);
+  });
+
+  it('updateSkus applies NDJSON patches and moves the file to processed/', async () => {
+    const [first, second] = server.data.skus;
+    writeInput(workDir, 'sku_patches.ndjson', [
+      JSON.stringify({ id: first.id, properties: { active: false, x_color: 'blue' } }),
+      JSON.stringify({ id: second.id, displayName: 'Renamed SKU' })
+    ].join('\n'));
+
+    const result = await runCli(['updateSkus', 'sku_patches.ndjson', '--concurrency=2', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(puts().map(request => request.path).sort(), [`/ccadmin/v1/skus/${first.id}`, `/ccadmin/v1/skus/${second.id}`].sort());
+    assert.strictEqual(server.data.skus[0].active, false);
+    assert.strictEqual(server.data.skus[0].x_color, 'blue');
+    assert.strictEqual(server.data.skus[1].displayName, 'Renamed SKU');
+
+    const report = readOutput(workDir, listOutputs(workDir, 'update_skus_report_')[0]);
+    assert.strictEqual(report.updated, 2);
+    assert.deepStrictEqual(report.changes.map(entry => entry.id), [first.id, second.id]);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'inputs')), []);
+    assert.strictEqual(fs.readdirSync(path.join(workDir, 'processed')).length, 1);
+  });
+
+  it('refuses patch files with repeated IDs before sending anything', async () => {
+    writeInput(workDir, 'updates.csv', 'id,active\nPA1,true\nPA1,false\n');
+
+    const result = await runCli(['updateProducts', 'updates.csv', '--env=local'], { server, workDir });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /ID PA1 appears more than once \(lines 2 and 3\)/);
+    assert.deepStrictEqual(server.requests.filter(request => request.method !== 'POST'), []);
+  });
+});